@@ -1,139 +1,129 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const sources = require('./lib/sources');
+const { matchRegions } = require('./lib/matching');
+const { loadAliases } = require('./lib/aliases');
+const { loadPrivateSchools, effectiveStatuses } = require('./lib/privateSchools');
 
-// ArcGIS FeatureServer endpoint for Delaware school district boundaries
-const DISTRICTS_URL =
-  'https://enterprise.firstmap.delaware.gov/arcgis/rest/services/Society/DE_Schools/FeatureServer/3/query?where=1%3D1&outFields=NAME,DIST_ID,SHORTNAME&outSR=4326&f=geojson';
-
-// Closings XML feed
-const CLOSINGS_URL = 'https://schoolclosings.delaware.gov/XML/PortalFeed';
-
-// ── Fetch school district boundary GeoJSON ──────────────────────────
-const fetchDistricts = async () => {
+// ── Fetch a boundary/point layer, falling back to an empty collection ─
+const fetchLayer = async (adapter, layer, label, districts) => {
   try {
-    const { data } = await axios.get(DISTRICTS_URL);
-    console.log(`Fetched ${data.features.length} district boundaries`);
+    const data = await sources.fetchSourceLayer(adapter, layer, districts);
+    console.log(`Fetched ${data.features.length} ${adapter.name} ${label}`);
     return data;
   } catch (error) {
-    console.error('Error fetching district boundaries:', error.message);
-    return { type: 'FeatureCollection', features: [] };
+    console.error(`Error fetching ${adapter.name} ${label}:`, error.message);
+    return sources.EMPTY_COLLECTION;
   }
 };
 
-// ── Fetch closings from XML feed ────────────────────────────────────
-const fetchClosings = async () => {
+// ── Fetch a source's closings feed ──────────────────────────────────
+const fetchClosings = async (adapter) => {
   try {
-    const { data } = await axios.get(CLOSINGS_URL);
-    const $ = cheerio.load(data, { xmlMode: true });
-    const closings = [];
-
-    $('row').each((index, element) => {
-      const cells = $(element).find('cell');
-      const district = $(cells[0]).text().trim();
-      const details = $(cells[1]).text().trim();
-      const title = $(cells[2]).text().trim();
-      const date = $(cells[3]).text().trim();
-
-      if (district) {
-        // Determine status type from the text using word-boundary matching
-        const lowerDetails = (details + ' ' + district + ' ' + title).toLowerCase();
-        let statusType = 'closed'; // default
-        if (/\bdelay(ed|s)?\b/.test(lowerDetails) || /\blate\s+(start|open)/.test(lowerDetails)) {
-          statusType = 'delay';
-        } else if (/\bearly\b/.test(lowerDetails) || /\bdismiss/.test(lowerDetails)) {
-          statusType = 'early dismissal';
-        }
-
-        closings.push({
-          schoolName: district,
-          status: details || 'Closed',
-          statusType,
-          date,
-        });
-      }
-    });
-
-    return closings;
+    return await sources.fetchSourceClosings(adapter);
   } catch (error) {
-    console.error('Error fetching school closings:', error.message);
+    console.error(`Error fetching ${adapter.name} school closings:`, error.message);
     return [];
   }
 };
 
-// ── Match closings to district boundaries ───────────────────────────
-function matchClosingToDistrict(closing, districtNames) {
-  const closingLower = (closing.schoolName + ' ' + closing.status).toLowerCase();
-  for (const name of districtNames) {
-    // Try matching on the short name or full name
-    const nameLower = name.toLowerCase();
-    // Extract the core district word(s) before "school district"
-    const core = nameLower.replace(/\s*school\s*district\s*/i, '').trim();
-    if (closingLower.includes(core) && core.length > 2) {
-      return name;
-    }
-  }
-  return null;
-}
+// ── Everything one source adapter provides ──────────────────────────
+const fetchRegion = async (adapter) => {
+  const [districts, votech, closings] = await Promise.all([
+    fetchLayer(adapter, 'districts', 'district boundaries'),
+    fetchLayer(adapter, 'votech', 'VoTech district boundaries'),
+    fetchClosings(adapter),
+  ]);
+  const [charters, schools] = await Promise.all([
+    fetchLayer(adapter, 'charters', 'charter schools', districts),
+    fetchLayer(adapter, 'schools', 'schools', districts),
+  ]);
+  return { closings, districts, votech, charters, schools };
+};
+
+const writeJson = (outDir, file, data) => {
+  fs.writeFileSync(path.join(outDir, file), JSON.stringify(data, null, 2));
+};
 
 // ── Main ────────────────────────────────────────────────────────────
-async function main() {
-  const [districts, closings] = await Promise.all([fetchDistricts(), fetchClosings()]);
+async function main({ outDir = path.join(__dirname, 'public') } = {}) {
+  const regions = await Promise.all(sources.enabledAdapters().map(fetchRegion));
+  const merged = layer => sources.mergeCollections(regions.map(r => r[layer]));
+  const districts       = merged('districts');
+  const votechDistricts = merged('votech');
+  const charterSchools  = merged('charters');
+  const schools         = merged('schools');
 
-  const outDir = path.join(__dirname, 'public');
   if (!fs.existsSync(outDir)) {
     fs.mkdirSync(outDir, { recursive: true });
   }
 
-  // Get list of district names from GeoJSON
-  const districtNames = districts.features.map(f => f.properties.NAME);
-
-  // Match each closing to a district boundary name
-  const closingsWithMatch = closings.map(c => {
-    const matchedDistrict = matchClosingToDistrict(c, districtNames);
-    return { ...c, matchedDistrict };
-  });
-
-  // Build a lookup: district name → closing info
-  const closingsByDistrict = {};
-  for (const c of closingsWithMatch) {
-    if (c.matchedDistrict) {
-      closingsByDistrict[c.matchedDistrict] = c;
-    }
-  }
-
-  // Write district boundaries GeoJSON
-  fs.writeFileSync(
-    path.join(outDir, 'districts.geojson'),
-    JSON.stringify(districts, null, 2)
-  );
-
-  // Write closings JSON (with match info)
-  fs.writeFileSync(
-    path.join(outDir, 'closings.json'),
-    JSON.stringify(closingsWithMatch, null, 2)
-  );
-
-  // Write the lookup map
-  fs.writeFileSync(
-    path.join(outDir, 'closingsByDistrict.json'),
-    JSON.stringify(closingsByDistrict, null, 2)
-  );
-
-  console.log(`\n✓ ${districts.features.length} district boundaries → public/districts.geojson`);
-  console.log(`✓ ${closings.length} closings → public/closings.json`);
-  console.log(`✓ ${Object.keys(closingsByDistrict).length} matched to districts → public/closingsByDistrict.json`);
+  // Same matching as the API server
+  const [aliases, privateSchools] = await Promise.all([loadAliases(), loadPrivateSchools(districts)]);
+  const { closings, byDistrict, byVotech, byCharter, bySchool, byPrivate: ownPrivate, matches } =
+    matchRegions(regions, { privateSchools, aliases });
+  const byPrivate = effectiveStatuses(privateSchools, ownPrivate, byDistrict);
+
+  const closingsWithMatch = closings.map((c, i) => ({
+    ...c,
+    matchedDistrict: matches[i].district,
+    matchedVotech: matches[i].votech,
+    matchedCharters: matches[i].charters,
+    matchedSchools: matches[i].schools,
+    matchedPrivate: matches[i].privateSchool,
+    matchConfidence: matches[i].confidence,
+  }));
+
+  writeJson(outDir, 'districts.geojson', districts);
+  writeJson(outDir, 'votechDistricts.geojson', votechDistricts);
+  writeJson(outDir, 'charterSchools.geojson', charterSchools);
+  writeJson(outDir, 'schools.geojson', schools);
+  writeJson(outDir, 'privateSchools.geojson', privateSchools);
+  writeJson(outDir, 'closings.json', closingsWithMatch);
+  writeJson(outDir, 'closingsByDistrict.json', byDistrict);
+  writeJson(outDir, 'closingsByVotech.json', byVotech);
+  writeJson(outDir, 'closingsByCharter.json', byCharter);
+  writeJson(outDir, 'closingsBySchool.json', bySchool);
+  writeJson(outDir, 'closingsByPrivate.json', byPrivate);
+
+  console.log(`\n✓ ${districts.features.length} district boundaries → districts.geojson`);
+  console.log(`✓ ${votechDistricts.features.length} VoTech district boundaries → votechDistricts.geojson`);
+  console.log(`✓ ${charterSchools.features.length} charter schools → charterSchools.geojson`);
+  console.log(`✓ ${schools.features.length} schools → schools.geojson`);
+  console.log(`✓ ${privateSchools.features.length} private schools → privateSchools.geojson`);
+  console.log(`✓ ${closings.length} closings → closings.json`);
+  console.log(`✓ ${Object.keys(byDistrict).length} matched to districts → closingsByDistrict.json`);
+  console.log(`✓ ${Object.keys(byVotech).length} matched to VoTech districts → closingsByVotech.json`);
+  console.log(`✓ ${Object.keys(byCharter).length} matched to charter schools → closingsByCharter.json`);
+  console.log(`✓ ${Object.keys(bySchool).length} matched to schools → closingsBySchool.json`);
+  console.log(`✓ ${Object.keys(byPrivate).length} private school statuses → closingsByPrivate.json`);
+
+  const matchedLines = [
+    ...Object.entries(byDistrict).map(([name, info]) => `  ${name} → ${info.statusType}`),
+    ...Object.entries(byVotech).map(([key, info]) => `  ${key} (VoTech) → ${info.statusType}`),
+    ...Object.entries(byCharter).map(([name, info]) => `  ${name} (charter) → ${info.statusType}`),
+    ...Object.entries(bySchool).map(([name, info]) => `  ${name} (school) → ${info.statusType}`),
+    ...Object.entries(ownPrivate).map(([name, info]) => `  ${name} (private) → ${info.statusType}`),
+  ];
   console.log('\nMatched closings:');
-  for (const [dist, info] of Object.entries(closingsByDistrict)) {
-    console.log(`  ${dist} → ${info.statusType}`);
-  }
+  matchedLines.forEach(line => console.log(line));
 
-  const unmatched = closingsWithMatch.filter(c => !c.matchedDistrict);
+  const unmatched = closingsWithMatch.filter(c =>
+    !c.matchedDistrict && !c.matchedVotech && !c.matchedCharters.length && !c.matchedSchools.length && !c.matchedPrivate);
   if (unmatched.length) {
     console.log('\nUnmatched closings:');
     unmatched.forEach(c => console.log(`  "${c.schoolName}"`));
+    console.log('  (add spellings to aliases.json in DATA_DIR to match them)');
   }
+
+  return {
+    districts, votechDistricts, charterSchools, schools, privateSchools,
+    closings: closingsWithMatch, byDistrict, byVotech, byCharter, bySchool, byPrivate,
+  };
+}
+
+if (require.main === module) {
+  main();
 }
 
-main();
+module.exports = { main };
@@ -0,0 +1,29 @@
+const { parseNamedTokens, findName } = require('./namedTokens');
+
+// Admin console credentials. Each operator gets a bearer token, named so the
+// audit log shows who made a change:
+//
+//   ADMIN_TOKENS="alice:long-random-token,bob:another-token"
+//   ADMIN_TOKEN="long-random-token"          (single operator, logged as "admin")
+//
+// With neither set the admin API is disabled.
+function loadOperators() {
+  const operators = parseNamedTokens(process.env.ADMIN_TOKENS);
+  if (process.env.ADMIN_TOKEN) operators.push({ name: 'admin', token: process.env.ADMIN_TOKEN });
+  return operators;
+}
+
+function isEnabled() {
+  return loadOperators().length > 0;
+}
+
+// Operator name for an "Authorization: Bearer <token>" header, or null
+function authenticate(header) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  return match ? findName(loadOperators(), match[1]) : null;
+}
+
+module.exports = {
+  isEnabled,
+  authenticate,
+};
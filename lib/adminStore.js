@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { readJson, writeJson, dataPath } = require('./dataStore');
+const { parseStatus } = require('./statusParser');
+const { STATUS_TYPES, STATUS_LABELS } = require('./statusTypes');
+const { VOTECH_MAP } = require('./matching');
+
+// Operator-entered data from the admin console, kept in DATA_DIR/admin.json:
+//
+//   overrides — manual closings ('set') or hidden feed entries ('suppress')
+//               for one district/VoTech/charter/school/private school, each
+//               with an expiry so nothing lingers past the storm
+//   banner    — optional site-wide message
+//
+// Every change is appended to DATA_DIR/admin-audit.jsonl.
+const STATE_FILE = 'admin.json';
+const AUDIT_FILE = 'admin-audit.jsonl';
+const LAYERS = ['district', 'votech', 'charter', 'school', 'private'];
+const ACTIONS = ['set', 'suppress'];
+const BANNER_LEVELS = ['info', 'warning', 'alert'];
+const MAX_EXPIRY = 30 * 24 * 60 * 60 * 1000;
+const EXPIRED_RETENTION = 7 * 24 * 60 * 60 * 1000; // keep expired overrides listed this long
+
+const LAYER_FIELDS = {
+  district: ['byDistrict', 'matchedDistrict'],
+  votech:   ['byVotech', 'matchedVotech'],
+  charter:  ['byCharter', 'matchedCharter'],
+  school:   ['bySchool', 'matchedSchool'],
+  private:  ['byPrivate', 'matchedPrivate'],
+};
+
+let state = null; // { overrides: [], banner: null }
+let saveQueue = Promise.resolve();
+
+async function load() {
+  if (!state) {
+    const stored = await readJson(STATE_FILE, {});
+    state = { overrides: stored.overrides || [], banner: stored.banner || null };
+  }
+  return state;
+}
+
+function save() {
+  const cutoff = Date.now() - EXPIRED_RETENTION;
+  state.overrides = state.overrides.filter(o => Date.parse(o.expiresAt) > cutoff);
+  const data = state;
+  saveQueue = saveQueue
+    .then(() => writeJson(STATE_FILE, data))
+    .catch(err => console.error('Failed to save admin state:', err.message));
+  return saveQueue;
+}
+
+async function audit(actor, action, target, before, after) {
+  const entry = { at: new Date().toISOString(), actor, action, target, before, after };
+  try {
+    await fs.promises.appendFile(dataPath(AUDIT_FILE), JSON.stringify(entry) + '\n');
+  } catch (err) {
+    console.error('Failed to write admin audit log:', err.message);
+  }
+}
+
+// Most recent audit entries, newest first
+async function getAuditLog(limit = 100) {
+  let text;
+  try {
+    text = await fs.promises.readFile(dataPath(AUDIT_FILE), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const entries = [];
+  for (const line of text.split('\n').reverse()) {
+    if (!line.trim()) continue;
+    try { entries.push(JSON.parse(line)); } catch { continue; }
+    if (entries.length >= limit) break;
+  }
+  return entries;
+}
+
+function isActive(item, now = Date.now()) {
+  return !item.expiresAt || Date.parse(item.expiresAt) > now;
+}
+
+// Returns an error message, or null when `input` is a valid override
+function validateOverride(input) {
+  if (!LAYERS.includes(input.layer)) return `layer must be one of: ${LAYERS.join(', ')}`;
+  if (!input.key || typeof input.key !== 'string') return 'key is required';
+  if (!ACTIONS.includes(input.action)) return `action must be one of: ${ACTIONS.join(', ')}`;
+  if (input.action === 'set' && !STATUS_TYPES.includes(input.statusType)) {
+    return `statusType must be one of: ${STATUS_TYPES.join(', ')}`;
+  }
+  const expires = Date.parse(input.expiresAt);
+  if (isNaN(expires)) return 'expiresAt must be a valid timestamp';
+  if (expires <= Date.now()) return 'expiresAt must be in the future';
+  if (expires > Date.now() + MAX_EXPIRY) return 'expiresAt must be within 30 days';
+  return null;
+}
+
+function pickOverride(input) {
+  return {
+    layer: input.layer,
+    key: input.key,
+    action: input.action,
+    statusType: input.action === 'set' ? input.statusType : null,
+    status: input.action === 'set' ? (input.status || '').trim() || STATUS_LABELS[input.statusType] : null,
+    note: input.note || '',
+    expiresAt: new Date(input.expiresAt).toISOString(),
+  };
+}
+
+async function listOverrides() {
+  return (await load()).overrides;
+}
+
+async function createOverride(input, actor) {
+  await load();
+  const now = new Date().toISOString();
+  const override = {
+    id: crypto.randomUUID(),
+    ...pickOverride(input),
+    createdAt: now,
+    createdBy: actor,
+    updatedAt: now,
+    updatedBy: actor,
+  };
+  state.overrides.push(override);
+  await save();
+  await audit(actor, 'override.create', `${override.layer}:${override.key}`, null, override);
+  return override;
+}
+
+// Returns the updated override, or null when `id` does not exist
+async function updateOverride(id, input, actor) {
+  await load();
+  const index = state.overrides.findIndex(o => o.id === id);
+  if (index === -1) return null;
+  const before = state.overrides[index];
+  const after = { ...before, ...pickOverride({ ...before, ...input }), updatedAt: new Date().toISOString(), updatedBy: actor };
+  state.overrides[index] = after;
+  await save();
+  await audit(actor, 'override.update', `${after.layer}:${after.key}`, before, after);
+  return after;
+}
+
+async function deleteOverride(id, actor) {
+  await load();
+  const before = state.overrides.find(o => o.id === id);
+  if (!before) return false;
+  state.overrides = state.overrides.filter(o => o.id !== id);
+  await save();
+  await audit(actor, 'override.delete', `${before.layer}:${before.key}`, before, null);
+  return true;
+}
+
+async function getBanner() {
+  return (await load()).banner;
+}
+
+function validateBanner(input) {
+  if (!input.message || typeof input.message !== 'string') return 'message is required';
+  if (input.level && !BANNER_LEVELS.includes(input.level)) return `level must be one of: ${BANNER_LEVELS.join(', ')}`;
+  if (input.expiresAt && isNaN(Date.parse(input.expiresAt))) return 'expiresAt must be a valid timestamp';
+  return null;
+}
+
+async function setBanner(input, actor) {
+  await load();
+  const before = state.banner;
+  state.banner = {
+    message: input.message.trim(),
+    level: input.level || 'info',
+    expiresAt: input.expiresAt ? new Date(input.expiresAt).toISOString() : null,
+    updatedAt: new Date().toISOString(),
+    updatedBy: actor,
+  };
+  await save();
+  await audit(actor, before ? 'banner.update' : 'banner.create', 'banner', before, state.banner);
+  return state.banner;
+}
+
+async function clearBanner(actor) {
+  await load();
+  const before = state.banner;
+  if (!before) return;
+  state.banner = null;
+  await save();
+  await audit(actor, 'banner.delete', 'banner', before, null);
+}
+
+// Unexpired overrides and banner, as merged into the public closings payload
+async function activeState(now = Date.now()) {
+  const { overrides, banner } = await load();
+  return {
+    overrides: overrides.filter(o => isActive(o, now)),
+    banner: banner && isActive(banner, now)
+      ? { message: banner.message, level: banner.level, expiresAt: banner.expiresAt }
+      : null,
+  };
+}
+
+function manualClosing(override, matchedField) {
+  const d = new Date(override.updatedAt);
+  const date = `${String(d.getMonth() + 1).padStart(2, '0')}/${String(d.getDate()).padStart(2, '0')}/${d.getFullYear()}`;
+  return {
+    schoolName: override.layer === 'votech' ? VOTECH_MAP[override.key]?.displayName || override.key : override.key,
+    status: override.status,
+    date,
+    statusType: override.statusType,
+    ...parseStatus(override.status),
+    [matchedField]: override.key,
+    source: 'manual',
+    overrideId: override.id,
+    expiresAt: override.expiresAt,
+  };
+}
+
+// Merge overrides into a matched feed result ({ closings, byDistrict, ... }).
+// `matches[i]` (from matchClosings) says which keys closings[i] fed, so a feed
+// row whose every key was overridden drops out of `closings` and the manual
+// entries take its place.
+function applyOverrides(result, matches, overrides) {
+  if (!overrides.length) return result;
+  const merged = { ...result };
+  const overridden = new Set();
+
+  for (const o of overrides) {
+    const [field, matchedField] = LAYER_FIELDS[o.layer];
+    if (merged[field] === result[field]) merged[field] = { ...result[field] };
+    if (o.action === 'suppress') delete merged[field][o.key];
+    else merged[field][o.key] = manualClosing(o, matchedField);
+    overridden.add(`${o.layer}:${o.key}`);
+  }
+
+  const rowKeys = m => [
+    m.district && `district:${m.district}`,
+    m.votech && `votech:${m.votech}`,
+    ...m.charters.map(k => `charter:${k}`),
+    ...m.schools.map(k => `school:${k}`),
+    m.privateSchool && `private:${m.privateSchool}`,
+  ].filter(Boolean);
+
+  merged.closings = result.closings
+    .filter((c, i) => {
+      const keys = rowKeys(matches[i]);
+      return !keys.length || !keys.every(k => overridden.has(k));
+    })
+    .concat(overrides.filter(o => o.action === 'set').map(o => manualClosing(o, LAYER_FIELDS[o.layer][1])));
+  return merged;
+}
+
+module.exports = {
+  LAYERS,
+  validateOverride,
+  listOverrides,
+  createOverride,
+  updateOverride,
+  deleteOverride,
+  validateBanner,
+  getBanner,
+  setBanner,
+  clearBanner,
+  getAuditLog,
+  activeState,
+  applyOverrides,
+};
@@ -0,0 +1,58 @@
+const { readJson } = require('./dataStore');
+const DEFAULT_ALIASES = require('./defaultAliases.json');
+
+// Alternate feed spellings for each district (NAME), VoTech district (VOTECH key),
+// charter school and district school building (SCHOOLNAME) and private school
+// (NAME in the supplemental list). The shipped defaults are extended by
+// DATA_DIR/aliases.json, same shape, which is re-read on every refresh:
+//
+//   { "district": { "Appoquinimink School District": ["appo"] },
+//     "votech":   { "POLYTECH": ["poly tech"] },
+//     "charter":  { "Delaware Military Academy": ["del military academy"] } }
+const ALIASES_FILE = 'aliases.json';
+const LAYERS = ['district', 'votech', 'charter', 'school', 'private'];
+
+function mergeAliases(...sources) {
+  const merged = { district: {}, votech: {}, charter: {}, school: {}, private: {} };
+  for (const source of sources) {
+    for (const layer of LAYERS) {
+      for (const [key, aliases] of Object.entries((source && source[layer]) || {})) {
+        merged[layer][key] = [...new Set([...(merged[layer][key] || []), ...aliases])];
+      }
+    }
+  }
+  return merged;
+}
+
+// Throws unless `value` has the aliases.json shape described above
+function validateAliases(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('expected an object of layers');
+  for (const [layer, entries] of Object.entries(value)) {
+    if (!LAYERS.includes(layer)) throw new Error(`unknown layer "${layer}"`);
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) throw new Error(`"${layer}" must map names to alias lists`);
+    for (const [key, aliases] of Object.entries(entries)) {
+      if (!Array.isArray(aliases) || !aliases.every(a => typeof a === 'string')) {
+        throw new Error(`aliases for ${layer} "${key}" must be an array of strings`);
+      }
+    }
+  }
+}
+
+// A broken aliases.json falls back to the shipped defaults rather than
+// failing every refresh
+async function loadAliases() {
+  try {
+    const custom = await readJson(ALIASES_FILE, {});
+    validateAliases(custom);
+    return mergeAliases(DEFAULT_ALIASES, custom);
+  } catch (err) {
+    console.error(`Ignoring ${ALIASES_FILE}: ${err.message}`);
+    return mergeAliases(DEFAULT_ALIASES);
+  }
+}
+
+module.exports = {
+  DEFAULT_ALIASES,
+  mergeAliases,
+  loadAliases,
+};
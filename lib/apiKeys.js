@@ -0,0 +1,22 @@
+const { parseNamedTokens, findName } = require('./namedTokens');
+
+// Keys for the public /api/v1 API. Each consuming app gets its own key, sent
+// as an "X-API-Key" header, so it gets its own rate limit:
+//
+//   API_KEYS="dispatch:long-random-key,transportation:another-key"
+//   API_REQUIRE_KEY=1        (refuse requests without a key; by default they
+//                             share a smaller per-IP allowance)
+
+function isKeyRequired() {
+  return /^(1|true|yes)$/i.test(process.env.API_REQUIRE_KEY || '');
+}
+
+// Client name for a presented key, or null
+function identify(key) {
+  return findName(parseNamedTokens(process.env.API_KEYS), key);
+}
+
+module.exports = {
+  isKeyRequired,
+  identify,
+};
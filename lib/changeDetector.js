@@ -0,0 +1,110 @@
+const historyStore = require('./historyStore');
+
+const LAYERS = [
+  { layer: 'district', field: 'byDistrict' },
+  { layer: 'votech',   field: 'byVotech' },
+  { layer: 'charter',  field: 'byCharter' },
+  { layer: 'school',   field: 'bySchool' },
+  { layer: 'private',  field: 'byPrivate' },
+];
+
+// How far back to look for the snapshot that precedes ?since=
+const BASELINE_LOOKBACK = 7 * 24 * 60 * 60 * 1000;
+
+function pickStatus(closing) {
+  return closing
+    ? { schoolName: closing.schoolName, status: closing.status, statusType: closing.statusType, date: closing.date }
+    : null;
+}
+
+// Compare two snapshots and list what changed for each matched district,
+// VoTech district (VOTECH key), charter school and school building (SCHOOLNAME)
+// and private school (NAME).
+// change.type is one of: added | removed | statusType | status
+function diffSnapshots(prev, next) {
+  const changes = [];
+  if (!next) return changes;
+
+  for (const { layer, field } of LAYERS) {
+    const before = (prev && prev[field]) || {};
+    const after  = next[field] || {};
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const key of [...keys].sort()) {
+      const a = before[key];
+      const b = after[key];
+      let type = null;
+      if (!a && b) type = 'added';
+      else if (a && !b) type = 'removed';
+      else if (a.statusType !== b.statusType) type = 'statusType';
+      else if (a.status !== b.status) type = 'status';
+      if (!type) continue;
+
+      changes.push({
+        type,
+        layer,
+        key,
+        previous: pickStatus(a),
+        current:  pickStatus(b),
+        detectedAt: next.fetchedAt,
+      });
+    }
+  }
+  return changes;
+}
+
+// True when two snapshots carry the same closings (fetchedAt is ignored)
+function isSameSnapshot(a, b) {
+  if (!a || !b) return a === b;
+  const content = s => JSON.stringify([s.closings, s.byDistrict, s.byVotech, s.byCharter, s.bySchool, s.byPrivate, s.banner]);
+  return content(a) === content(b);
+}
+
+// Rebuild the change feed from stored snapshots. The last snapshot taken at or
+// before `since` is the baseline; each later snapshot is diffed against its predecessor.
+async function changesSince(since, until = new Date()) {
+  const snapshots = await historyStore.readSnapshots(
+    new Date(since.getTime() - BASELINE_LOOKBACK), until,
+  );
+
+  let prev = null;
+  const changes = [];
+  for (const snap of snapshots) {
+    if (new Date(snap.fetchedAt) <= since) {
+      prev = snap;
+      continue;
+    }
+    if (prev) changes.push(...diffSnapshots(prev, snap));
+    prev = snap;
+  }
+  return changes;
+}
+
+// What a timeline frame keeps from a snapshot: just what the map draws
+const FRAME_FIELDS = ['fetchedAt', 'closings', 'byDistrict', 'byVotech', 'byCharter', 'bySchool', 'byPrivate'];
+
+// Frames for replaying [from, to] on the map: the snapshot in effect at
+// `from`, then each later one whose closings differ from the frame before.
+// Polls that changed nothing are dropped, so a quiet day is a single frame.
+async function timelineFrames(from, to) {
+  const [baseline, snapshots] = await Promise.all([
+    historyStore.snapshotAt(from),
+    historyStore.readSnapshots(from, to),
+  ]);
+
+  const frames = [];
+  let prev = null;
+  for (const snap of baseline ? [baseline, ...snapshots] : snapshots) {
+    if (prev && isSameSnapshot(prev, snap)) continue;
+    frames.push(Object.fromEntries(FRAME_FIELDS.map(f => [f, snap[f]])));
+    prev = snap;
+  }
+  return frames;
+}
+
+module.exports = {
+  diffSnapshots,
+  isSameSnapshot,
+  changesSince,
+  timelineFrames,
+};
@@ -0,0 +1,54 @@
+const { pointInFeature } = require('./geo');
+
+// Delaware counties served by each traditional district, matched on the core
+// of the ArcGIS NAME. Milford and Smyrna straddle a county line.
+const DISTRICT_COUNTIES = [
+  ['appoquinimink', ['New Castle']],
+  ['brandywine',    ['New Castle']],
+  ['christina',     ['New Castle']],
+  ['colonial',      ['New Castle']],
+  ['red clay',      ['New Castle']],
+  ['caesar rodney', ['Kent']],
+  ['capital',       ['Kent']],
+  ['lake forest',   ['Kent']],
+  ['milford',       ['Kent', 'Sussex']],
+  ['smyrna',        ['Kent', 'New Castle']],
+  ['cape henlopen', ['Sussex']],
+  ['delmar',        ['Sussex']],
+  ['indian river',  ['Sussex']],
+  ['laurel',        ['Sussex']],
+  ['seaford',       ['Sussex']],
+  ['woodbridge',    ['Sussex']],
+];
+
+// Keyed by the VOTECH field value
+const VOTECH_COUNTIES = {
+  'NEW CASTLE':  ['New Castle'],
+  'POLYTECH':    ['Kent'],
+  'SUSSEX TECH': ['Sussex'],
+};
+
+const COUNTIES = ['New Castle', 'Kent', 'Sussex'];
+
+function districtCounties(name) {
+  const lower = (name || '').toLowerCase();
+  const entry = DISTRICT_COUNTIES.find(([core]) => lower.includes(core));
+  return entry ? entry[1] : [];
+}
+
+function votechCounties(key) {
+  return VOTECH_COUNTIES[key] || [];
+}
+
+// A point (charter school) takes the counties of the district it sits in
+function pointCounties([lng, lat], districtFeatures) {
+  const containing = districtFeatures.find(f => pointInFeature([lng, lat], f));
+  return containing ? districtCounties(containing.properties.NAME) : [];
+}
+
+module.exports = {
+  COUNTIES,
+  districtCounties,
+  votechCounties,
+  pointCounties,
+};
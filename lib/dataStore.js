@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+
+// Root for everything the server persists locally (history, subscriptions, config)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+// Read a JSON file under DATA_DIR, returning `fallback` when it does not exist yet
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.promises.readFile(dataPath(file), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+}
+
+// Write via a temp file + rename so a crash never leaves half a file behind
+async function writeJson(file, data) {
+  const target = dataPath(file);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  const tmp = `${target}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tmp, target);
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  readJson,
+  writeJson,
+};
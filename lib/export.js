@@ -0,0 +1,127 @@
+const { dayKey } = require('./historyStore');
+const { boxCenter } = require('./lookup');
+const { STATUS_LABELS } = require('./statusTypes');
+const { writeWorkbook } = require('./xlsx');
+
+// CSV, GeoJSON and Excel exports of closings for routing and planning tools.
+// Each row is one closing on one day, joined with the matched district,
+// VoTech district or school: its boundary or location for GeoJSON, and a
+// latitude/longitude (a boundary's bounding-box center) for the tabular formats.
+
+const LAYERS = [
+  { layer: 'district', field: 'byDistrict' },
+  { layer: 'votech',   field: 'byVotech' },
+  { layer: 'charter',  field: 'byCharter' },
+  { layer: 'school',   field: 'bySchool' },
+  { layer: 'private',  field: 'byPrivate' },
+];
+
+const COLUMNS = [
+  ['day', 'Day'],
+  ['type', 'Type'],
+  ['key', 'Key'],
+  ['name', 'Name'],
+  ['counties', 'Counties'],
+  ['statusType', 'Status type'],
+  ['statusLabel', 'Status label'],
+  ['status', 'Status'],
+  ['date', 'Feed date'],
+  ['firstSeen', 'First seen'],
+  ['lastSeen', 'Last seen'],
+  ['latitude', 'Latitude'],
+  ['longitude', 'Longitude'],
+];
+
+// The current (or a recorded) snapshot in queryHistory's entry shape
+function snapshotEntries(snapshot) {
+  if (!snapshot) return [];
+  const day = dayKey(snapshot.fetchedAt);
+  return LAYERS.flatMap(({ layer, field }) =>
+    Object.entries(snapshot[field] || {})
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, closing]) => ({
+        day,
+        layer,
+        key,
+        status: closing.status,
+        statusType: closing.statusType,
+        date: closing.date,
+        firstSeen: snapshot.fetchedAt,
+        lastSeen: snapshot.fetchedAt,
+      })));
+}
+
+function representativePoint(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === 'Point') return { lng: geometry.coordinates[0], lat: geometry.coordinates[1] };
+  const center = boxCenter({ geometry });
+  return Number.isFinite(center.lat) ? center : null;
+}
+
+const round = n => Math.round(n * 1e6) / 1e6;
+
+// Rows for every entry; `locate(layer, key)` supplies { displayName, counties, geometry }
+function exportRows(entries, locate) {
+  return entries.map((entry) => {
+    const { displayName, counties, geometry } = locate(entry.layer, entry.key);
+    const point = representativePoint(geometry);
+    return {
+      day: entry.day,
+      type: entry.layer,
+      key: entry.key,
+      name: displayName,
+      counties: counties.join('; '),
+      statusType: entry.statusType,
+      statusLabel: STATUS_LABELS[entry.statusType] || entry.statusType,
+      status: entry.status,
+      date: entry.date || '',
+      firstSeen: entry.firstSeen,
+      lastSeen: entry.lastSeen,
+      latitude: point ? round(point.lat) : null,
+      longitude: point ? round(point.lng) : null,
+      geometry: geometry || null,
+    };
+  });
+}
+
+// ── Formats ──────────────────────────────────────────────────────────
+// Spreadsheet programs run cells starting with = + - @ as formulas
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [COLUMNS.map(([, label]) => label)]
+    .concat(rows.map(row => COLUMNS.map(([field]) => row[field])))
+    .map(cells => cells.map(csvCell).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function toGeoJson(rows) {
+  return {
+    type: 'FeatureCollection',
+    features: rows.map(({ geometry, latitude, longitude, ...properties }) => ({
+      type: 'Feature',
+      geometry,
+      properties,
+    })),
+  };
+}
+
+function toXlsx(rows) {
+  return writeWorkbook({
+    sheetName: 'Closings',
+    rows: [COLUMNS.map(([, label]) => label)].concat(rows.map(row => COLUMNS.map(([field]) => row[field]))),
+  });
+}
+
+module.exports = {
+  snapshotEntries,
+  exportRows,
+  toCsv,
+  toGeoJson,
+  toXlsx,
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { dayKey, effectiveDay } = require('./historyStore');
+const { STATUS_LABELS } = require('./statusTypes');
+
+// RSS 2.0, Atom and iCalendar renderings of closings history entries.
+// Items are identified by day + district/VoTech/charter key (+ statusType for
+// RSS/Atom), so repeated polls of an unchanged closing never produce a new item.
+// Callers pass the feed `title` for the configured regions (sources.regionTitle).
+
+const DEFAULT_TITLE = 'School Closings';
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Collapse history entries to one item per effective day and key, keeping the latest wording
+function toFeedItems(entries) {
+  const items = new Map();
+  for (const entry of entries) {
+    const day = effectiveDay(entry);
+    const id = `${day}:${entry.layer}:${entry.key}`;
+    const existing = items.get(id);
+    if (!existing || entry.lastSeen > existing.lastSeen) {
+      items.set(id, {
+        ...entry,
+        day,
+        firstSeen: existing && existing.firstSeen < entry.firstSeen ? existing.firstSeen : entry.firstSeen,
+      });
+    }
+  }
+  return [...items.values()].sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+}
+
+function itemTitle(item) {
+  return `${item.displayName || item.key} — ${STATUS_LABELS[item.statusType] || item.statusType}`;
+}
+
+function itemGuid(item) {
+  return `urn:de-school-closings:${item.day}:${item.layer}:${encodeURIComponent(item.key)}:${encodeURIComponent(item.statusType)}`;
+}
+
+function buildRss(items, { link, selfUrl, title = DEFAULT_TITLE }) {
+  const entries = items.map(item => `
+    <item>
+      <title>${escapeXml(itemTitle(item))}</title>
+      <link>${escapeXml(link)}</link>
+      <description>${escapeXml(item.status)}</description>
+      <category>${escapeXml(item.layer)}</category>
+      <guid isPermaLink="false">${escapeXml(itemGuid(item))}</guid>
+      <pubDate>${new Date(item.firstSeen).toUTCString()}</pubDate>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(link)}</link>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml" />
+    <description>Closings, delays and early dismissals for districts, VoTech districts and charter schools</description>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>${entries}
+  </channel>
+</rss>
+`;
+}
+
+function buildAtom(items, { link, selfUrl, title = DEFAULT_TITLE }) {
+  const updated = items.length ? items[0].lastSeen : new Date().toISOString();
+  const entries = items.map(item => `
+  <entry>
+    <id>${escapeXml(itemGuid(item))}</id>
+    <title>${escapeXml(itemTitle(item))}</title>
+    <link href="${escapeXml(link)}" />
+    <category term="${escapeXml(item.layer)}" />
+    <published>${item.firstSeen}</published>
+    <updated>${item.lastSeen}</updated>
+    <summary>${escapeXml(item.status)}</summary>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(selfUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <link href="${escapeXml(link)}" />
+  <link href="${escapeXml(selfUrl)}" rel="self" />
+  <updated>${updated}</updated>${entries}
+</feed>
+`;
+}
+
+// ── iCalendar ────────────────────────────────────────────────────────
+function escapeIcs(text) {
+  return String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 lines are folded at 75 octets
+function foldIcsLine(line) {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    // A lone high surrogate counts as 3 octets; keep the pair together
+    if (/[\uD800-\uDBFF]/.test(rest[cut - 1])) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = ' ' + rest.slice(cut);
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+}
+
+function icsDate(day) {
+  return day.replace(/-/g, '');
+}
+
+function icsTimestamp(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDay(day) {
+  const [y, m, d] = day.split('-').map(Number);
+  return dayKey(new Date(y, m - 1, d + 1));
+}
+
+// Keys differing only in punctuation or accents must not share a UID, so hash them
+const uidKey = key => crypto.createHash('sha1').update(key).digest('hex');
+
+// All-day events for closures, delays and early dismissals (informational notices are left out)
+function buildIcs(items, { title = DEFAULT_TITLE } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//de-school-closings//Closings Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcs(title)}`,
+  ];
+
+  for (const item of items) {
+    if (item.statusType === 'info') continue;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${item.day}-${item.layer}-${uidKey(item.key)}@de-school-closings`,
+      `DTSTAMP:${icsTimestamp(item.lastSeen)}`,
+      `LAST-MODIFIED:${icsTimestamp(item.lastSeen)}`,
+      `DTSTART;VALUE=DATE:${icsDate(item.day)}`,
+      `DTEND;VALUE=DATE:${icsDate(nextDay(item.day))}`,
+      `SUMMARY:${escapeIcs(itemTitle(item))}`,
+      `DESCRIPTION:${escapeIcs(item.status)}`,
+      `CATEGORIES:${escapeIcs(STATUS_LABELS[item.statusType] || item.statusType)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  toFeedItems,
+  buildRss,
+  buildAtom,
+  buildIcs,
+};
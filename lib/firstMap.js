@@ -0,0 +1,98 @@
+const upstream = require('./upstream');
+const { VOTECH_MAP } = require('./matching');
+const { districtCounties, votechCounties, pointCounties } = require('./counties');
+const { pointInFeature } = require('./geo');
+
+// Delaware FirstMap ArcGIS FeatureServer layers (DE_Schools)
+const DISTRICTS_URL =
+  'https://enterprise.firstmap.delaware.gov/arcgis/rest/services/Society/DE_Schools/FeatureServer/3/query?where=1%3D1&outFields=NAME,DIST_ID,SHORTNAME&outSR=4326&f=geojson';
+
+const VOTECH_URL =
+  'https://enterprise.firstmap.delaware.gov/arcgis/rest/services/Society/DE_Schools/FeatureServer/2/query?where=1%3D1&outFields=VOTECH,SHORTNAME,DIST_ID&outSR=4326&f=geojson';
+
+const CHARTER_URL =
+  'https://enterprise.firstmap.delaware.gov/arcgis/rest/services/Society/DE_Schools/FeatureServer/0/query?where=CHARTER%3D%27Y%27&outFields=SCHOOLNAME,SCHOOLSHOR&outSR=4326&f=geojson&resultRecordCount=1000';
+
+// Traditional (district-run) school buildings from the same layer as charters
+const SCHOOLS_URL =
+  'https://enterprise.firstmap.delaware.gov/arcgis/rest/services/Society/DE_Schools/FeatureServer/0/query?where=CHARTER%3C%3E%27Y%27&outFields=SCHOOLNAME,SCHOOLSHOR&outSR=4326&f=geojson&resultRecordCount=2000';
+
+function mapProperties(data, fn) {
+  return {
+    ...data,
+    features: data.features.map(f => ({ ...f, properties: { ...f.properties, ...fn(f) } })),
+  };
+}
+
+// Tag each district with the county (or counties) it serves
+function enrichDistricts(data) {
+  return mapProperties(data, f => ({ COUNTIES: districtCounties(f.properties.NAME) }));
+}
+
+// Enrich each feature with a friendly NAME based on VOTECH_MAP
+function enrichVotechDistricts(data) {
+  return mapProperties(data, (f) => {
+    const key = f.properties.VOTECH;
+    const mapped = VOTECH_MAP[key];
+    return {
+      NAME: mapped ? mapped.displayName : key,
+      COUNTIES: votechCounties(key),
+    };
+  });
+}
+
+// Charters take the counties of the district polygon they sit in
+function enrichCharterSchools(data, districts) {
+  return mapProperties(data, f => ({
+    COUNTIES: f.geometry?.type === 'Point' ? pointCounties(f.geometry.coordinates, districts.features) : [],
+  }));
+}
+
+// Schools take the district (and its counties) of the polygon they sit in
+function enrichSchools(data, districts) {
+  return mapProperties(data, (f) => {
+    const coords = f.geometry?.type === 'Point' ? f.geometry.coordinates : null;
+    const district = coords && districts.features.find(d => pointInFeature(coords, d));
+    return {
+      DISTRICT: district ? district.properties.NAME : null,
+      COUNTIES: district ? districtCounties(district.properties.NAME) : [],
+    };
+  });
+}
+
+// Raw layer GeoJSON, with the last good copy kept under DATA_DIR/boundaries
+// for when FirstMap is unreachable
+function fetchLayer(name, url) {
+  return upstream.getDataWithDiskCopy(`firstMap:${name}`, url, `boundaries/${name}.geojson`);
+}
+
+async function fetchDistricts() {
+  return enrichDistricts(await fetchLayer('districts', DISTRICTS_URL));
+}
+
+async function fetchVotechDistricts() {
+  return enrichVotechDistricts(await fetchLayer('votech', VOTECH_URL));
+}
+
+async function fetchCharterSchools(districts) {
+  return enrichCharterSchools(await fetchLayer('charters', CHARTER_URL), districts);
+}
+
+async function fetchSchools(districts) {
+  return enrichSchools(await fetchLayer('schools', SCHOOLS_URL), districts);
+}
+
+module.exports = {
+  DISTRICTS_URL,
+  VOTECH_URL,
+  CHARTER_URL,
+  SCHOOLS_URL,
+  enrichDistricts,
+  enrichVotechDistricts,
+  enrichCharterSchools,
+  enrichSchools,
+  fetchDistricts,
+  fetchVotechDistricts,
+  fetchCharterSchools,
+  fetchSchools,
+};
@@ -0,0 +1,32 @@
+// Minimal GeoJSON geometry helpers (coordinates are [lng, lat])
+
+// Ray-casting test against a single linear ring
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Polygon rings: the first is the outer boundary, the rest are holes
+function pointInPolygon(point, rings) {
+  if (!rings.length || !pointInRing(point, rings[0])) return false;
+  return !rings.slice(1).some(hole => pointInRing(point, hole));
+}
+
+function pointInFeature(point, feature) {
+  const geom = feature && feature.geometry;
+  if (!geom) return false;
+  if (geom.type === 'Polygon') return pointInPolygon(point, geom.coordinates);
+  if (geom.type === 'MultiPolygon') return geom.coordinates.some(rings => pointInPolygon(point, rings));
+  return false;
+}
+
+module.exports = {
+  pointInFeature,
+};
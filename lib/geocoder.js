@@ -0,0 +1,71 @@
+const { readJson } = require('./dataStore');
+const DEFAULT_PLACES = require('./defaultPlaces.json');
+
+// Local stand-in for a street geocoder: resolves typed coordinates, ZIP codes
+// and town names to a point, so lookups work without a third-party service.
+// A street address resolves through its ZIP or town ("12 Main St, Milford, DE
+// 19963" → the 19963 centroid), which is close enough to pick the district in
+// all but border cases. Operators can add places — or exact points for
+// addresses that matter — in DATA_DIR/places.json, same shape as the defaults:
+//
+//   [{ "name": "Odessa", "lat": 39.4571, "lng": -75.6613, "zips": ["19730"] }]
+const PLACES_FILE = 'places.json';
+
+const COORDINATES = /^\s*\(?\s*(-?\d{1,3}(?:\.\d+)?)\s*[,\s]\s*(-?\d{1,3}(?:\.\d+)?)\s*\)?\s*$/;
+const ZIP = /\b(\d{5})(?:-\d{4})?\b/g;
+
+function isValidPoint(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+const words = text => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+
+function containsWords(haystack, needle) {
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((w, j) => haystack[i + j] === w)) return true;
+  }
+  return false;
+}
+
+async function loadPlaces() {
+  return [...await readJson(PLACES_FILE, []), ...DEFAULT_PLACES];
+}
+
+// { lat, lng, label, source: 'coordinates' | 'zip' | 'place' }, or null when
+// nothing in the query is recognised
+async function geocode(query) {
+  const text = String(query || '').trim();
+  if (!text) return null;
+
+  const coords = COORDINATES.exec(text);
+  if (coords) {
+    const lat = Number(coords[1]);
+    const lng = Number(coords[2]);
+    return isValidPoint(lat, lng) ? { lat, lng, label: `${lat}, ${lng}`, source: 'coordinates' } : null;
+  }
+
+  const places = await loadPlaces();
+
+  // The last five-digit number is the ZIP; an earlier one is a house number
+  const zips = [...text.matchAll(ZIP)].map(m => m[1]);
+  const zip = zips[zips.length - 1];
+  const byZip = zip && places.find(p => (p.zips || []).includes(zip));
+  if (byZip) return { lat: byZip.lat, lng: byZip.lng, label: `${byZip.name} ${zip}`, source: 'zip' };
+
+  // Otherwise the longest place name that appears in the query
+  // ("New Castle" beats "Castle"); operator places win ties
+  const tokens = words(text);
+  let best = null;
+  for (const place of places) {
+    const name = words(place.name);
+    if (name.length && containsWords(tokens, name) && (!best || name.length > words(best.name).length)) {
+      best = place;
+    }
+  }
+  return best ? { lat: best.lat, lng: best.lng, label: best.name, source: 'place' } : null;
+}
+
+module.exports = {
+  isValidPoint,
+  geocode,
+};
@@ -0,0 +1,341 @@
+const { on } = require('events');
+const { buildSchema } = require('graphql');
+const { pointInFeature } = require('./geo');
+const { boxCenter } = require('./lookup');
+const { STATUS_LABELS } = require('./statusTypes');
+
+// GraphQL over districts, VoTech districts, charter schools and their
+// closings, so a client can ask for "delayed charter schools in Kent County
+// with their coordinates" in one request. Queries read a graph built from the
+// current snapshot and boundary layers; the statusChanged subscription
+// follows the server's 'changes' events.
+
+const typeDefs = `
+  "A GeoJSON geometry object"
+  scalar GeoJSON
+
+  enum StatusType { CLOSED VIRTUAL DELAY EARLY_DISMISSAL ACTIVITIES_CANCELLED INFO OPEN }
+  enum OrganizationType { DISTRICT VOTECH CHARTER SCHOOL PRIVATE }
+  enum ChangeType { ADDED REMOVED STATUS_TYPE STATUS }
+
+  type Coordinates {
+    latitude: Float!
+    longitude: Float!
+  }
+
+  "A closing, delay or other notice listed in the state feed"
+  type Closing {
+    organizationType: OrganizationType!
+    key: String!
+    name: String!
+    counties: [String!]!
+    statusType: StatusType!
+    statusLabel: String!
+    "Wording from the feed"
+    status: String!
+    "Date cell from the feed, as published"
+    date: String
+    delayMinutes: Int
+    "24-hour HH:MM"
+    dismissalTime: String
+    earlyDismissalMinutes: Int
+    remoteLearning: Boolean!
+    affectedPrograms: [String!]!
+    "District a private school follows, when its status comes from there"
+    inheritedFrom: String
+    "A point for the organization: its location, or the center of its boundary"
+    coordinates: Coordinates
+    district: District
+    votechDistrict: VotechDistrict
+    charterSchool: CharterSchool
+  }
+
+  type District {
+    name: String!
+    counties: [String!]!
+    "OPEN when the district isn't listed"
+    statusType: StatusType!
+    closing: Closing
+    "Center of the boundary's bounding box"
+    center: Coordinates
+    boundary: GeoJSON
+    "Charter schools located inside the district"
+    charterSchools(status: [StatusType!]): [CharterSchool!]!
+    "VoTech districts serving the district's counties"
+    votechDistricts: [VotechDistrict!]!
+  }
+
+  type VotechDistrict {
+    "VOTECH code, e.g. POLYTECH"
+    key: String!
+    name: String!
+    counties: [String!]!
+    statusType: StatusType!
+    closing: Closing
+    center: Coordinates
+    boundary: GeoJSON
+    "Traditional districts in the VoTech district's counties"
+    districts(status: [StatusType!]): [District!]!
+  }
+
+  type CharterSchool {
+    name: String!
+    shortName: String
+    counties: [String!]!
+    statusType: StatusType!
+    closing: Closing
+    coordinates: Coordinates
+    "The district the school sits in"
+    district: District
+  }
+
+  type StatusDetail {
+    statusType: StatusType!
+    statusLabel: String!
+    status: String!
+    date: String
+  }
+
+  type StatusChange {
+    changeType: ChangeType!
+    organizationType: OrganizationType!
+    key: String!
+    name: String!
+    counties: [String!]!
+    "Null when the organization wasn't listed before"
+    previous: StatusDetail
+    "Null when the organization is no longer listed"
+    current: StatusDetail
+    detectedAt: String!
+    district: District
+    votechDistrict: VotechDistrict
+    charterSchool: CharterSchool
+  }
+
+  type Query {
+    "When the feed was last read"
+    fetchedAt: String
+    "True while the feed is unavailable and the last good data is served"
+    stale: Boolean!
+    districts(county: String, status: [StatusType!], name: String): [District!]!
+    district(name: String!): District
+    votechDistricts(county: String, status: [StatusType!], name: String): [VotechDistrict!]!
+    charterSchools(county: String, status: [StatusType!], name: String): [CharterSchool!]!
+    charterSchool(name: String!): CharterSchool
+    closings(county: String, status: [StatusType!], type: [OrganizationType!]): [Closing!]!
+  }
+
+  type Subscription {
+    "Status changes from each feed refresh; status filters on the new status (OPEN when no longer listed)"
+    statusChanged(county: String, type: [OrganizationType!], status: [StatusType!]): StatusChange!
+  }
+`;
+
+const LAYERS = {
+  district: { collection: 'districts', keyProp: 'NAME',       field: 'byDistrict' },
+  votech:   { collection: 'votech',    keyProp: 'VOTECH',     field: 'byVotech' },
+  charter:  { collection: 'charters',  keyProp: 'SCHOOLNAME', field: 'byCharter' },
+  school:   { collection: 'schools',   keyProp: 'SCHOOLNAME', field: 'bySchool' },
+  private:  { collection: 'privateData', keyProp: 'NAME',     field: 'byPrivate' },
+};
+
+// 'early dismissal' ↔ EARLY_DISMISSAL, 'district' ↔ DISTRICT, 'statusType' ↔ STATUS_TYPE
+const toEnum = value => value.replace(/([a-z])([A-Z])/g, '$1_$2').replace(/\s+/g, '_').toUpperCase();
+const fromEnum = value => value.toLowerCase().replace(/_/g, ' ');
+
+function toCoordinates(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === 'Point') return { latitude: geometry.coordinates[1], longitude: geometry.coordinates[0] };
+  const { lat, lng } = boxCenter({ geometry });
+  return Number.isFinite(lat) ? { latitude: lat, longitude: lng } : null;
+}
+
+// ── Graph over one snapshot ──────────────────────────────────────────
+// Nodes are { graph, layer, key, feature, displayName, counties }; closings
+// are { graph, layer, key, closing }. `describe(layer, key)` supplies the
+// display name and counties.
+function createGraph({ snapshot, layers, describe }) {
+  const nodes = {};
+  for (const [layer, { collection, keyProp }] of Object.entries(LAYERS)) {
+    nodes[layer] = new Map();
+    for (const feature of layers[collection]?.features || []) {
+      const key = feature.properties[keyProp];
+      if (key && !nodes[layer].has(key)) nodes[layer].set(key, { layer, key, feature });
+    }
+  }
+
+  const graph = {
+    snapshot,
+    node(layer, key) {
+      const node = nodes[layer].get(key);
+      if (!node) return null;
+      if (!node.graph) Object.assign(node, { graph }, describe(layer, key));
+      return node;
+    },
+    nodes(layer) {
+      return [...nodes[layer].keys()].map(key => graph.node(layer, key))
+        .sort((a, b) => a.displayName.localeCompare(b.displayName));
+    },
+    closing(layer, key) {
+      const closing = (snapshot[LAYERS[layer].field] || {})[key];
+      return closing ? { graph, layer, key, closing } : null;
+    },
+    closings() {
+      return Object.entries(LAYERS).flatMap(([layer, { field }]) =>
+        Object.keys(snapshot[field] || {}).sort().map(key => graph.closing(layer, key)));
+    },
+    statusType(layer, key) {
+      return graph.closing(layer, key)?.closing.statusType || 'open';
+    },
+  };
+  return graph;
+}
+
+// county / status / name arguments shared by the list fields
+function matchesArgs(node, { county, status, name }) {
+  if (county && !node.counties.some(c => c.toLowerCase() === county.toLowerCase())) return false;
+  if (status?.length && !status.map(fromEnum).includes(node.graph.statusType(node.layer, node.key))) return false;
+  if (name && !node.displayName.toLowerCase().includes(name.toLowerCase())) return false;
+  return true;
+}
+
+const sharesCounty = (a, b) => a.counties.some(c => b.counties.includes(c));
+
+// Whether a point node (a charter school) lies inside a polygon node
+const isInside = (point, polygon) => point.feature.geometry?.type === 'Point'
+  && pointInFeature(point.feature.geometry.coordinates, polygon.feature);
+
+// Fields every organization type resolves the same way
+const organizationFields = {
+  name: node => node.displayName,
+  statusType: node => toEnum(node.graph.statusType(node.layer, node.key)),
+  closing: node => node.graph.closing(node.layer, node.key),
+};
+
+const resolvers = {
+  Query: {
+    fetchedAt: (_, args, { graph }) => graph.snapshot.fetchedAt || null,
+    stale: (_, args, { graph }) => !!graph.snapshot.stale,
+    districts: (_, args, { graph }) => graph.nodes('district').filter(n => matchesArgs(n, args)),
+    district: (_, { name }, { graph }) => graph.node('district', name),
+    votechDistricts: (_, args, { graph }) => graph.nodes('votech').filter(n => matchesArgs(n, args)),
+    charterSchools: (_, args, { graph }) => graph.nodes('charter').filter(n => matchesArgs(n, args)),
+    charterSchool: (_, { name }, { graph }) => graph.node('charter', name),
+    closings: (_, { county, status, type }, { graph }) => graph.closings().filter((c) => {
+      if (type?.length && !type.map(fromEnum).includes(c.layer)) return false;
+      if (status?.length && !status.map(fromEnum).includes(c.closing.statusType)) return false;
+      if (county) {
+        const { counties } = graph.node(c.layer, c.key) || { counties: [] };
+        if (!counties.some(name => name.toLowerCase() === county.toLowerCase())) return false;
+      }
+      return true;
+    }),
+  },
+
+  Closing: {
+    organizationType: c => toEnum(c.layer),
+    name: c => c.graph.node(c.layer, c.key)?.displayName || c.key,
+    counties: c => c.graph.node(c.layer, c.key)?.counties || [],
+    statusType: c => toEnum(c.closing.statusType),
+    statusLabel: c => STATUS_LABELS[c.closing.statusType] || c.closing.statusType,
+    status: c => c.closing.status,
+    date: c => c.closing.date || null,
+    delayMinutes: c => c.closing.delayMinutes ?? null,
+    dismissalTime: c => c.closing.dismissalTime ?? null,
+    earlyDismissalMinutes: c => c.closing.earlyDismissalMinutes ?? null,
+    remoteLearning: c => !!c.closing.remoteLearning,
+    affectedPrograms: c => c.closing.affectedPrograms || [],
+    inheritedFrom: c => c.closing.inheritedFrom || null,
+    coordinates: c => toCoordinates(c.graph.node(c.layer, c.key)?.feature.geometry),
+    district: c => (c.layer === 'district' ? c.graph.node('district', c.key) : null),
+    votechDistrict: c => (c.layer === 'votech' ? c.graph.node('votech', c.key) : null),
+    charterSchool: c => (c.layer === 'charter' ? c.graph.node('charter', c.key) : null),
+  },
+
+  District: {
+    ...organizationFields,
+    center: node => toCoordinates(node.feature.geometry),
+    boundary: node => node.feature.geometry,
+    charterSchools: (node, args) => node.graph.nodes('charter')
+      .filter(charter => isInside(charter, node))
+      .filter(charter => matchesArgs(charter, args)),
+    votechDistricts: node => node.graph.nodes('votech').filter(v => sharesCounty(v, node)),
+  },
+
+  VotechDistrict: {
+    ...organizationFields,
+    center: node => toCoordinates(node.feature.geometry),
+    boundary: node => node.feature.geometry,
+    districts: (node, args) => node.graph.nodes('district')
+      .filter(d => sharesCounty(d, node))
+      .filter(d => matchesArgs(d, args)),
+  },
+
+  CharterSchool: {
+    ...organizationFields,
+    shortName: node => node.feature.properties.SCHOOLSHOR || null,
+    coordinates: node => toCoordinates(node.feature.geometry),
+    district: node => node.graph.nodes('district').find(d => isInside(node, d)) || null,
+  },
+
+  StatusDetail: {
+    statusType: detail => toEnum(detail.statusType),
+    statusLabel: detail => STATUS_LABELS[detail.statusType] || detail.statusType,
+  },
+
+  StatusChange: {
+    changeType: ({ change }) => toEnum(change.type),
+    organizationType: ({ change }) => toEnum(change.layer),
+    key: ({ change }) => change.key,
+    name: ({ change }) => change.displayName,
+    counties: ({ change }) => change.counties,
+    previous: ({ change }) => change.previous,
+    current: ({ change }) => change.current,
+    detectedAt: ({ change }) => change.detectedAt,
+    district: ({ change, graph }) => (change.layer === 'district' ? graph.node('district', change.key) : null),
+    votechDistrict: ({ change, graph }) => (change.layer === 'votech' ? graph.node('votech', change.key) : null),
+    charterSchool: ({ change, graph }) => (change.layer === 'charter' ? graph.node('charter', change.key) : null),
+  },
+
+  Subscription: {
+    // Context: `events` emits 'changes' (changes, snapshot) with described
+    // changes; `graphFor(snapshot)` builds the graph relationships resolve
+    // against; aborting `signal` ends the subscription.
+    statusChanged: {
+      subscribe: async function* statusChanged(_, { county, type, status }, { events, graphFor, signal }) {
+        try {
+          for await (const [changes, snapshot] of on(events, 'changes', { signal })) {
+            const graph = graphFor(snapshot);
+            for (const change of changes) {
+              if (type?.length && !type.map(fromEnum).includes(change.layer)) continue;
+              if (county && !change.counties.some(c => c.toLowerCase() === county.toLowerCase())) continue;
+              if (status?.length && !status.map(fromEnum).includes(change.current?.statusType || 'open')) continue;
+              yield { change, graph };
+            }
+          }
+        } catch (err) {
+          if (err.name !== 'AbortError') throw err;
+        }
+      },
+      resolve: payload => payload,
+    },
+  },
+};
+
+// The executable schema: SDL types with the resolvers attached
+function createSchema() {
+  const schema = buildSchema(typeDefs);
+  for (const [typeName, fields] of Object.entries(resolvers)) {
+    const typeFields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolver] of Object.entries(fields)) {
+      if (typeof resolver === 'function') typeFields[fieldName].resolve = resolver;
+      else Object.assign(typeFields[fieldName], resolver);
+    }
+  }
+  return schema;
+}
+
+module.exports = {
+  createGraph,
+  createSchema,
+};
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('./dataStore');
+
+// Append-only store of every closings snapshot, one JSON line per poll,
+// partitioned into one file per local calendar day. A snapshot is stored in
+// full only when its closings changed; a poll that changed nothing appends
+// { fetchedAt, unchanged: true }, which readers expand into a copy of the full
+// snapshot before it. Each day's file opens with a full snapshot, so a day
+// can be read on its own.
+const HISTORY_DIR = dataPath('history');
+
+const LAYERS = [
+  { layer: 'district', field: 'byDistrict' },
+  { layer: 'votech',   field: 'byVotech' },
+  { layer: 'charter',  field: 'byCharter' },
+  { layer: 'school',   field: 'bySchool' },
+  { layer: 'private',  field: 'byPrivate' },
+];
+
+// YYYY-MM-DD in server-local time (the state feed is Eastern time)
+function dayKey(date) {
+  const d = new Date(date);
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+let pendingWrite = Promise.resolve();
+
+// `unchanged` says the snapshot has the same closings as the last one recorded
+function recordSnapshot(snapshot, { unchanged = false } = {}) {
+  const write = async () => {
+    await fs.promises.mkdir(HISTORY_DIR, { recursive: true });
+    const file = path.join(HISTORY_DIR, `${dayKey(snapshot.fetchedAt)}.jsonl`);
+    const dayStarted = unchanged && await fs.promises.access(file).then(() => true, () => false);
+    const line = dayStarted ? { fetchedAt: snapshot.fetchedAt, unchanged: true } : snapshot;
+    await fs.promises.appendFile(file, JSON.stringify(line) + '\n');
+  };
+  // One append at a time, so a marker never lands ahead of the snapshot it repeats
+  const result = pendingWrite.then(write);
+  pendingWrite = result.catch(() => {});
+  return result;
+}
+
+// Every snapshot in one day's file, oldest first, with markers expanded
+function parseDay(text) {
+  const snapshots = [];
+  let full = null;
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    let snap;
+    try { snap = JSON.parse(line); } catch { continue; } // skip a torn trailing write
+    if (snap.unchanged) {
+      if (!full) continue;
+      snap = { ...full, fetchedAt: snap.fetchedAt };
+    } else {
+      full = snap;
+    }
+    snapshots.push(snap);
+  }
+  return snapshots;
+}
+
+// Read every snapshot whose fetchedAt falls within [from, to]
+async function readSnapshots(from, to) {
+  let files;
+  try {
+    files = await fs.promises.readdir(HISTORY_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const fromDay = dayKey(from);
+  const toDay   = dayKey(to);
+  const snapshots = [];
+
+  for (const file of files.sort()) {
+    const day = path.basename(file, '.jsonl');
+    if (!file.endsWith('.jsonl') || day < fromDay || day > toDay) continue;
+
+    const text = await fs.promises.readFile(path.join(HISTORY_DIR, file), 'utf8');
+    for (const snap of parseDay(text)) {
+      const t = new Date(snap.fetchedAt);
+      if (t >= from && t <= to) snapshots.push(snap);
+    }
+  }
+  return snapshots;
+}
+
+// Every day with recorded snapshots, oldest first, as YYYY-MM-DD
+async function listDays() {
+  try {
+    const files = await fs.promises.readdir(HISTORY_DIR);
+    return files.filter(f => f.endsWith('.jsonl')).map(f => path.basename(f, '.jsonl')).sort();
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+// Most recent stored snapshot, or null when nothing has been recorded yet
+async function latestSnapshot() {
+  let files;
+  try {
+    files = (await fs.promises.readdir(HISTORY_DIR)).filter(f => f.endsWith('.jsonl')).sort();
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+
+  for (const file of files.reverse()) {
+    const snapshots = parseDay(await fs.promises.readFile(path.join(HISTORY_DIR, file), 'utf8'));
+    if (snapshots.length) return snapshots[snapshots.length - 1];
+  }
+  return null;
+}
+
+// The snapshot in effect at `time`: the last one recorded at or before it.
+// The server may not have been polling then, so this can come from an
+// earlier day. Null when nothing had been recorded yet.
+async function snapshotAt(time) {
+  let files;
+  try {
+    files = (await fs.promises.readdir(HISTORY_DIR)).filter(f => f.endsWith('.jsonl')).sort();
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+
+  const lastDay = dayKey(time);
+  for (const file of files.reverse()) {
+    if (path.basename(file, '.jsonl') > lastDay) continue;
+    const text = await fs.promises.readFile(path.join(HISTORY_DIR, file), 'utf8');
+    let found = null;
+    for (const snap of parseDay(text)) {
+      if (new Date(snap.fetchedAt) <= time) found = snap;
+    }
+    if (found) return found;
+  }
+  return null;
+}
+
+// Collapse snapshots into one entry per matched district/VoTech/charter/school/private school per day.
+// `district` optionally filters by a case-insensitive substring of the key.
+async function queryHistory({ from, to, district }) {
+  const snapshots = await readSnapshots(from, to);
+  const needle = district ? district.toLowerCase() : null;
+  const entries = new Map();
+
+  for (const snap of snapshots) {
+    const day = dayKey(snap.fetchedAt);
+    for (const { layer, field } of LAYERS) {
+      for (const [key, closing] of Object.entries(snap[field] || {})) {
+        if (needle && !key.toLowerCase().includes(needle)) continue;
+
+        const id = `${day}|${layer}|${key}`;
+        const existing = entries.get(id);
+        if (existing) {
+          existing.lastSeen = snap.fetchedAt;
+          // Keep the most recent wording, e.g. a delay upgraded to a closure
+          existing.status     = closing.status;
+          existing.statusType = closing.statusType;
+          if (!existing.statusTypes.includes(closing.statusType)) {
+            existing.statusTypes.push(closing.statusType);
+          }
+        } else {
+          entries.set(id, {
+            day,
+            layer,
+            key,
+            schoolName: closing.schoolName,
+            status:     closing.status,
+            statusType: closing.statusType,
+            statusTypes: [closing.statusType],
+            date:       closing.date,
+            firstSeen:  snap.fetchedAt,
+            lastSeen:   snap.fetchedAt,
+          });
+        }
+      }
+    }
+  }
+
+  return [...entries.values()].sort((a, b) =>
+    a.day.localeCompare(b.day) || a.layer.localeCompare(b.layer) || a.key.localeCompare(b.key));
+}
+
+// The day a history entry applies to: the feed's own date cell when it parses,
+// otherwise the day it was first seen (announcements often go out the night before)
+function effectiveDay(entry) {
+  const parsed = entry.date ? new Date(entry.date) : null;
+  if (parsed && !isNaN(parsed) && parsed.getFullYear() > 2000) return dayKey(parsed);
+  return entry.day;
+}
+
+module.exports = {
+  HISTORY_DIR,
+  dayKey,
+  recordSnapshot,
+  readSnapshots,
+  listDays,
+  latestSnapshot,
+  snapshotAt,
+  queryHistory,
+  effectiveDay,
+};
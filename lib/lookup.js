@@ -0,0 +1,166 @@
+const { pointInFeature } = require('./geo');
+
+// "Which schools serve this point?" — the traditional district and VoTech
+// district whose polygons contain it, and the nearest charter schools, each
+// with its current closing (or null when open). `nearby` lists everything
+// within a radius for the "near me" panel.
+const NEAREST_CHARTERS = 3;
+const EARTH_RADIUS_MILES = 3958.8;
+const MILES_PER_DEGREE_LAT = 69.05;
+
+function distanceMiles([lng1, lat1], [lng2, lat2]) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLng = (lng2 - lng1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+function polygonRings(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return geometry.coordinates;
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat();
+  return [];
+}
+
+// Miles from `point` to the nearest edge of a polygon feature, 0 when inside.
+// Edges are measured on a flat projection around the point, which is accurate
+// to well under 1% at the distances the near-me radius allows.
+function distanceToFeature(point, feature) {
+  if (pointInFeature(point, feature)) return 0;
+  const [lng0, lat0] = point;
+  const xScale = MILES_PER_DEGREE_LAT * Math.cos(lat0 * Math.PI / 180);
+  const project = ([lng, lat]) => [(lng - lng0) * xScale, (lat - lat0) * MILES_PER_DEGREE_LAT];
+
+  let best = Infinity;
+  for (const ring of polygonRings(feature.geometry)) {
+    for (let i = 1; i < ring.length; i++) {
+      const [ax, ay] = project(ring[i - 1]);
+      const [bx, by] = project(ring[i]);
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lengthSq = dx * dx + dy * dy;
+      const t = lengthSq ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+      best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+  }
+  return best;
+}
+
+// Center of a feature's bounding box as { lat, lng }
+// (a loop rather than Math.min(...) — detailed boundaries overflow the argument limit)
+function boxCenter(feature) {
+  let minLng = Infinity, maxLng = -Infinity, minLat = Infinity, maxLat = -Infinity;
+  for (const ring of polygonRings(feature.geometry)) {
+    for (const [lng, lat] of ring) {
+      if (lng < minLng) minLng = lng;
+      if (lng > maxLng) maxLng = lng;
+      if (lat < minLat) minLat = lat;
+      if (lat > maxLat) maxLat = lat;
+    }
+  }
+  return { lat: (minLat + maxLat) / 2, lng: (minLng + maxLng) / 2 };
+}
+
+const roundMiles = miles => Math.round(miles * 10) / 10;
+
+// `snapshot` is the closings payload ({ byDistrict, byVotech, byCharter })
+function lookupPoint({ lat, lng }, { districts, votech, charters, snapshot }, { charterCount = NEAREST_CHARTERS } = {}) {
+  const point = [lng, lat];
+
+  const districtFeature = districts.features.find(f => pointInFeature(point, f));
+  const district = districtFeature && {
+    name: districtFeature.properties.NAME,
+    counties: districtFeature.properties.COUNTIES || [],
+    closing: snapshot.byDistrict[districtFeature.properties.NAME] || null,
+  };
+
+  const votechFeature = votech.features.find(f => pointInFeature(point, f));
+  const votechDistrict = votechFeature && {
+    key: votechFeature.properties.VOTECH,
+    name: votechFeature.properties.NAME || votechFeature.properties.VOTECH,
+    closing: snapshot.byVotech[votechFeature.properties.VOTECH] || null,
+  };
+
+  // A charter with several campuses is listed once, at its nearest campus
+  const nearest = new Map();
+  for (const f of charters.features) {
+    const name = f.properties.SCHOOLNAME;
+    if (!name || f.geometry?.type !== 'Point') continue;
+    const miles = distanceMiles(point, f.geometry.coordinates);
+    if (!nearest.has(name) || miles < nearest.get(name).distanceMiles) {
+      nearest.set(name, {
+        name,
+        lat: f.geometry.coordinates[1],
+        lng: f.geometry.coordinates[0],
+        distanceMiles: miles,
+      });
+    }
+  }
+  const nearestCharters = [...nearest.values()]
+    .sort((a, b) => a.distanceMiles - b.distanceMiles)
+    .slice(0, charterCount)
+    .map(c => ({
+      ...c,
+      distanceMiles: roundMiles(c.distanceMiles),
+      closing: snapshot.byCharter[c.name] || null,
+    }));
+
+  return {
+    district: district || null,
+    votech: votechDistrict || null,
+    charters: nearestCharters,
+  };
+}
+
+// Every district, VoTech district and charter within `radiusMiles` of the
+// point, nearest first. Districts count from their nearest edge (0 when the
+// point is inside); a VoTech or charter with several polygons/campuses is
+// listed once at its nearest. `district` is the district containing the point.
+function nearby({ lat, lng }, { districts, votech, charters, snapshot }, radiusMiles) {
+  const point = [lng, lat];
+  const found = new Map(); // `${layer}:${key}` → item
+
+  const consider = (layer, key, name, miles, position) => {
+    if (miles > radiusMiles) return;
+    const id = `${layer}:${key}`;
+    if (!found.has(id) || miles < found.get(id).distanceMiles) {
+      found.set(id, { layer, key, name, distanceMiles: miles, ...position });
+    }
+  };
+
+  for (const f of districts.features) {
+    const name = f.properties.NAME;
+    if (name) consider('district', name, name, distanceToFeature(point, f), boxCenter(f));
+  }
+  for (const f of votech.features) {
+    const key = f.properties.VOTECH;
+    if (key) consider('votech', key, f.properties.NAME || key, distanceToFeature(point, f), boxCenter(f));
+  }
+  for (const f of charters.features) {
+    const name = f.properties.SCHOOLNAME;
+    if (!name || f.geometry?.type !== 'Point') continue;
+    const [cLng, cLat] = f.geometry.coordinates;
+    consider('charter', name, name, distanceMiles(point, f.geometry.coordinates), { lat: cLat, lng: cLng });
+  }
+
+  const closingsFor = { district: snapshot.byDistrict, votech: snapshot.byVotech, charter: snapshot.byCharter };
+  const items = [...found.values()]
+    .sort((a, b) => a.distanceMiles - b.distanceMiles || a.name.localeCompare(b.name))
+    .map(item => ({
+      ...item,
+      distanceMiles: roundMiles(item.distanceMiles),
+      closing: closingsFor[item.layer][item.key] || null,
+    }));
+
+  const containing = districts.features.find(f => pointInFeature(point, f));
+  return { district: containing ? containing.properties.NAME : null, items };
+}
+
+module.exports = {
+  boxCenter,
+  distanceMiles,
+  distanceToFeature,
+  lookupPoint,
+  nearby,
+};
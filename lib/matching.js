@@ -0,0 +1,265 @@
+const { DEFAULT_ALIASES } = require('./aliases');
+
+// Matches PortalFeed closings to traditional districts (ArcGIS NAME),
+// VoTech districts (VOTECH key), charter schools and individual district
+// school buildings (SCHOOLNAME) and supplemental private schools (NAME) by
+// token-based fuzzy scoring against each name and its aliases.
+
+// Maps VOTECH field value → friendly display name
+const VOTECH_MAP = {
+  'NEW CASTLE': {
+    displayName: 'New Castle County Vocational-Technical School District',
+  },
+  'POLYTECH': {
+    displayName: 'Polytech School District',
+  },
+  'SUSSEX TECH': {
+    displayName: 'Sussex Technical School District',
+  },
+};
+
+// Scores at or above MATCH_THRESHOLD are applied; below CONFIDENT_THRESHOLD
+// they are also reported for review as low confidence.
+const MATCH_THRESHOLD = 0.7;
+const CONFIDENT_THRESHOLD = 0.9;
+
+const STOPWORDS = new Set(['school', 'schools', 'district', 'the', 'of', 'sd', 'inc', 'public', 'and', 'charter']);
+
+const ABBREVIATIONS = {
+  del: 'delaware',
+  acad: 'academy',
+  mil: 'military',
+  st: 'saint',
+  mt: 'mount',
+  sch: 'school',
+  hs: 'high',
+  elem: 'elementary',
+  ncc: 'new castle county',
+  vo: 'vocational',
+  voc: 'vocational',
+  votech: 'vocational technical',
+  tech: 'technical',
+};
+
+// Lower-case word tokens with parentheticals such as "(Lower School)",
+// punctuation and filler words removed and common abbreviations expanded
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .flatMap(t => (ABBREVIATIONS[t] || t).split(' '))
+    .filter(t => !STOPWORDS.has(t));
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+// Exact tokens score 1; an abbreviation ("appo") or a one-letter typo scores a little less
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  const [short, long] = a.length < b.length ? [a, b] : [b, a];
+  if (short.length >= 4 && long.startsWith(short)) return 0.9;
+  if (short.length >= 5 && editDistance(a, b) <= 1) return 0.85;
+  return 0;
+}
+
+function containsSequence(haystack, needle) {
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((t, j) => haystack[i + j] === t)) return true;
+  }
+  return false;
+}
+
+function average(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// 0–1 confidence that a feed name refers to a candidate name
+function scoreTokens(feed, candidate) {
+  if (!feed.length || !candidate.length) return 0;
+  if (feed.join(' ') === candidate.join(' ')) return 1;
+  // The whole candidate name appears in the feed row, e.g. "Christina - all buildings".
+  // A lone short word is too ambiguous to count on its own.
+  if (containsSequence(feed, candidate) && (candidate.length > 1 || candidate[0].length >= 5)) return 0.95;
+
+  const recall    = average(candidate.map(c => Math.max(...feed.map(f => tokenSimilarity(f, c)))));
+  const precision = average(feed.map(f => Math.max(...candidate.map(c => tokenSimilarity(f, c)))));
+  return Math.round((0.7 * recall + 0.3 * precision) * 100) / 100;
+}
+
+function scoreName(feedName, candidateName) {
+  return scoreTokens(tokenize(feedName), tokenize(candidateName));
+}
+
+// Every district, VoTech district, charter, school and private school with the
+// token lists of its name and aliases. VoTech districts come from the `votech`
+// layer (VOTECH key, NAME) when given, otherwise from VOTECH_MAP.
+function buildCandidates({ districts, votech, charters, schools, privateSchools }, aliases = DEFAULT_ALIASES) {
+  const candidates = [];
+  const add = (layer, key, names) => candidates.push({
+    layer,
+    key,
+    variants: names.map(tokenize).filter(tokens => tokens.length),
+  });
+
+  for (const f of districts.features) {
+    const name = f.properties.NAME;
+    if (name) add('district', name, [name, ...((aliases.district || {})[name] || [])]);
+  }
+  const votechNames = votech
+    ? new Map(votech.features.filter(f => f.properties.VOTECH).map(f => [f.properties.VOTECH, f.properties.NAME || f.properties.VOTECH]))
+    : new Map(Object.entries(VOTECH_MAP).map(([key, info]) => [key, info.displayName]));
+  for (const [key, name] of votechNames) {
+    add('votech', key, [name, ...((aliases.votech || {})[key] || [])]);
+  }
+  const charterNames = new Set(charters.features.map(f => f.properties.SCHOOLNAME).filter(Boolean));
+  for (const name of charterNames) {
+    add('charter', name, [name, ...((aliases.charter || {})[name] || [])]);
+  }
+  const schoolNames = new Set(((schools && schools.features) || []).map(f => f.properties.SCHOOLNAME).filter(Boolean));
+  for (const name of schoolNames) {
+    add('school', name, [name, ...((aliases.school || {})[name] || [])]);
+  }
+  for (const f of (privateSchools && privateSchools.features) || []) {
+    const name = f.properties.NAME;
+    if (name) add('private', name, [name, ...((aliases.private || {})[name] || [])]);
+  }
+  return candidates;
+}
+
+// Highest-scoring candidates for one feed name. Several charter campuses can
+// share the best score (e.g. "Kuumba Academy (Lower)" / "(Upper)"), so ties are kept.
+function scoreCandidates(feedName, candidates) {
+  const feed = tokenize(feedName);
+  let best = 0;
+  let winners = [];
+  for (const candidate of candidates) {
+    const score = Math.max(0, ...candidate.variants.map(v => scoreTokens(feed, v)));
+    if (score > best) {
+      best = score;
+      winners = [candidate];
+    } else if (score === best && score > 0) {
+      winners.push(candidate);
+    }
+  }
+  return { confidence: best, candidates: winners };
+}
+
+// On a tie across layers the most specific wins: a row naming both a
+// building and its district ("Red Clay - Lewis Elementary") is about the building.
+const LAYER_PRECEDENCE = ['school', 'private', 'district', 'votech', 'charter'];
+
+// Index closings by matched key. `matches[i]` records what closings[i] matched
+// (or its best candidate below the threshold) so unmatched and low-confidence
+// feed rows can be reviewed. Each row matches one organization; when several
+// rows match the same key, the most confident wins.
+function matchClosings(closings, { districts, votech, charters, schools, privateSchools, aliases }) {
+  const candidates = buildCandidates({ districts, votech, charters, schools, privateSchools }, aliases);
+  const byLayer = { district: {}, votech: {}, charter: {}, school: {}, private: {} };
+  const matchedField = {
+    district: 'matchedDistrict', votech: 'matchedVotech', charter: 'matchedCharter',
+    school: 'matchedSchool', private: 'matchedPrivate',
+  };
+
+  const matches = closings.map((c) => {
+    const { confidence, candidates: best } = scoreCandidates(c.schoolName, candidates);
+    const match = {
+      district: null, votech: null, charters: [], schools: [], privateSchool: null, confidence, bestCandidate: null,
+    };
+    if (!best.length) return match;
+
+    const layer = LAYER_PRECEDENCE.find(l => best.some(b => b.layer === l));
+    const chosen = best.filter(b => b.layer === layer);
+    match.bestCandidate = { layer, key: chosen[0].key };
+    if (confidence < MATCH_THRESHOLD) return match;
+
+    for (const { key } of chosen) {
+      const existing = byLayer[layer][key];
+      if (!existing || existing.matchConfidence < confidence) {
+        byLayer[layer][key] = { ...c, [matchedField[layer]]: key, matchConfidence: confidence };
+      }
+    }
+    if (layer === 'district') match.district = chosen[0].key;
+    else if (layer === 'votech') match.votech = chosen[0].key;
+    else if (layer === 'charter') match.charters = chosen.map(b => b.key);
+    else if (layer === 'school') match.schools = chosen.map(b => b.key);
+    else match.privateSchool = chosen[0].key;
+    return match;
+  });
+
+  return {
+    byDistrict: byLayer.district,
+    byVotech: byLayer.votech,
+    byCharter: byLayer.charter,
+    bySchool: byLayer.school,
+    byPrivate: byLayer.private,
+    matches,
+  };
+}
+
+const RESULT_FIELDS = ['byDistrict', 'byVotech', 'byCharter', 'bySchool', 'byPrivate'];
+
+// Match each source region's closings against that region's own layers only,
+// so a row from one state never lands on a same-named district in another.
+// `regions` is [{ closings, districts, votech, charters, schools }]; private
+// schools can appear in any region's feed. Returns matchClosings' result plus
+// the concatenated `closings` that `matches` lines up with.
+function matchRegions(regions, { privateSchools, aliases }) {
+  const result = { closings: [], matches: [] };
+  for (const field of RESULT_FIELDS) result[field] = {};
+
+  for (const region of regions) {
+    const matched = matchClosings(region.closings, { ...region, privateSchools, aliases });
+    result.closings.push(...region.closings);
+    result.matches.push(...matched.matches);
+    for (const field of RESULT_FIELDS) {
+      for (const [key, entry] of Object.entries(matched[field])) {
+        const existing = result[field][key];
+        if (!existing || existing.matchConfidence < entry.matchConfidence) result[field][key] = entry;
+      }
+    }
+  }
+  return result;
+}
+
+// Feed rows that need an operator: nothing matched, or matched below CONFIDENT_THRESHOLD
+function reviewQueue(closings, matches) {
+  const unmatched = [];
+  const lowConfidence = [];
+  closings.forEach((c, i) => {
+    const m = matches[i];
+    const row = { schoolName: c.schoolName, status: c.status, statusType: c.statusType, date: c.date };
+    if (!m.district && !m.votech && !m.charters.length && !m.schools.length && !m.privateSchool) {
+      unmatched.push({ ...row, bestCandidate: m.bestCandidate && { ...m.bestCandidate, confidence: m.confidence } });
+    } else if (m.confidence < CONFIDENT_THRESHOLD) {
+      lowConfidence.push({ ...row, ...m.bestCandidate, confidence: m.confidence });
+    }
+  });
+  return { unmatched, lowConfidence };
+}
+
+module.exports = {
+  VOTECH_MAP,
+  MATCH_THRESHOLD,
+  CONFIDENT_THRESHOLD,
+  tokenize,
+  scoreName,
+  matchClosings,
+  matchRegions,
+  reviewQueue,
+};
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+// Named secrets from a comma-separated "name:token" list, the format of
+// ADMIN_TOKENS and API_KEYS. Pairs without a name or token are skipped.
+function parseNamedTokens(value) {
+  const pairs = [];
+  for (const pair of (value || '').split(',')) {
+    const sep = pair.indexOf(':');
+    if (sep > 0 && pair.slice(sep + 1).trim()) {
+      pairs.push({ name: pair.slice(0, sep).trim(), token: pair.slice(sep + 1).trim() });
+    }
+  }
+  return pairs;
+}
+
+// Hashing first gives timingSafeEqual equal-length inputs whatever was presented
+const digest = value => crypto.createHash('sha256').update(value).digest();
+
+// Name of the pair whose token matches `presented`, or null
+function findName(pairs, presented) {
+  if (!presented) return null;
+  const hash = digest(presented.trim());
+  const match = pairs.find(pair => crypto.timingSafeEqual(digest(pair.token), hash));
+  return match ? match.name : null;
+}
+
+module.exports = {
+  parseNamedTokens,
+  findName,
+};
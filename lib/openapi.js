@@ -0,0 +1,198 @@
+const { API_TYPES, API_STATUSES, MAX_LIMIT, slug } = require('./publicApi');
+
+// OpenAPI 3.1 description of /api/v1, served at /api/v1/openapi.json.
+// Kept by hand next to lib/publicApi.js; update both together.
+
+const ref = name => ({ $ref: `#/components/${name}` });
+const nullable = type => ({ type: [type, 'null'] });
+
+const listParameters = ['status', 'type', 'county', 'name', 'limit', 'offset'].map(p => ref(`parameters/${p}`));
+
+function listResponse(description, schema) {
+  return {
+    200: {
+      description,
+      headers: {
+        ETag: ref('headers/ETag'),
+        'RateLimit-Limit': ref('headers/RateLimit-Limit'),
+        'RateLimit-Remaining': ref('headers/RateLimit-Remaining'),
+        'RateLimit-Reset': ref('headers/RateLimit-Reset'),
+      },
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['data', 'meta', 'links'],
+            properties: { data: { type: 'array', items: ref(`schemas/${schema}`) }, meta: ref('schemas/Meta'), links: ref('schemas/Links') },
+          },
+        },
+      },
+    },
+    304: { description: 'Unchanged since the ETag sent in If-None-Match' },
+    400: ref('responses/BadRequest'),
+    401: ref('responses/Unauthorized'),
+    429: ref('responses/TooManyRequests'),
+  };
+}
+
+const organizationProperties = {
+  type: { type: 'string', enum: API_TYPES },
+  key: { type: 'string', description: 'Stable identifier within the type, e.g. the district name or VoTech code' },
+  name: { type: 'string' },
+  counties: { type: 'array', items: { type: 'string' } },
+  statusType: { type: 'string', enum: API_STATUSES },
+  statusLabel: { type: 'string' },
+  status: { ...nullable('string'), description: 'Wording from the state feed' },
+  date: { ...nullable('string'), description: 'Date cell from the state feed, as published' },
+};
+
+function openApiDocument({ serverUrl = '/api/v1' } = {}) {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'School Closings API',
+      version: '1.0.0',
+      description: 'Current and recorded school closings, delays and early dismissals. '
+        + 'Send X-API-Key for a per-key rate limit; requests without a key share a smaller per-IP allowance. '
+        + 'Responses carry an ETag; send it back in If-None-Match to get 304 Not Modified while nothing changed.',
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ apiKey: [] }, {}],
+    paths: {
+      '/closings': {
+        get: {
+          summary: 'Current closings',
+          description: 'Every district, VoTech district, charter, school building and private school listed in the latest feed.',
+          operationId: 'listClosings',
+          parameters: listParameters,
+          responses: listResponse('Current closings', 'Closing'),
+        },
+      },
+      '/closings/history': {
+        get: {
+          summary: 'Recorded closings by day',
+          description: 'One entry per organization and day it was listed, from the recorded snapshots.',
+          operationId: 'listClosingHistory',
+          parameters: [
+            { name: 'from', in: 'query', description: 'Start date or time (default: 30 days before to)', schema: { type: 'string' } },
+            { name: 'to', in: 'query', description: 'End date or time; a bare YYYY-MM-DD covers the whole day (default: now)', schema: { type: 'string' } },
+            ...listParameters,
+          ],
+          responses: listResponse('Recorded closings', 'HistoryEntry'),
+        },
+      },
+      '/organizations': {
+        get: {
+          summary: 'Organizations with their current status',
+          description: 'Every known district, VoTech district, charter, school building and private school; unlisted ones are open.',
+          operationId: 'listOrganizations',
+          parameters: listParameters,
+          responses: listResponse('Organizations', 'Organization'),
+        },
+      },
+      '/openapi.json': {
+        get: {
+          summary: 'This document',
+          operationId: 'getOpenApi',
+          responses: { 200: { description: 'OpenAPI document', content: { 'application/json': {} } } },
+        },
+      },
+    },
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      },
+      parameters: {
+        status: {
+          name: 'status', in: 'query', style: 'form', explode: false,
+          description: 'Status types to include',
+          schema: { type: 'array', items: { type: 'string', enum: API_STATUSES.map(slug) } },
+        },
+        type: {
+          name: 'type', in: 'query', style: 'form', explode: false,
+          description: 'Organization types to include',
+          schema: { type: 'array', items: { type: 'string', enum: API_TYPES } },
+        },
+        county: {
+          name: 'county', in: 'query', style: 'form', explode: false,
+          description: 'Counties served (case-insensitive)',
+          schema: { type: 'array', items: { type: 'string' } },
+        },
+        name: { name: 'name', in: 'query', description: 'Substring of the name or key (case-insensitive)', schema: { type: 'string' } },
+        limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: 100 } },
+        offset: { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+      },
+      headers: {
+        ETag: { description: 'Version of the response body', schema: { type: 'string' } },
+        'RateLimit-Limit': { description: 'Requests allowed per minute', schema: { type: 'integer' } },
+        'RateLimit-Remaining': { description: 'Requests left in the current minute', schema: { type: 'integer' } },
+        'RateLimit-Reset': { description: 'Seconds until the count resets', schema: { type: 'integer' } },
+      },
+      responses: {
+        BadRequest: { description: 'Invalid query parameter', content: { 'application/json': { schema: ref('schemas/Error') } } },
+        Unauthorized: { description: 'Unknown API key, or a key is required', content: { 'application/json': { schema: ref('schemas/Error') } } },
+        TooManyRequests: {
+          description: 'Rate limit exceeded; retry after the given number of seconds',
+          headers: { 'Retry-After': { schema: { type: 'integer' } } },
+          content: { 'application/json': { schema: ref('schemas/Error') } },
+        },
+      },
+      schemas: {
+        Organization: {
+          type: 'object',
+          required: Object.keys(organizationProperties),
+          properties: organizationProperties,
+        },
+        Closing: {
+          type: 'object',
+          required: Object.keys(organizationProperties),
+          properties: {
+            ...organizationProperties,
+            delayMinutes: nullable('integer'),
+            dismissalTime: { ...nullable('string'), description: '24-hour HH:MM' },
+            earlyDismissalMinutes: nullable('integer'),
+            remoteLearning: { type: 'boolean' },
+            affectedPrograms: { type: 'array', items: { type: 'string' } },
+            inheritedFrom: { ...nullable('string'), description: 'District a private school follows, when its status comes from there' },
+          },
+        },
+        HistoryEntry: {
+          type: 'object',
+          required: ['day', ...Object.keys(organizationProperties), 'statusTypes', 'firstSeen', 'lastSeen'],
+          properties: {
+            day: { type: 'string', format: 'date' },
+            ...organizationProperties,
+            statusTypes: { type: 'array', items: { type: 'string' }, description: 'Every status seen that day, in order' },
+            firstSeen: { type: 'string', format: 'date-time' },
+            lastSeen: { type: 'string', format: 'date-time' },
+          },
+        },
+        Meta: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer', description: 'Matching records across all pages' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+            fetchedAt: { type: 'string', format: 'date-time', description: 'When the feed was last read' },
+            stale: { type: 'boolean', description: 'True while the feed is unavailable and the last good data is served' },
+            from: { type: 'string', format: 'date-time' },
+            to: { type: 'string', format: 'date-time' },
+          },
+        },
+        Links: {
+          type: 'object',
+          properties: { next: nullable('string'), prev: nullable('string') },
+        },
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: { error: { type: 'string' } },
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  openApiDocument,
+};
@@ -0,0 +1,35 @@
+const cheerio = require('cheerio');
+const { normalizeClosing } = require('./sources/normalize');
+const upstream = require('./upstream');
+
+// Delaware DOE closings XML feed
+const CLOSINGS_URL = 'https://schoolclosings.delaware.gov/XML/PortalFeed';
+
+// Each <row> holds four <cell>s: district/school name, details, title, date
+function parseClosingsXml(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const closings = [];
+
+  $('row').each((i, el) => {
+    const cells = $(el).find('cell');
+    const district = $(cells[0]).text().trim();
+    const details  = $(cells[1]).text().trim();
+    const title    = $(cells[2]).text().trim();
+    const date     = $(cells[3]).text().trim();
+    if (!district) return;
+
+    closings.push(normalizeClosing({ name: district, details, title, date }));
+  });
+
+  return closings;
+}
+
+function fetchClosingsXml() {
+  return upstream.getData('portalFeed', CLOSINGS_URL);
+}
+
+module.exports = {
+  CLOSINGS_URL,
+  parseClosingsXml,
+  fetchClosingsXml,
+};
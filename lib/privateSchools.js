@@ -0,0 +1,143 @@
+const fs = require('fs');
+const { dataPath } = require('./dataStore');
+const { pointCounties } = require('./counties');
+const { scoreName, MATCH_THRESHOLD } = require('./matching');
+
+// Supplemental list of private and parochial schools, which the state feed
+// and FirstMap do not cover. Operators drop either file into DATA_DIR:
+//
+//   private-schools.geojson — Point features with properties { NAME, FOLLOWS }
+//   private-schools.csv     — header row: name,lat,lng,follows
+//
+// FOLLOWS names the traditional district whose closings the school adopts
+// ("Christina", "Red Clay Consolidated School District", ...). Leave it empty
+// for schools that only announce their own closings.
+const GEOJSON_FILE = 'private-schools.geojson';
+const CSV_FILE = 'private-schools.csv';
+
+// Split CSV text into rows of fields, honouring "quoted, fields" and "" escapes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+function csvToGeoJson(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const column = Object.fromEntries(header.map((h, i) => [h.trim().toLowerCase(), i]));
+  for (const required of ['name', 'lat', 'lng']) {
+    if (column[required] === undefined) throw new Error(`${CSV_FILE} is missing a "${required}" column`);
+  }
+  return {
+    type: 'FeatureCollection',
+    features: rows
+      .map(r => ({
+        name: (r[column.name] || '').trim(),
+        lat: parseFloat(r[column.lat]),
+        lng: parseFloat(r[column.lng]),
+        follows: column.follows === undefined ? '' : (r[column.follows] || '').trim(),
+      }))
+      .filter(r => r.name && !isNaN(r.lat) && !isNaN(r.lng))
+      .map(r => ({
+        type: 'Feature',
+        properties: { NAME: r.name, FOLLOWS: r.follows || null },
+        geometry: { type: 'Point', coordinates: [r.lng, r.lat] },
+      })),
+  };
+}
+
+// Resolve each FOLLOWS rule to a district NAME and tag counties from the location
+function enrichPrivateSchools(data, districts) {
+  const districtNames = districts.features.map(f => f.properties.NAME).filter(Boolean);
+  return {
+    type: 'FeatureCollection',
+    features: data.features
+      .filter(f => f.properties?.NAME && f.geometry?.type === 'Point')
+      .map((f) => {
+        let follows = null;
+        if (f.properties.FOLLOWS) {
+          const ranked = districtNames
+            .map(name => ({ name, score: scoreName(f.properties.FOLLOWS, name) }))
+            .sort((a, b) => b.score - a.score);
+          if (ranked.length && ranked[0].score >= MATCH_THRESHOLD) follows = ranked[0].name;
+          else console.error(`Private school "${f.properties.NAME}" follows unknown district "${f.properties.FOLLOWS}"`);
+        }
+        return {
+          ...f,
+          properties: {
+            ...f.properties,
+            FOLLOWS: follows,
+            COUNTIES: pointCounties(f.geometry.coordinates, districts.features),
+          },
+        };
+      }),
+  };
+}
+
+async function readOptional(file) {
+  try {
+    return await fs.promises.readFile(dataPath(file), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// The supplemental list, or an empty collection when neither file exists
+async function loadPrivateSchools(districts) {
+  const geojson = await readOptional(GEOJSON_FILE);
+  if (geojson) return enrichPrivateSchools(JSON.parse(geojson), districts);
+  const csv = await readOptional(CSV_FILE);
+  if (csv) return enrichPrivateSchools(csvToGeoJson(csv), districts);
+  return { type: 'FeatureCollection', features: [] };
+}
+
+// Each private school's effective status: its own feed entry when it posted
+// one, otherwise the closing of the district it follows (marked inheritedFrom).
+function effectiveStatuses(privateSchools, ownClosings, byDistrict) {
+  const result = {};
+  for (const f of privateSchools.features) {
+    const { NAME: name, FOLLOWS: follows } = f.properties;
+    if (ownClosings[name]) {
+      result[name] = ownClosings[name];
+    } else if (follows && byDistrict[follows]) {
+      result[name] = { ...byDistrict[follows], matchedPrivate: name, inheritedFrom: follows };
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  parseCsv,
+  csvToGeoJson,
+  enrichPrivateSchools,
+  loadPrivateSchools,
+  effectiveStatuses,
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { STATUS_TYPES, STATUS_LABELS } = require('./statusTypes');
+
+// Records, filters and pagination for the public /api/v1 API. Every list
+// takes the same query parameters:
+//
+//   status=closed,delay    statusType slugs (early-dismissal, activities-cancelled, open, …)
+//   type=district,charter  district | votech | charter | school | private
+//   county=Kent            any county the organization serves (case-insensitive)
+//   name=christina         substring of the display name or key
+//   limit=100&offset=0     page size (max 500) and start
+//
+// Repeated parameters (?type=district&type=votech) work like comma lists.
+
+const API_TYPES = ['district', 'votech', 'charter', 'school', 'private'];
+const SNAPSHOT_FIELDS = {
+  district: 'byDistrict',
+  votech:   'byVotech',
+  charter:  'byCharter',
+  school:   'bySchool',
+  private:  'byPrivate',
+};
+const API_STATUSES = [...STATUS_TYPES, 'open'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+const slug = statusType => statusType.replace(/\s+/g, '-');
+const STATUS_BY_SLUG = new Map(API_STATUSES.flatMap(t => [[t, t], [slug(t), t]]));
+
+const listParam = value => [].concat(value ?? [])
+  .flatMap(v => String(v).split(','))
+  .map(v => v.trim())
+  .filter(Boolean);
+
+// { filters, limit, offset } from the query string, or { error }
+function parseListQuery(query) {
+  const statusSlugs = listParam(query.status).map(s => s.toLowerCase());
+  const statuses = statusSlugs.map(s => STATUS_BY_SLUG.get(s));
+  if (statuses.includes(undefined)) {
+    return { error: `status must be one of: ${API_STATUSES.map(slug).join(', ')}` };
+  }
+
+  const types = listParam(query.type).map(t => t.toLowerCase());
+  if (types.some(t => !API_TYPES.includes(t))) {
+    return { error: `type must be one of: ${API_TYPES.join(', ')}` };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) return { error: 'offset must be a whole number, 0 or more' };
+
+  return {
+    filters: {
+      statuses,
+      types,
+      counties: listParam(query.county).map(c => c.toLowerCase()),
+      name: String(query.name || '').trim().toLowerCase(),
+    },
+    limit,
+    offset,
+  };
+}
+
+function matchesQuery(record, { statuses, types, counties, name }) {
+  if (statuses.length && !statuses.includes(record.statusType)) return false;
+  if (types.length && !types.includes(record.type)) return false;
+  if (counties.length && !record.counties.some(c => counties.includes(c.toLowerCase()))) return false;
+  if (name && !record.name.toLowerCase().includes(name) && !record.key.toLowerCase().includes(name)) return false;
+  return true;
+}
+
+// ── Records ──────────────────────────────────────────────────────────
+// `describe(layer, key)` supplies { displayName, counties }
+
+function closingRecord(layer, key, closing, describe) {
+  const { displayName, counties } = describe(layer, key);
+  return {
+    type: layer,
+    key,
+    name: displayName,
+    counties,
+    statusType: closing.statusType,
+    statusLabel: STATUS_LABELS[closing.statusType] || closing.statusType,
+    status: closing.status,
+    date: closing.date || null,
+    delayMinutes: closing.delayMinutes ?? null,
+    dismissalTime: closing.dismissalTime ?? null,
+    earlyDismissalMinutes: closing.earlyDismissalMinutes ?? null,
+    remoteLearning: !!closing.remoteLearning,
+    affectedPrograms: closing.affectedPrograms || [],
+    inheritedFrom: closing.inheritedFrom || null,
+  };
+}
+
+// Every matched closing in a snapshot
+function closingRecords(snapshot, describe) {
+  return API_TYPES.flatMap(layer => Object.entries(snapshot[SNAPSHOT_FIELDS[layer]] || {})
+    .map(([key, closing]) => closingRecord(layer, key, closing, describe)));
+}
+
+// An organization with its current status; 'open' when it isn't listed
+function organizationRecord(layer, key, closing, describe) {
+  if (closing) return closingRecord(layer, key, closing, describe);
+  const { displayName, counties } = describe(layer, key);
+  return {
+    type: layer,
+    key,
+    name: displayName,
+    counties,
+    statusType: 'open',
+    statusLabel: STATUS_LABELS.open,
+    status: null,
+    date: null,
+  };
+}
+
+// A queryHistory entry
+function historyRecord(entry, describe) {
+  const { displayName, counties } = describe(entry.layer, entry.key);
+  return {
+    day: entry.day,
+    type: entry.layer,
+    key: entry.key,
+    name: displayName,
+    counties,
+    statusType: entry.statusType,
+    statusTypes: entry.statusTypes,
+    status: entry.status,
+    date: entry.date || null,
+    firstSeen: entry.firstSeen,
+    lastSeen: entry.lastSeen,
+  };
+}
+
+// ── Pagination ───────────────────────────────────────────────────────
+// One page of the filtered records plus meta and next/prev links. `url` is
+// the request path; its other query parameters are kept in the links.
+function paginate(records, { filters, limit, offset }, url) {
+  const matching = records.filter(r => matchesQuery(r, filters));
+  const link = (start) => {
+    const next = new URL(url, 'http://localhost');
+    next.searchParams.set('limit', limit);
+    next.searchParams.set('offset', start);
+    return `${next.pathname}${next.search}`;
+  };
+  return {
+    data: matching.slice(offset, offset + limit),
+    meta: { total: matching.length, limit, offset },
+    links: {
+      next: offset + limit < matching.length ? link(offset + limit) : null,
+      prev: offset > 0 ? link(Math.max(0, offset - limit)) : null,
+    },
+  };
+}
+
+// Weak validator for a response body. Callers leave out fields that change
+// on every poll (fetchedAt) so an unchanged page keeps its ETag.
+function etag(value) {
+  return `W/"${crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url')}"`;
+}
+
+// True when an If-None-Match header lists `tag` (weak comparison) or is *
+function matchesEtag(header, tag) {
+  if (!header) return false;
+  const strip = t => t.trim().replace(/^W\//, '');
+  return header.split(',').some(t => t.trim() === '*' || strip(t) === strip(tag));
+}
+
+module.exports = {
+  API_TYPES,
+  SNAPSHOT_FIELDS,
+  API_STATUSES,
+  MAX_LIMIT,
+  slug,
+  parseListQuery,
+  matchesQuery,
+  closingRecord,
+  closingRecords,
+  organizationRecord,
+  historyRecord,
+  paginate,
+  etag,
+  matchesEtag,
+};
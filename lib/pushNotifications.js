@@ -0,0 +1,145 @@
+const webpush = require('web-push');
+const { readJson, writeJson } = require('./dataStore');
+const { STATUS_LABELS } = require('./statusTypes');
+const { regionTitle } = require('./sources');
+
+// Web Push subscriptions, each following any number of districts (NAME),
+// VoTech districts (VOTECH key), charter schools or school buildings (SCHOOLNAME)
+// and private schools (NAME).
+const VAPID_FILE = 'vapid.json';
+const SUBSCRIPTIONS_FILE = 'push-subscriptions.json';
+const LAYERS = ['district', 'votech', 'charter', 'school', 'private'];
+const NOTIFICATION_TTL = 6 * 60 * 60; // seconds a push service may hold an undelivered message
+
+let vapidPublicKey = null;
+let subscriptions = null; // endpoint → { subscription, follows: ['layer:key', ...] }
+let saveQueue = Promise.resolve();
+
+function followId(layer, key) {
+  return `${layer}:${key}`;
+}
+
+// Load (or generate and persist) the VAPID key pair and the subscription list.
+// Keys from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY take precedence over the stored pair.
+async function init() {
+  let keys = process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY
+    ? { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY }
+    : await readJson(VAPID_FILE, null);
+  if (!keys) {
+    keys = webpush.generateVAPIDKeys();
+    await writeJson(VAPID_FILE, keys);
+  }
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || 'mailto:admin@example.com',
+    keys.publicKey,
+    keys.privateKey,
+  );
+  vapidPublicKey = keys.publicKey;
+  subscriptions = await readJson(SUBSCRIPTIONS_FILE, {});
+}
+
+function getPublicKey() {
+  return vapidPublicKey;
+}
+
+function save() {
+  const data = subscriptions;
+  saveQueue = saveQueue
+    .then(() => writeJson(SUBSCRIPTIONS_FILE, data))
+    .catch(err => console.error('Failed to save push subscriptions:', err.message));
+  return saveQueue;
+}
+
+function validateFollow(layer, key) {
+  if (!LAYERS.includes(layer)) return `layer must be one of: ${LAYERS.join(', ')}`;
+  if (!key || typeof key !== 'string') return 'key is required';
+  return null;
+}
+
+function ensureReady() {
+  if (!subscriptions) throw new Error('Push notifications are not available');
+}
+
+function getFollows(endpoint) {
+  const entry = subscriptions && subscriptions[endpoint];
+  return entry ? entry.follows : [];
+}
+
+async function follow(subscription, layer, key) {
+  ensureReady();
+  const entry = subscriptions[subscription.endpoint] || { subscription, follows: [] };
+  entry.subscription = subscription; // keys may have rotated
+  const id = followId(layer, key);
+  if (!entry.follows.includes(id)) entry.follows.push(id);
+  subscriptions[subscription.endpoint] = entry;
+  await save();
+  return entry.follows;
+}
+
+async function unfollow(endpoint, layer, key) {
+  ensureReady();
+  const entry = subscriptions[endpoint];
+  if (!entry) return [];
+  entry.follows = entry.follows.filter(id => id !== followId(layer, key));
+  if (!entry.follows.length) delete subscriptions[endpoint];
+  await save();
+  return entry.follows;
+}
+
+function buildPayload(change) {
+  const title = change.displayName || change.key;
+  const body = change.current
+    ? `${STATUS_LABELS[change.current.statusType] || change.current.statusType}: ${change.current.status}`
+    : 'No longer listed — normal schedule';
+  return {
+    title,
+    body,
+    tag: followId(change.layer, change.key),
+    url: '/',
+    site: regionTitle(), // the service worker's title for pushes without their own
+    change,
+  };
+}
+
+// Push each change to every subscription following the affected key.
+// The notification title is the change's displayName (e.g. the VoTech friendly name).
+async function notifyChanges(changes) {
+  if (!subscriptions) return;
+  const deliveries = [];
+  let pruned = false;
+
+  for (const change of changes) {
+    const id = followId(change.layer, change.key);
+    const payload = JSON.stringify(buildPayload(change));
+
+    for (const [endpoint, entry] of Object.entries(subscriptions)) {
+      if (!entry.follows.includes(id)) continue;
+      deliveries.push(
+        webpush.sendNotification(entry.subscription, payload, { TTL: NOTIFICATION_TTL })
+          .catch(err => {
+            // 404/410: the browser unsubscribed — forget the endpoint
+            if (err.statusCode === 404 || err.statusCode === 410) {
+              delete subscriptions[endpoint];
+              pruned = true;
+            } else {
+              console.error(`Push to ${endpoint} failed:`, err.message);
+            }
+          }),
+      );
+    }
+  }
+
+  await Promise.all(deliveries);
+  if (pruned) await save();
+}
+
+module.exports = {
+  LAYERS,
+  init,
+  getPublicKey,
+  validateFollow,
+  getFollows,
+  follow,
+  unfollow,
+  notifyChanges,
+};
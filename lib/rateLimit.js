@@ -0,0 +1,36 @@
+// Fixed-window request counting per client id (an API key's name, or an IP
+// for anonymous callers). Counts live in memory, so they reset on restart
+// and are per process.
+function createRateLimiter({ windowMs }) {
+  const windows = new Map(); // id → { count, resetAt }
+
+  function prune(now) {
+    for (const [id, window] of windows) {
+      if (window.resetAt <= now) windows.delete(id);
+    }
+  }
+
+  // Count a request against a limit of `max` per window
+  function hit(id, max) {
+    const now = Date.now();
+    let window = windows.get(id);
+    if (!window || window.resetAt <= now) {
+      if (windows.size > 10000) prune(now);
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(id, window);
+    }
+    window.count++;
+    return {
+      allowed: window.count <= max,
+      limit: max,
+      remaining: Math.max(0, max - window.count),
+      resetSeconds: Math.ceil((window.resetAt - now) / 1000),
+    };
+  }
+
+  return { hit, reset: () => windows.clear() };
+}
+
+module.exports = {
+  createRateLimiter,
+};
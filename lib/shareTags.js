@@ -0,0 +1,90 @@
+const { STATUS_LABELS } = require('./statusTypes');
+
+// Open Graph and Twitter card tags for shared links, so that
+// /?focus=district:Christina%20School%20District previews in chat apps and
+// social posts with the school's current status rather than a bare title.
+const SITE_NAME = 'School Closings Map';
+const DESCRIPTION_LIMIT = 200;
+
+const FOCUS_FIELDS = {
+  district: 'byDistrict', votech: 'byVotech', charter: 'byCharter', school: 'bySchool', private: 'byPrivate',
+};
+
+// "district:Christina School District" → { layer, key }, or null
+function parseFocus(value) {
+  const match = /^(district|votech|charter|school|private):(.+)$/.exec(String(value || '').trim());
+  return match ? { layer: match[1], key: match[2].trim() } : null;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1).trimEnd()}…` : text;
+}
+
+// { title, description } for a page. `focus` is parsed or null; `displayName`
+// is the friendly name for its key (VoTech keys are codes like POLYTECH).
+function shareMeta({ focus, displayName, snapshot, regionName }) {
+  const siteTitle = regionName ? `${regionName} School Closings` : SITE_NAME;
+
+  if (focus && snapshot) {
+    const closing = (snapshot[FOCUS_FIELDS[focus.layer]] || {})[focus.key];
+    const name = displayName || focus.key;
+    if (closing) {
+      const label = STATUS_LABELS[closing.statusType] || closing.statusType;
+      const when = closing.date ? ` (${closing.date})` : '';
+      return {
+        title: `${name}: ${label} · ${siteTitle}`,
+        description: truncate(`${closing.status}${when}`, DESCRIPTION_LIMIT),
+      };
+    }
+    return {
+      title: `${name}: Open · ${siteTitle}`,
+      description: `No closing, delay or early dismissal is reported for ${name}.`,
+    };
+  }
+
+  const count = snapshot ? (snapshot.closings || []).length : null;
+  let description = 'Live map of school closings, delays and early dismissals.';
+  if (count) description += ` ${count} reported right now.`;
+  else if (count === 0) description += ' All schools are currently open.';
+  return { title: siteTitle, description };
+}
+
+function renderMetaTags({ title, description, url }) {
+  const tags = [
+    ['property', 'og:type', 'website'],
+    ['property', 'og:site_name', SITE_NAME],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    ['name', 'twitter:card', 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'description', description],
+  ];
+  return tags
+    .map(([attr, name, content]) => `<meta ${attr}="${name}" content="${escapeHtml(content)}" />`)
+    .join('\n    ');
+}
+
+// Swap the page title and any existing share tags in index.html for `meta`
+function injectShareTags(html, meta) {
+  const stripped = html
+    .replace(/\s*<meta\s+(?:property="og:[^"]*"|name="twitter:[^"]*"|name="description")[^>]*>/g, '')
+    .replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeHtml(meta.title)}</title>`);
+  return stripped.replace('</head>', `    ${renderMetaTags(meta)}\n  </head>`);
+}
+
+module.exports = {
+  parseFocus,
+  shareMeta,
+  renderMetaTags,
+  injectShareTags,
+};
@@ -0,0 +1,20 @@
+const firstMap = require('../firstMap');
+const { fetchClosingsXml, parseClosingsXml } = require('../portalFeed');
+
+// Delaware: DOE PortalFeed closings, FirstMap district/VoTech/school layers
+module.exports = {
+  id: 'de',
+  name: 'Delaware',
+  upstreams: {
+    closings: 'portalFeed',
+    districts: 'firstMap:districts',
+    votech: 'firstMap:votech',
+    charters: 'firstMap:charters',
+    schools: 'firstMap:schools',
+  },
+  fetchClosings: async () => parseClosingsXml(await fetchClosingsXml()),
+  fetchDistricts: firstMap.fetchDistricts,
+  fetchVotechDistricts: firstMap.fetchVotechDistricts,
+  fetchCharterSchools: firstMap.fetchCharterSchools,
+  fetchSchools: firstMap.fetchSchools,
+};
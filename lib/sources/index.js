@@ -0,0 +1,93 @@
+const delaware = require('./delaware');
+const { normalizeClosing } = require('./normalize');
+
+// Closings source adapters, one per region (normally a state). An adapter is
+// a plain object:
+//
+//   id, name                — short region id ('de') and display name
+//   fetchClosings()         — the region's closings, built with normalizeClosing()
+//   fetchDistricts()        — district polygons with properties.NAME (and COUNTIES)
+//   fetchVotechDistricts()  — optional; polygons with properties.VOTECH and NAME
+//   fetchCharterSchools(districts), fetchSchools(districts)
+//                           — optional; points with properties.SCHOOLNAME (and COUNTIES)
+//   upstreams               — optional upstream name per layer, so callers can
+//                             tell when a layer came from the on-disk copy
+//
+// SOURCES is a comma-separated list of adapter ids to run side by side, e.g.
+// SOURCES="de" (the default and, for now, the only adapter).
+const DEFAULT_SOURCES = 'de';
+const REQUIRED = ['fetchClosings', 'fetchDistricts'];
+const OPTIONAL = ['fetchVotechDistricts', 'fetchCharterSchools', 'fetchSchools'];
+
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+const adapters = new Map();
+
+function registerAdapter(adapter) {
+  if (!adapter || !/^[a-z][a-z0-9-]*$/.test(adapter.id || '')) {
+    throw new Error('Source adapter needs a lower-case id');
+  }
+  if (!adapter.name) throw new Error(`Source adapter "${adapter.id}" needs a name`);
+  for (const fn of REQUIRED) {
+    if (typeof adapter[fn] !== 'function') throw new Error(`Source adapter "${adapter.id}" must implement ${fn}()`);
+  }
+  for (const fn of OPTIONAL) {
+    if (adapter[fn] !== undefined && typeof adapter[fn] !== 'function') {
+      throw new Error(`Source adapter "${adapter.id}": ${fn} must be a function`);
+    }
+  }
+  adapters.set(adapter.id, adapter);
+}
+
+registerAdapter(delaware);
+
+// Adapters named in SOURCES, in order
+function enabledAdapters(ids = process.env.SOURCES || DEFAULT_SOURCES) {
+  return ids.split(',').map(id => id.trim().toLowerCase()).filter(Boolean).map((id) => {
+    const adapter = adapters.get(id);
+    if (!adapter) throw new Error(`Unknown closings source "${id}" (available: ${[...adapters.keys()].join(', ')})`);
+    return adapter;
+  });
+}
+
+// The adapter's closings, each tagged with its region
+async function fetchSourceClosings(adapter) {
+  return (await adapter.fetchClosings()).map(c => ({ ...c, region: adapter.id }));
+}
+
+// One layer for one adapter, each feature tagged with its region. Optional
+// layers the adapter lacks come back empty.
+async function fetchSourceLayer(adapter, layer, districts) {
+  const fn = {
+    districts: adapter.fetchDistricts,
+    votech: adapter.fetchVotechDistricts,
+    charters: adapter.fetchCharterSchools,
+    schools: adapter.fetchSchools,
+  }[layer];
+  const data = fn ? await fn(districts) : EMPTY_COLLECTION;
+  return {
+    ...data,
+    features: data.features.map(f => ({ ...f, properties: { ...f.properties, REGION: adapter.id } })),
+  };
+}
+
+// Site title for the enabled regions: the region's own name when there is just one
+function regionTitle(list = enabledAdapters()) {
+  return list.length === 1 ? `${list[0].name} School Closings` : 'School Closings';
+}
+
+// Concatenate per-region collections into one FeatureCollection
+function mergeCollections(collections) {
+  return { type: 'FeatureCollection', features: collections.flatMap(c => c.features) };
+}
+
+module.exports = {
+  EMPTY_COLLECTION,
+  normalizeClosing,
+  registerAdapter,
+  enabledAdapters,
+  regionTitle,
+  fetchSourceClosings,
+  fetchSourceLayer,
+  mergeCollections,
+};
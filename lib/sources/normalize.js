@@ -0,0 +1,20 @@
+const { parseStatus } = require('../statusParser');
+const { detectStatusType } = require('../statusTypes');
+
+// The closing shape every source adapter produces. `name` is the district or
+// school as the feed spells it, `details` the free-text status and `title`
+// any headline the feed adds (used only to classify the status).
+function normalizeClosing({ name, details, title = '', date = '' }) {
+  return {
+    schoolName: name,
+    status: details || 'Closed',
+    statusType: detectStatusType(`${details || ''} ${name} ${title}`),
+    date,
+    // delayMinutes, dismissalTime, earlyDismissalMinutes, remoteLearning, affectedPrograms
+    ...parseStatus(details || ''),
+  };
+}
+
+module.exports = {
+  normalizeClosing,
+};
@@ -0,0 +1,111 @@
+const { STATUS_TYPES } = require('./statusTypes');
+const { effectiveDay } = require('./historyStore');
+
+// Season totals from the recorded history, for make-up day planning. A day
+// counts once per organization, on the day the closing applies to rather than
+// the day it was announced; when its status changed (a delay upgraded to a
+// closure) the most disruptive status is the one counted.
+const STATS_LAYERS = ['district', 'votech', 'charter'];
+// Listed in `days` but left out of `total`: school still met (virtual learning
+// is an instructional day) or nothing was missed, so no make-up day is owed
+const UNCOUNTED_STATUSES = ['virtual', 'activities cancelled', 'info'];
+const SCHOOL_YEAR_START_MONTH = 6; // school years run July through June
+const MOST_DELAYED_LIMIT = 10;
+
+// School year a date falls in, named by the calendar year it starts
+function schoolYearOf(date) {
+  const d = new Date(date);
+  return d.getMonth() >= SCHOOL_YEAR_START_MONTH ? d.getFullYear() : d.getFullYear() - 1;
+}
+
+// { year, label: '2025–26', from, to } in server-local time, like the history files
+function schoolYearRange(year) {
+  return {
+    year,
+    label: `${year}–${String((year + 1) % 100).padStart(2, '0')}`,
+    from: new Date(year, SCHOOL_YEAR_START_MONTH, 1),
+    to: new Date(year + 1, SCHOOL_YEAR_START_MONTH, 0, 23, 59, 59, 999),
+  };
+}
+
+const worstStatus = statusTypes => STATUS_TYPES.find(t => statusTypes.includes(t)) || statusTypes[0];
+
+const emptyDays = () => Object.fromEntries(STATUS_TYPES.map(t => [t, 0]));
+
+// One record per organization listed in `entries` (queryHistory output):
+// { layer, key, displayName, counties, days: { closed, delay, … }, total, calendar }.
+// `describe(layer, key)` supplies the display name and counties.
+function tallyOrganizations(entries, describe) {
+  // layer:key → effective day → every status type seen for that day
+  const statusesByOrganization = new Map();
+  for (const entry of entries) {
+    if (!STATS_LAYERS.includes(entry.layer)) continue;
+    const id = `${entry.layer}:${entry.key}`;
+    if (!statusesByOrganization.has(id)) statusesByOrganization.set(id, { entry, days: new Map() });
+    const { days } = statusesByOrganization.get(id);
+    const day = effectiveDay(entry);
+    days.set(day, [...(days.get(day) || []), ...entry.statusTypes]);
+  }
+
+  const organizations = [];
+  for (const { entry, days } of statusesByOrganization.values()) {
+    const { displayName, counties } = describe(entry.layer, entry.key);
+    const org = { layer: entry.layer, key: entry.key, displayName, counties, days: emptyDays(), total: 0, calendar: [] };
+    for (const [day, statusTypes] of [...days].sort(([a], [b]) => a.localeCompare(b))) {
+      const statusType = worstStatus(statusTypes);
+      org.days[statusType]++;
+      if (!UNCOUNTED_STATUSES.includes(statusType)) org.total++;
+      org.calendar.push({ day, statusType });
+    }
+    organizations.push(org);
+  }
+  return organizations.sort((a, b) => b.total - a.total || a.displayName.localeCompare(b.displayName));
+}
+
+// Totals per county. An organization serving two counties counts in both.
+function tallyCounties(organizations) {
+  const byCounty = new Map();
+  for (const org of organizations) {
+    for (const county of org.counties) {
+      if (!byCounty.has(county)) byCounty.set(county, { county, organizations: 0, days: emptyDays(), total: 0 });
+      const row = byCounty.get(county);
+      row.organizations++;
+      row.total += org.total;
+      for (const t of STATUS_TYPES) row.days[t] += org.days[t];
+    }
+  }
+  return [...byCounty.values()].sort((a, b) => a.county.localeCompare(b.county));
+}
+
+function mostDelayed(organizations, limit = MOST_DELAYED_LIMIT) {
+  return organizations
+    .filter(org => org.days.delay > 0)
+    .sort((a, b) => b.days.delay - a.days.delay || a.displayName.localeCompare(b.displayName))
+    .slice(0, limit)
+    .map(({ layer, key, displayName, days }) => ({ layer, key, displayName, delayDays: days.delay }));
+}
+
+// The /api/stats/summary payload, minus the per-day calendars
+function summarize(entries, describe) {
+  const organizations = tallyOrganizations(entries, describe);
+  return {
+    organizations: organizations.map(({ calendar, ...org }) => org),
+    counties: tallyCounties(organizations),
+    mostDelayed: mostDelayed(organizations),
+  };
+}
+
+// Per-day statuses for every organization in one layer, for the heatmap
+function calendars(entries, describe, layer) {
+  return tallyOrganizations(entries.filter(e => e.layer === layer), describe)
+    .map(({ key, displayName, calendar }) => ({ key, displayName, days: calendar }))
+    .sort((a, b) => a.displayName.localeCompare(b.displayName));
+}
+
+module.exports = {
+  STATS_LAYERS,
+  schoolYearOf,
+  schoolYearRange,
+  summarize,
+  calendars,
+};
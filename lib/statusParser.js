@@ -0,0 +1,120 @@
+// Structured details pulled out of a closing's free-text status, e.g.
+//   "2 hour delay, no AM kindergarten"  → { delayMinutes: 120, affectedPrograms: ['kindergarten'] }
+//   "Dismissing at 12:30 PM"            → { dismissalTime: '12:30' }
+//   "Virtual learning day"              → { remoteLearning: true }
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  ninety: 90, thirty: 30, sixty: 60, 'forty-five': 45, 'forty five': 45, fifteen: 15,
+};
+
+const NUMBER = String.raw`(\d+(?:\.\d+)?|\d+\s+1\/2|${Object.keys(NUMBER_WORDS).join('|')})(\s+(?:and\s+)?(?:a\s+)?half)?`;
+const HOURS = String.raw`(?:hours?|hrs?|h)\b\.?`;
+const MINUTES = String.raw`(?:minutes?|mins?)\b\.?`;
+
+const PROGRAMS = [
+  ['pre-k',            /\b(pre-?k|pre-?kindergarten|pre-?school|early\s+childhood|ecap)\b/],
+  ['kindergarten',     /\b(?<!pre-?)(kindergarten|half[-\s]day\s+k)\b/],
+  ['after-school',     /\b(after[-\s]?school|before\s+(?:and|&)\s+after\s+(?:school\s+)?care|extended\s+day|child\s*care)\b/],
+  ['extracurriculars', /\b(extra-?curricular|athletic|sports?|practices?|games?|evening\s+activit|activities|field\s+trips?|rehearsals?)/],
+];
+
+function toNumber(raw, half) {
+  const text = raw.toLowerCase().trim();
+  let value;
+  if (/^\d+\s+1\/2$/.test(text)) value = parseInt(text, 10) + 0.5;
+  else if (NUMBER_WORDS[text] !== undefined) value = NUMBER_WORDS[text];
+  else value = parseFloat(text);
+  return half ? value + 0.5 : value;
+}
+
+// Sum "<n> hour(s) [and] <m> minute(s)" style durations inside `fragment`
+function parseDuration(fragment) {
+  const hours = new RegExp(`${NUMBER}[\\s-]*${HOURS}`, 'i').exec(fragment);
+  const minutes = new RegExp(`${NUMBER}[\\s-]*${MINUTES}`, 'i').exec(fragment);
+  if (!hours && !minutes) return null;
+  let total = 0;
+  if (hours) total += toNumber(hours[1], hours[2]) * 60;
+  if (minutes) total += toNumber(minutes[1], minutes[2]);
+  return Math.round(total);
+}
+
+// Opening-delay length in minutes, or null when the text announces no delay
+function parseDelayMinutes(lower) {
+  const patterns = [
+    // "2 hour delay", "2-hour delayed opening", "1 hour 30 minute delay"
+    new RegExp(`((?:${NUMBER}[\\s-]*(?:${HOURS}|${MINUTES})[\\s,-]*(?:and\\s+)?){1,2})(?:delay|delayed|late\\s+(?:start|opening|arrival))`, 'i'),
+    // "delayed opening of 2 hours", "delayed 90 minutes", "delay: 2 hrs"
+    new RegExp(`(?:delay(?:ed)?(?:\\s+(?:opening|start))?|late\\s+(?:start|opening))[\\s:,-]*(?:of|by)?\\s*((?:${NUMBER}[\\s-]*(?:${HOURS}|${MINUTES})[\\s,-]*(?:and\\s+)?){1,2})`, 'i'),
+    // "opening 2 hours late"
+    new RegExp(`((?:${NUMBER}[\\s-]*(?:${HOURS}|${MINUTES})[\\s,-]*(?:and\\s+)?){1,2})late\\b`, 'i'),
+  ];
+  for (const re of patterns) {
+    const m = re.exec(lower);
+    if (m) {
+      const minutes = parseDuration(m[1]);
+      if (minutes) return minutes;
+    }
+  }
+  return null;
+}
+
+// "12:30 PM", "1pm", "11:45 a.m.", "noon" → "HH:MM" (24-hour)
+function toClock(hourText, minuteText, meridiem) {
+  let hour = parseInt(hourText, 10);
+  const minute = minuteText ? parseInt(minuteText, 10) : 0;
+  if (hour > 23 || minute > 59) return null;
+  const m = (meridiem || '').replace(/\./g, '').toLowerCase();
+  if (m === 'pm' && hour < 12) hour += 12;
+  else if (m === 'am' && hour === 12) hour = 0;
+  // No meridiem: schools never dismiss before 7am, so 1–6 means afternoon
+  else if (!m && hour >= 1 && hour <= 6) hour += 12;
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+const CLOCK = String.raw`(noon|(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?)`;
+
+function parseDismissal(lower) {
+  const result = { dismissalTime: null, earlyDismissalMinutes: null };
+
+  // "dismissing at 12:30 PM", "early dismissal at 1:00", "dismissal: noon", "students released at 11:45 a.m."
+  const clock = new RegExp(
+    `(?:dismiss(?:al|ing|ed)?|released?|releasing)\\b[^.;]*?\\b(?:at|@|:|by|of)\\s*${CLOCK}`, 'i',
+  ).exec(lower) || new RegExp(`${CLOCK}\\s+(?:early\\s+)?dismissal`, 'i').exec(lower);
+  if (clock) {
+    result.dismissalTime = clock[1].toLowerCase() === 'noon'
+      ? '12:00'
+      : (clock[2] && toClock(clock[2], clock[3], clock[4])) || null;
+  }
+
+  // "dismissing 2 hours early", "3 hour early dismissal"
+  const relative =
+    new RegExp(`((?:${NUMBER}[\\s-]*(?:${HOURS}|${MINUTES})[\\s,-]*(?:and\\s+)?){1,2})early`, 'i').exec(lower);
+  if (relative) result.earlyDismissalMinutes = parseDuration(relative[1]);
+
+  return result;
+}
+
+function parseRemoteLearning(lower) {
+  return /\b(virtual|remote|online|asynchronous|synchronous)\s+(learning|instruction|day|classes|school)\b/.test(lower)
+    || /\b(learning|instruction)\s+(from\s+home|at\s+home|online|remotely|virtually)\b/.test(lower)
+    || /\bnti\b|\bnon-?traditional\s+instruction\b/.test(lower);
+}
+
+function parseAffectedPrograms(lower) {
+  return PROGRAMS.filter(([, re]) => re.test(lower)).map(([name]) => name);
+}
+
+function parseStatus(text) {
+  const lower = (text || '').toLowerCase().replace(/\s+/g, ' ');
+  return {
+    delayMinutes: parseDelayMinutes(lower),
+    ...parseDismissal(lower),
+    remoteLearning: parseRemoteLearning(lower),
+    affectedPrograms: parseAffectedPrograms(lower),
+  };
+}
+
+module.exports = {
+  parseStatus,
+};
@@ -0,0 +1,39 @@
+const { parseStatus } = require('./statusParser');
+
+// Every statusType a closing can carry, most to least disruptive for the
+// school day. 'open' is never stored on a closing — it means "not listed".
+const STATUS_TYPES = ['closed', 'virtual', 'delay', 'early dismissal', 'activities cancelled', 'info'];
+
+const STATUS_LABELS = {
+  closed: 'Closed',
+  virtual: 'Virtual Learning',
+  delay: 'Delay',
+  'early dismissal': 'Early Dismissal',
+  'activities cancelled': 'Activities Cancelled',
+  info: 'Informational',
+  open: 'Open',
+};
+
+const CANCELLED = /\b(cancel+(ed|ing|ations?)?|postponed)\b/;
+const ACTIVITIES = /\b(activit(y|ies)|athletics?|sports?|practices?|games?|extra-?curricular|after[-\s]?school|events?|field\s+trips?)\b/;
+
+function detectStatusType(text) {
+  const lower = text.toLowerCase();
+  const parsed = parseStatus(lower);
+  // Remote instruction is often worded "closed ... virtual learning day", so it wins over closed
+  if (parsed.remoteLearning) return 'virtual';
+  if (/\bdelay(ed|s)?\b/.test(lower) || /\blate\s+(start|open)/.test(lower) || parsed.delayMinutes) return 'delay';
+  if (/\bearly\s+dismiss/.test(lower) || parsed.dismissalTime || parsed.earlyDismissalMinutes) {
+    return 'early dismissal';
+  }
+  if (/\bclos(ed|ing|ure|ures)\b/.test(lower)) return 'closed';
+  // Schools open as normal but activities are called off
+  if (CANCELLED.test(lower) && ACTIVITIES.test(lower)) return 'activities cancelled';
+  return 'info'; // no actionable keyword — treat as informational notice
+}
+
+module.exports = {
+  STATUS_TYPES,
+  STATUS_LABELS,
+  detectStatusType,
+};
@@ -0,0 +1,128 @@
+const axios = require('axios');
+const { readJson, writeJson } = require('./dataStore');
+
+// Guarded access to the state's upstream services (PortalFeed, FirstMap).
+// Every request gets a timeout and retries with backoff; an upstream that
+// keeps failing trips a circuit breaker so callers fail fast instead of
+// piling requests onto a struggling server. Each upstream's last success and
+// failure are kept for /api/health.
+const REQUEST_TIMEOUT = Number(process.env.UPSTREAM_TIMEOUT) || 15 * 1000;
+const MAX_ATTEMPTS = 3;
+const BASE_BACKOFF = 1000;        // doubles after each failed attempt
+const FAILURE_THRESHOLD = 3;      // failed requests (after retries) before the circuit opens
+const OPEN_DURATION = 60 * 1000;  // how long an open circuit rejects requests before probing again
+
+const upstreams = new Map(); // name → state
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function state(name) {
+  if (!upstreams.has(name)) {
+    upstreams.set(name, {
+      name,
+      circuit: 'closed', // closed | open | half-open
+      openUntil: null,
+      consecutiveFailures: 0,
+      lastSuccess: null,
+      lastFailure: null,
+      lastError: null,
+      fallback: false,   // serving the on-disk copy instead of a fresh response
+      probing: false,    // a half-open probe is in flight
+    });
+  }
+  return upstreams.get(name);
+}
+
+// Timeouts, network errors, 5xx, 408 and 429 may succeed on retry; other 4xx will not
+function isRetryable(err) {
+  const status = err.response && err.response.status;
+  return !status || status >= 500 || status === 408 || status === 429;
+}
+
+function unavailable(s) {
+  const err = new Error(`${s.name} is unavailable (${s.consecutiveFailures} consecutive failures, last: ${s.lastError})`);
+  err.code = 'CIRCUIT_OPEN';
+  return err;
+}
+
+// Run `fn` against the named upstream with retries and the circuit breaker
+async function request(name, fn, { attempts = MAX_ATTEMPTS, baseBackoff = BASE_BACKOFF } = {}) {
+  const s = state(name);
+  if (s.circuit === 'open') {
+    if (Date.now() < s.openUntil) throw unavailable(s);
+    s.circuit = 'half-open';
+  }
+  // Only the probe goes through; everyone else fails fast until it settles
+  const probe = s.circuit === 'half-open';
+  if (probe) {
+    if (s.probing) throw unavailable(s);
+    s.probing = true;
+  }
+
+  const maxAttempts = probe ? 1 : attempts;
+  let lastErr;
+  try {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const result = await fn();
+        Object.assign(s, { circuit: 'closed', openUntil: null, consecutiveFailures: 0, lastSuccess: new Date().toISOString() });
+        return result;
+      } catch (err) {
+        lastErr = err;
+        if (!isRetryable(err)) break;
+      }
+      if (attempt < maxAttempts) await sleep(baseBackoff * 2 ** (attempt - 1));
+    }
+  } finally {
+    if (probe) s.probing = false;
+  }
+
+  s.consecutiveFailures++;
+  s.lastFailure = new Date().toISOString();
+  s.lastError = lastErr.message;
+  if (s.circuit === 'half-open' || s.consecutiveFailures >= FAILURE_THRESHOLD) {
+    s.circuit = 'open';
+    s.openUntil = Date.now() + OPEN_DURATION;
+  }
+  throw lastErr;
+}
+
+async function getData(name, url) {
+  return request(name, async () => (await axios.get(url, { timeout: REQUEST_TIMEOUT })).data);
+}
+
+// Like getData, but keeps the last good response in DATA_DIR/<file> and
+// falls back to it when the upstream is down, so a cold start works offline
+async function getDataWithDiskCopy(name, url, file) {
+  const s = state(name);
+  try {
+    const data = await getData(name, url);
+    s.fallback = false;
+    await writeJson(file, data).catch(err => console.error(`Failed to save ${file}:`, err.message));
+    return data;
+  } catch (err) {
+    const saved = await readJson(file, null);
+    if (!saved) throw err;
+    console.error(`${name} unavailable, serving saved copy: ${err.message}`);
+    s.fallback = true;
+    return saved;
+  }
+}
+
+function status(name) {
+  const { openUntil, probing, ...rest } = state(name);
+  return { ...rest, retryAt: openUntil ? new Date(openUntil).toISOString() : null };
+}
+
+// Status of every upstream contacted so far
+function health() {
+  return [...upstreams.keys()].map(status);
+}
+
+module.exports = {
+  request,
+  getData,
+  getDataWithDiskCopy,
+  status,
+  health,
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const { readJson, dataPath, DATA_DIR } = require('./dataStore');
+const { STATUS_LABELS } = require('./statusTypes');
+
+// Outbound webhooks, configured in DATA_DIR/webhooks.json:
+//
+//   { "webhooks": [{
+//       "id": "ops-slack",
+//       "url": "https://hooks.slack.com/services/...",
+//       "secret": "shared-signing-secret",
+//       "filters": { "counties": ["Kent"], "layers": ["district", "charter"], "statusTypes": ["closed", "delay"] }
+//   }] }
+//
+// The file is re-read for every dispatch, so edits apply without a restart.
+const CONFIG_FILE = 'webhooks.json';
+const DELIVERY_LOG_FILE = 'webhook-deliveries.jsonl';
+const DELIVERY_LOG_SIZE = 500;
+const REQUEST_TIMEOUT = 10 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const MAX_ATTEMPTS = 8; // upper bound for a configured maxAttempts; ~4 minutes of backoff
+const BASE_BACKOFF = 2 * 1000; // doubles after each failed attempt
+
+let deliveries = []; // oldest first, capped at DELIVERY_LOG_SIZE
+let loggedLines = 0; // lines in the delivery log file; compacted past twice the cap
+let logWrite = Promise.resolve();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isValidUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Enabled webhooks; one without a valid http(s) URL is skipped with a warning
+async function loadWebhooks() {
+  const config = await readJson(CONFIG_FILE, { webhooks: [] });
+  const list = Array.isArray(config) ? config : config.webhooks || [];
+  return list
+    .filter(hook => hook && hook.url && hook.enabled !== false)
+    .map(hook => ({ ...hook, id: hook.id || hook.url }))
+    .filter((hook) => {
+      if (isValidUrl(hook.url)) return true;
+      console.error(`Skipping webhook ${hook.id}: url must be an http(s) URL`);
+      return false;
+    });
+}
+
+// Configured webhooks without secrets; URLs are cut to their origin because
+// Slack/Teams embed credentials in the path
+async function listWebhooks() {
+  return (await loadWebhooks()).map(hook => ({
+    id: hook.id,
+    origin: new URL(hook.url).origin,
+    signed: !!hook.secret,
+    filters: hook.filters || {},
+  }));
+}
+
+// statusTypes filters on the status after the change; a removed closing counts as 'open'
+function matchesFilters(hook, change) {
+  const { counties, layers, statusTypes } = hook.filters || {};
+  if (layers?.length && !layers.includes(change.layer)) return false;
+  if (counties?.length && !(change.counties || []).some(c => counties.includes(c))) return false;
+  if (statusTypes?.length && !statusTypes.includes(change.current?.statusType || 'open')) return false;
+  return true;
+}
+
+function describe(change) {
+  const name = change.displayName || change.key;
+  if (!change.current) return `${name}: no longer listed — normal schedule`;
+  const label = STATUS_LABELS[change.current.statusType] || change.current.statusType;
+  return `${name}: ${label} — ${change.current.status}`;
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replays
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function recordDelivery(entry) {
+  deliveries.push(entry);
+  if (deliveries.length > DELIVERY_LOG_SIZE) deliveries = deliveries.slice(-DELIVERY_LOG_SIZE);
+
+  // Append, and once the file holds twice the cap rewrite it with just the
+  // in-memory tail, so it stays bounded without a rewrite per delivery
+  loggedLines++;
+  const kept = loggedLines > 2 * DELIVERY_LOG_SIZE ? deliveries.slice() : null;
+  if (kept) loggedLines = kept.length;
+  logWrite = logWrite
+    .then(async () => {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      const file = dataPath(DELIVERY_LOG_FILE);
+      if (!kept) return fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, kept.map(d => JSON.stringify(d) + '\n').join(''));
+      return fs.promises.rename(tmp, file);
+    })
+    .catch(err => console.error('Failed to write webhook delivery log:', err.message));
+}
+
+async function deliver(hook, payload) {
+  const body = JSON.stringify(payload);
+  const maxAttempts = Math.min(Math.max(Math.floor(hook.maxAttempts) || DEFAULT_MAX_ATTEMPTS, 1), MAX_ATTEMPTS);
+  const entry = {
+    id: payload.id,
+    webhookId: hook.id,
+    event: payload.event,
+    changeCount: payload.changes.length,
+    status: 'failed',
+    attempts: [],
+    startedAt: new Date().toISOString(),
+  };
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Closings-Event': payload.event,
+      'X-Closings-Delivery': payload.id,
+      'X-Closings-Timestamp': String(timestamp),
+    };
+    if (hook.secret) headers['X-Closings-Signature'] = `sha256=${sign(hook.secret, timestamp, body)}`;
+
+    try {
+      const res = await axios.post(hook.url, body, {
+        headers,
+        timeout: REQUEST_TIMEOUT,
+        validateStatus: () => true,
+      });
+      entry.attempts.push({ at: new Date().toISOString(), responseStatus: res.status });
+      if (res.status >= 200 && res.status < 300) {
+        entry.status = 'delivered';
+        break;
+      }
+      // Other 4xx responses will not succeed on retry
+      if (res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429) break;
+    } catch (err) {
+      entry.attempts.push({ at: new Date().toISOString(), error: err.message });
+    }
+
+    if (attempt < maxAttempts) await sleep(BASE_BACKOFF * 2 ** (attempt - 1));
+  }
+
+  entry.finishedAt = new Date().toISOString();
+  recordDelivery(entry);
+  return entry;
+}
+
+// POST the changes each webhook's filters select; webhooks with no matching change are skipped
+async function dispatchChanges(changes, snapshot) {
+  const hooks = await loadWebhooks();
+  await Promise.all(hooks.map((hook) => {
+    const selected = changes.filter(change => matchesFilters(hook, change));
+    if (!selected.length) return null;
+    return deliver(hook, {
+      id: crypto.randomUUID(),
+      event: 'closings.changed',
+      fetchedAt: snapshot.fetchedAt,
+      // Plain-text summary — Slack and Teams incoming webhooks render `text` as the message
+      text: selected.map(describe).join('\n'),
+      changes: selected,
+    });
+  }));
+}
+
+// Reload the tail of the delivery log so the endpoint survives a restart
+async function init() {
+  let text;
+  try {
+    text = await fs.promises.readFile(dataPath(DELIVERY_LOG_FILE), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+  const lines = text.split('\n').filter(line => line.trim());
+  loggedLines = lines.length;
+  deliveries = lines
+    .slice(-DELIVERY_LOG_SIZE)
+    .flatMap((line) => {
+      try { return [JSON.parse(line)]; } catch { return []; }
+    });
+}
+
+// Newest first
+function getDeliveries({ webhookId, limit = 100 } = {}) {
+  return deliveries
+    .filter(d => !webhookId || d.webhookId === webhookId)
+    .slice(-limit)
+    .reverse();
+}
+
+module.exports = {
+  DELIVERY_LOG_SIZE,
+  MAX_ATTEMPTS,
+  init,
+  listWebhooks,
+  dispatchChanges,
+  getDeliveries,
+  matchesFilters,
+  sign,
+};
@@ -0,0 +1,35 @@
+/* eslint-env serviceworker */
+// Shows Web Push notifications for followed districts and schools. The server
+// names its region in `site`; a push without one falls back to a generic title.
+const DEFAULT_TITLE = 'School Closings';
+
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch {
+    payload = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || payload.site || DEFAULT_TITLE, {
+      body: payload.body,
+      tag: payload.tag,
+      renotify: true,
+      data: { url: payload.url || '/' },
+    }),
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const existing = clients.find(c => new URL(c.url).origin === self.location.origin);
+      if (existing) return existing.focus();
+      return self.clients.openWindow(url);
+    }),
+  );
+});
@@ -1,196 +1,268 @@
 const express = require('express');
-const axios = require('axios');
-const cheerio = require('cheerio');
+const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
+const historyStore = require('./lib/historyStore');
+const { diffSnapshots, changesSince, isSameSnapshot, timelineFrames } = require('./lib/changeDetector');
+const push = require('./lib/pushNotifications');
+const webhooks = require('./lib/webhooks');
+const { districtCounties, votechCounties } = require('./lib/counties');
+const feeds = require('./lib/feeds');
+const sources = require('./lib/sources');
+const upstream = require('./lib/upstream');
+const { VOTECH_MAP, matchRegions, reviewQueue } = require('./lib/matching');
+const { loadAliases } = require('./lib/aliases');
+const { loadPrivateSchools, effectiveStatuses } = require('./lib/privateSchools');
+const adminStore = require('./lib/adminStore');
+const adminAuth = require('./lib/adminAuth');
+const { geocode, isValidPoint } = require('./lib/geocoder');
+const { lookupPoint, nearby } = require('./lib/lookup');
+const shareTags = require('./lib/shareTags');
+const stats = require('./lib/stats');
+const exporter = require('./lib/export');
+const publicApi = require('./lib/publicApi');
+const apiKeys = require('./lib/apiKeys');
+const { createRateLimiter } = require('./lib/rateLimit');
+const { openApiDocument } = require('./lib/openapi');
+const graphqlSchema = require('./lib/graphqlSchema');
+const { parse, validate, execute, subscribe, getOperationAST, GraphQLError } = require('graphql');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const IS_PROD = process.env.NODE_ENV === 'production';
 
-const DISTRICTS_URL =
-  'https://enterprise.firstmap.delaware.gov/arcgis/rest/services/Society/DE_Schools/FeatureServer/3/query?where=1%3D1&outFields=NAME,DIST_ID,SHORTNAME&outSR=4326&f=geojson';
-
-const VOTECH_URL =
-  'https://enterprise.firstmap.delaware.gov/arcgis/rest/services/Society/DE_Schools/FeatureServer/2/query?where=1%3D1&outFields=VOTECH,SHORTNAME,DIST_ID&outSR=4326&f=geojson';
-
-const CHARTER_URL =
-  'https://enterprise.firstmap.delaware.gov/arcgis/rest/services/Society/DE_Schools/FeatureServer/0/query?where=CHARTER%3D%27Y%27&outFields=SCHOOLNAME,SCHOOLSHOR&outSR=4326&f=geojson&resultRecordCount=1000';
-
-const CLOSINGS_URL = 'https://schoolclosings.delaware.gov/XML/PortalFeed';
-
-// Maps VOTECH field value → friendly display name + match terms for the closing feed
-const VOTECH_MAP = {
-  'NEW CASTLE': {
-    displayName: 'New Castle County Vocational-Technical School District',
-    matchTerms: ['new castle county vo', 'ncc votech', 'ncco votech', 'new castle vocational'],
-  },
-  'POLYTECH': {
-    displayName: 'Polytech School District',
-    matchTerms: ['polytech'],
-  },
-  'SUSSEX TECH': {
-    displayName: 'Sussex Technical School District',
-    matchTerms: ['sussex tech'],
-  },
-};
-
-// Simple in-memory cache — static data cached permanently, closings refresh every 3 min
-let districtsCache = null;
-let votechCache = null;
-let charterCache = null;
+// Simple in-memory cache — static data cached permanently, closings refreshed by
+// the background poller (the TTL only matters if the poller falls behind)
 let closingsCache = null;
+// Matched feed data from the last successful refresh, before manual overrides
+let feedResult = null;
+// Set while the latest refresh failed and the last good snapshot is being served
+let lastRefreshError = null;
+// Feed rows from the latest refresh that matched nothing or matched with low confidence
+let matchReview = { unmatched: [], lowConfidence: [] };
 let closingsLastFetched = 0;
+let closingsInFlight = null;
 const CLOSINGS_TTL = 3 * 60 * 1000;
+const CLOSINGS_POLL_INTERVAL = Number(process.env.CLOSINGS_POLL_INTERVAL) || 60 * 1000;
+const STREAM_KEEPALIVE = 25 * 1000;
+const BOUNDARY_RETRY = 5 * 60 * 1000;
+
+// Events:
+//   'changes'   (changes, snapshot) — matched statuses differ from the previous refresh
+//   'snapshot'  (snapshot)          — any closings content differs from the previous refresh
+//   'refreshed' (snapshot)          — a refresh completed with identical content
+//   'stale'     (snapshot)          — a refresh failed; snapshot is the last good one, flagged stale
+const closingsEvents = new EventEmitter();
+// Previous snapshot to diff against — seeded from the history store after a restart
+let previousSnapshot = null;
+let previousSnapshotLoaded = false;
 
-function detectStatusType(text) {
-  const lower = text.toLowerCase();
-  if (/\bdelay(ed|s)?\b/.test(lower)) return 'delay';
-  if (/\bearly\s+dismissal\b/.test(lower)) return 'early dismissal';
-  if (/\bclos(ed|ing|ure|ures)\b/.test(lower)) return 'closed';
-  return 'info'; // no actionable keyword — treat as informational notice
-}
-
-async function fetchDistricts() {
-  if (districtsCache) return districtsCache;
-  const { data } = await axios.get(DISTRICTS_URL);
-  districtsCache = data;
-  return data;
-}
-
-async function fetchVotechDistricts() {
-  if (votechCache) return votechCache;
-  const { data } = await axios.get(VOTECH_URL);
-  // Enrich each feature with a friendly NAME based on VOTECH_MAP
-  const enriched = {
-    ...data,
-    features: data.features.map(f => {
-      const key = f.properties.VOTECH;
-      const mapped = VOTECH_MAP[key];
-      return {
-        ...f,
-        properties: {
-          ...f.properties,
-          NAME: mapped ? mapped.displayName : key,
-        },
-      };
-    }),
+// A boundary layer cached for the life of the process. A copy that came from
+// disk because its upstream was down is re-fetched after BOUNDARY_RETRY.
+function cachedLayer(upstreamName, load) {
+  let cache = null;
+  let pending = null;
+  return () => {
+    if (cache && (!cache.fallback || Date.now() - cache.loadedAt < BOUNDARY_RETRY)) {
+      return Promise.resolve(cache.data);
+    }
+    if (!pending) {
+      pending = load()
+        .then((data) => {
+          cache = { data, fallback: !!upstreamName && upstream.status(upstreamName).fallback, loadedAt: Date.now() };
+          return data;
+        })
+        .finally(() => { pending = null; });
+    }
+    return pending;
   };
-  votechCache = enriched;
-  return enriched;
 }
 
-async function fetchCharterSchools() {
-  if (charterCache) return charterCache;
-  const { data } = await axios.get(CHARTER_URL);
-  charterCache = data;
-  return data;
+// Every enabled source adapter (SOURCES) with its own cached layers
+const regions = sources.enabledAdapters().map((adapter) => {
+  const names = adapter.upstreams || {};
+  const layer = (name, districts) => cachedLayer(names[name], async () =>
+    sources.fetchSourceLayer(adapter, name, districts && await districts()));
+  const districts = layer('districts');
+  return {
+    adapter,
+    districts,
+    votech: layer('votech'),
+    charters: layer('charters', districts),
+    schools: layer('schools', districts),
+  };
+});
+const regionTitle = sources.regionTitle(regions.map(({ adapter }) => adapter));
+
+// One layer across all regions
+async function mergedLayer(name) {
+  return sources.mergeCollections(await Promise.all(regions.map(r => r[name]())));
 }
 
-async function fetchClosings() {
-  const now = Date.now();
-  if (closingsCache && now - closingsLastFetched < CLOSINGS_TTL) {
-    return closingsCache;
-  }
-
-  const { data } = await axios.get(CLOSINGS_URL);
-  const $ = cheerio.load(data, { xmlMode: true });
-  const closings = [];
-
-  $('row').each((i, el) => {
-    const cells = $(el).find('cell');
-    const district = $(cells[0]).text().trim();
-    const details  = $(cells[1]).text().trim();
-    const title    = $(cells[2]).text().trim();
-    const date     = $(cells[3]).text().trim();
-    if (!district) return;
-
-    const combined = `${details} ${district} ${title}`;
-    closings.push({
-      schoolName: district,
-      status: details || 'Closed',
-      statusType: detectStatusType(combined),
-      date,
-    });
-  });
+const fetchDistricts       = () => mergedLayer('districts');
+const fetchVotechDistricts = () => mergedLayer('votech');
+const fetchCharterSchools  = () => mergedLayer('charters');
+const fetchSchools         = () => mergedLayer('schools');
 
-  // Load all school/district data in parallel for matching
-  const [districts, votechData, charterData] = await Promise.all([
-    fetchDistricts(),
-    fetchVotechDistricts(),
-    fetchCharterSchools(),
-  ]);
+// Supplemental private school list, re-read from DATA_DIR on every refresh
+async function fetchPrivateSchools() {
+  return loadPrivateSchools(await fetchDistricts());
+}
 
-  const districtNames = districts.features.map(f => f.properties.NAME);
-  const charterNames = charterData.features.map(f => f.properties.SCHOOLNAME).filter(Boolean);
+// Where each layer's features keep the key a change refers to
+const CHANGE_LAYERS = {
+  district: ['districts', 'NAME'],
+  votech:   ['votech', 'VOTECH'],
+  charter:  ['charters', 'SCHOOLNAME'],
+  school:   ['schools', 'SCHOOLNAME'],
+  private:  ['privateData', 'NAME'],
+};
 
-  // Match a closing to a traditional school district
-  function matchDistrict(closing) {
-    const lower = (closing.schoolName + ' ' + closing.status).toLowerCase();
-    for (const name of districtNames) {
-      const core = name.toLowerCase().replace(/\s*school\s*district\s*/i, '').trim();
-      if (core.length > 2 && lower.includes(core)) return name;
-    }
-    return null;
-  }
-
-  // Match a closing to a VoTech district (using VOTECH key as dict key)
-  function matchVotech(closing) {
-    const lower = (closing.schoolName + ' ' + closing.status).toLowerCase();
-    for (const [key, info] of Object.entries(VOTECH_MAP)) {
-      const core = info.displayName.toLowerCase().replace(/\s*school\s*district\s*/i, '').trim();
-      if (core.length > 2 && lower.includes(core)) return key;
-      for (const term of info.matchTerms) {
-        if (lower.includes(term)) return key;
-      }
-      if (lower.includes(key.toLowerCase())) return key;
-    }
-    return null;
-  }
-
-  const byDistrict = {};
-  const byVotech   = {};
-  const byCharter  = {};
-
-  // Map each closing to traditional districts and votech districts
-  for (const c of closings) {
-    const dm = matchDistrict(c);
-    const vm = matchVotech(c);
-    if (dm && !byDistrict[dm]) byDistrict[dm] = { ...c, matchedDistrict: dm };
-    if (vm && !byVotech[vm])   byVotech[vm]   = { ...c, matchedVotech: vm };
-  }
-
-  // For each charter school, find if any closing in the feed matches it
-  for (const schoolName of charterNames) {
-    // Strip parentheticals like "(Lower School)" for matching
-    const arcgisCore = schoolName.toLowerCase().replace(/\s*\(.*?\)\s*/g, '').trim();
-    for (const c of closings) {
-      const feedLower = (c.schoolName + ' ' + c.status).toLowerCase();
-      const feedName  = c.schoolName.toLowerCase();
-      const matched =
-        feedLower.includes(arcgisCore) ||
-        (arcgisCore.includes(feedName) && feedName.length > 5);
-      if (matched) {
-        byCharter[schoolName] = { ...c, matchedCharter: schoolName };
-        break;
-      }
-    }
+// Attach the friendly display name and counties for a change's key.
+// `layers` holds the collections the snapshot was matched against.
+function describeChange(change, layers) {
+  const [collection, keyProp] = CHANGE_LAYERS[change.layer];
+  const feature = layers[collection]?.features.find(f => f.properties[keyProp] === change.key);
+  let displayName = change.key;
+  let counties = feature?.properties.COUNTIES || [];
+  if (change.layer === 'district' && !counties.length) {
+    counties = districtCounties(change.key);
+  } else if (change.layer === 'votech') {
+    displayName = feature?.properties.NAME || VOTECH_MAP[change.key]?.displayName || change.key;
+    if (!counties.length) counties = votechCounties(change.key);
+  }
+  return { ...change, displayName, counties };
+}
+
+function fetchClosings({ force = false } = {}) {
+  if (!force && closingsCache && Date.now() - closingsLastFetched < CLOSINGS_TTL) {
+    return Promise.resolve(closingsCache);
+  }
+  // Share one upstream request between the poller and concurrent API callers
+  if (!closingsInFlight) {
+    closingsInFlight = refreshClosings()
+      .catch(serveStale)
+      .finally(() => { closingsInFlight = null; });
   }
+  return closingsInFlight;
+}
 
-  closingsCache = {
-    closings,
-    byDistrict,
-    byVotech,
-    byCharter,
+// When the feed (or a layer matching needs) is down, keep serving the last good
+// snapshot — from memory, or from the history store after a restart — flagged stale
+async function serveStale(err) {
+  console.error('Closings refresh failed:', err.message);
+  lastRefreshError = { message: err.message, at: new Date().toISOString() };
+  if (!closingsCache) closingsCache = await historyStore.latestSnapshot().catch(() => null);
+  const snapshot = closingsCache;
+  if (!snapshot) throw err;
+  const stale = {
+    ...snapshot,
+    stale: true,
+    ageSeconds: Math.round((Date.now() - Date.parse(snapshot.fetchedAt)) / 1000),
+  };
+  closingsEvents.emit('stale', stale);
+  return stale;
+}
+
+async function refreshClosings() {
+  const now = Date.now();
+
+  // Every region's closings and layers, plus the shared data, in parallel
+  const [regionData, privateData, aliases] = await Promise.all([
+    Promise.all(regions.map(async (r) => {
+      const [closings, districts, votech, charters, schools] = await Promise.all([
+        sources.fetchSourceClosings(r.adapter), r.districts(), r.votech(), r.charters(), r.schools(),
+      ]);
+      return { closings, districts, votech, charters, schools };
+    })),
+    fetchPrivateSchools(),
+    loadAliases(),
+  ]);
+  const { closings, byDistrict, byVotech, byCharter, bySchool, byPrivate, matches } =
+    matchRegions(regionData, { privateSchools: privateData, aliases });
+  matchReview = reviewQueue(closings, matches);
+
+  const layers = { privateData };
+  for (const name of ['districts', 'votech', 'charters', 'schools']) {
+    layers[name] = sources.mergeCollections(regionData.map(r => r[name]));
+  }
+  feedResult = {
+    closings, byDistrict, byVotech, byCharter, bySchool, byPrivate, matches, layers,
     fetchedAt: new Date().toISOString(),
   };
   closingsLastFetched = now;
+  lastRefreshError = null;
+  return publishClosings();
+}
+
+// Merge the admin overrides and banner into the latest feed result, then
+// diff, notify and record it. Re-run whenever an operator changes something.
+async function publishClosings() {
+  const { layers, matches } = feedResult;
+  const { overrides, banner } = await adminStore.activeState();
+  const merged = adminStore.applyOverrides(feedResult, matches, overrides);
+
+  closingsCache = {
+    closings: merged.closings,
+    byDistrict: merged.byDistrict,
+    byVotech: merged.byVotech,
+    byCharter: merged.byCharter,
+    bySchool: merged.bySchool,
+    // Private schools inherit from their district after its overrides apply
+    byPrivate: effectiveStatuses(layers.privateData, merged.byPrivate, merged.byDistrict),
+    banner,
+    fetchedAt: feedResult.fetchedAt,
+  };
+
+  if (!previousSnapshotLoaded) {
+    previousSnapshotLoaded = true;
+    try { previousSnapshot = await historyStore.latestSnapshot(); }
+    catch (err) { console.error('Failed to load previous snapshot:', err.message); }
+  }
+  const changes = previousSnapshot
+    ? diffSnapshots(previousSnapshot, closingsCache).map(c => describeChange(c, layers))
+    : [];
+  const contentChanged = !isSameSnapshot(previousSnapshot, closingsCache);
+  previousSnapshot = closingsCache;
+  if (changes.length) closingsEvents.emit('changes', changes, closingsCache);
+  closingsEvents.emit(contentChanged ? 'snapshot' : 'refreshed', closingsCache);
+
+  // Persist every poll so history survives feed rollover and restarts; an
+  // unchanged one is stored as a marker rather than another full copy
+  historyStore.recordSnapshot(closingsCache, { unchanged: !contentChanged }).catch(err => {
+    console.error('Failed to record closings snapshot:', err.message);
+  });
+
   return closingsCache;
 }
 
+// Cross-origin access for the origins in CORS_ORIGINS (comma-separated). Unset
+// means any origin, as the API always allowed; set it to lock the API down.
+// The map itself is same-origin and needs none.
+const CORS_ALLOW_HEADERS = 'Authorization, Content-Type, If-None-Match, X-API-Key';
+const CORS_EXPOSE_HEADERS = 'ETag, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After';
+
 app.use((req, res, next) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
+  const origin = req.get('Origin');
+  const allowed = (process.env.CORS_ORIGINS || '*').split(',').map(o => o.trim()).filter(Boolean);
+  res.vary('Origin');
+  if (!origin || !(allowed.includes('*') || allowed.includes(origin))) return next();
+
+  res.setHeader('Access-Control-Allow-Origin', allowed.includes('*') ? '*' : origin);
+  res.setHeader('Access-Control-Expose-Headers', CORS_EXPOSE_HEADERS);
+  if (req.method === 'OPTIONS' && req.get('Access-Control-Request-Method')) {
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+    res.setHeader('Access-Control-Max-Age', '600');
+    return res.sendStatus(204);
+  }
   next();
 });
+app.use(express.json());
+
+app.get('/api/sources', (req, res) => {
+  res.json({ sources: regions.map(({ adapter }) => ({ id: adapter.id, name: adapter.name })) });
+});
 
 app.get('/api/districts', async (req, res) => {
   try { res.json(await fetchDistricts()); }
@@ -207,21 +279,819 @@ app.get('/api/charter-schools', async (req, res) => {
   catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+app.get('/api/schools', async (req, res) => {
+  try { res.json(await fetchSchools()); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/api/private-schools', async (req, res) => {
+  try { res.json(await fetchPrivateSchools()); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
 app.get('/api/closings', async (req, res) => {
   try { res.json(await fetchClosings()); }
   catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// ── Health: each upstream's last success/failure and the closings data age ──
+app.get('/api/health', (req, res) => {
+  const upstreams = upstream.health();
+  const fetchedAt = closingsCache ? closingsCache.fetchedAt : null;
+  const closings = {
+    fetchedAt,
+    ageSeconds: fetchedAt ? Math.round((Date.now() - Date.parse(fetchedAt)) / 1000) : null,
+    stale: !!lastRefreshError,
+    lastError: lastRefreshError,
+  };
+  let status = 'ok';
+  if (!fetchedAt) status = 'down';
+  else if (closings.stale || upstreams.some(u => u.circuit !== 'closed' || u.fallback)) status = 'degraded';
+  res.status(status === 'down' ? 503 : 200).json({ status, closings, upstreams });
+});
+
+// Review queue for operators: add the missing spellings to DATA_DIR/aliases.json
+// and they apply on the next refresh
+app.get('/api/closings/unmatched', async (req, res) => {
+  try {
+    const { fetchedAt } = await fetchClosings();
+    res.json({ fetchedAt, ...matchReview });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Address lookup: which district, VoTech and charters serve a point ──
+// ?lat=&lng= for a known point (e.g. a dropped pin), or ?q= for an address,
+// ZIP, town or "lat, lng" text resolved by the local geocoder
+app.get('/api/lookup', async (req, res) => {
+  const { lat, lng, q } = req.query;
+  let location;
+  if (lat !== undefined || lng !== undefined) {
+    const point = { lat: Number(lat), lng: Number(lng) };
+    if (!isValidPoint(point.lat, point.lng)) return res.status(400).json({ error: 'lat and lng must be valid coordinates' });
+    location = { ...point, label: `${point.lat}, ${point.lng}`, source: 'coordinates' };
+  } else if (!q || !String(q).trim()) {
+    return res.status(400).json({ error: 'lat and lng, or q, is required' });
+  }
+
+  try {
+    if (!location) {
+      location = await geocode(q);
+      if (!location) return res.status(404).json({ error: `No location found for "${q}"` });
+    }
+    const [districts, votech, charters, snapshot] = await Promise.all([
+      fetchDistricts(), fetchVotechDistricts(), fetchCharterSchools(), fetchClosings(),
+    ]);
+    res.json({
+      location,
+      ...lookupPoint(location, { districts, votech, charters, snapshot }),
+      fetchedAt: snapshot.fetchedAt,
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Everything within ?radius= miles of ?lat=&lng=, nearest first (the "near me" panel)
+const NEARBY_DEFAULT_RADIUS = 10;
+const NEARBY_MAX_RADIUS = 100;
+app.get('/api/nearby', async (req, res) => {
+  const point = { lat: Number(req.query.lat), lng: Number(req.query.lng) };
+  if (!isValidPoint(point.lat, point.lng)) return res.status(400).json({ error: 'lat and lng must be valid coordinates' });
+  const radius = req.query.radius === undefined ? NEARBY_DEFAULT_RADIUS : Number(req.query.radius);
+  if (!(radius > 0 && radius <= NEARBY_MAX_RADIUS)) {
+    return res.status(400).json({ error: `radius must be between 0 and ${NEARBY_MAX_RADIUS} miles` });
+  }
+
+  try {
+    const [districts, votech, charters, snapshot] = await Promise.all([
+      fetchDistricts(), fetchVotechDistricts(), fetchCharterSchools(), fetchClosings(),
+    ]);
+    res.json({
+      location: point,
+      radiusMiles: radius,
+      ...nearby(point, { districts, votech, charters, snapshot }, radius),
+      fetchedAt: snapshot.fetchedAt,
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+const HISTORY_DEFAULT_DAYS = 30;
+
+// Parse an optional ?from=/?to= query value; returns null when unparseable.
+// A bare YYYY-MM-DD is read as a local day (start of day, or end of day for ?to=).
+function parseDateParam(value, fallback, endOfDay = false) {
+  if (!value) return fallback;
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (m) {
+    const d = new Date(+m[1], +m[2] - 1, +m[3]);
+    if (endOfDay) d.setHours(23, 59, 59, 999);
+    return d;
+  }
+  const d = new Date(value);
+  return isNaN(d) ? null : d;
+}
+
+app.get('/api/closings/history', async (req, res) => {
+  const to   = parseDateParam(req.query.to, new Date(), true);
+  const from = parseDateParam(
+    req.query.from,
+    to && new Date(to.getTime() - HISTORY_DEFAULT_DAYS * 24 * 60 * 60 * 1000),
+  );
+  if (!from || !to) {
+    return res.status(400).json({ error: 'from and to must be valid dates' });
+  }
+
+  try {
+    const history = await historyStore.queryHistory({ from, to, district: req.query.district });
+    res.json({ from: from.toISOString(), to: to.toISOString(), history });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The snapshot in effect at a moment, for viewing the map as it was
+app.get('/api/closings/at', async (req, res) => {
+  const time = parseDateParam(req.query.time, null, true);
+  if (!time) return res.status(400).json({ error: 'time must be a valid date' });
+
+  try {
+    const snapshot = await historyStore.snapshotAt(time);
+    if (!snapshot) return res.status(404).json({ error: 'No closings were recorded by that time' });
+    res.json(snapshot);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Frames for replaying a storm on the map; defaults to the last day
+const TIMELINE_DEFAULT_HOURS = 24;
+const TIMELINE_MAX_DAYS = 7;
+
+app.get('/api/closings/timeline', async (req, res) => {
+  const to   = parseDateParam(req.query.to, new Date(), true);
+  const from = parseDateParam(req.query.from, to && new Date(to.getTime() - TIMELINE_DEFAULT_HOURS * 60 * 60 * 1000));
+  if (!from || !to || from > to) {
+    return res.status(400).json({ error: 'from and to must be valid dates, from before to' });
+  }
+  if (to - from > TIMELINE_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({ error: `A timeline can span at most ${TIMELINE_MAX_DAYS} days` });
+  }
+
+  try {
+    res.json({ from: from.toISOString(), to: to.toISOString(), frames: await timelineFrames(from, to) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Season statistics ────────────────────────────────────────────────
+// Tallying a school year reads every snapshot in it, so results are cached:
+// briefly for the current year, for the life of the process for past ones.
+const STATS_TTL = 10 * 60 * 1000;
+const statsHistoryCache = new Map(); // year → { at, promise }
+
+function schoolYearHistory(year) {
+  const cached = statsHistoryCache.get(year);
+  const current = year >= stats.schoolYearOf(new Date());
+  if (cached && (!current || Date.now() - cached.at < STATS_TTL)) return cached.promise;
+
+  const { from, to } = stats.schoolYearRange(year);
+  const promise = historyStore.queryHistory({ from, to });
+  statsHistoryCache.set(year, { at: Date.now(), promise });
+  promise.catch(() => statsHistoryCache.delete(year));
+  return promise;
+}
+
+function parseSchoolYear(value) {
+  if (value === undefined) return stats.schoolYearOf(new Date());
+  const year = Number(value);
+  return Number.isInteger(year) && year >= 2000 && year <= 2100 ? year : null;
+}
+
+const describeOrganization = (layer, key) => {
+  const { displayName, counties } = describeChange({ layer, key }, feedResult?.layers || {});
+  return { displayName, counties };
+};
+
+function schoolYearInfo(year) {
+  const { label, from, to } = stats.schoolYearRange(year);
+  return { year, label, from: from.toISOString(), to: to.toISOString() };
+}
+
+app.get('/api/stats/summary', async (req, res) => {
+  const year = parseSchoolYear(req.query.year);
+  if (year === null) return res.status(400).json({ error: 'year must be the year a school year starts, e.g. 2025' });
+
+  try {
+    const [entries, days] = await Promise.all([schoolYearHistory(year), historyStore.listDays()]);
+    const years = [...new Set([...days.map(d => stats.schoolYearOf(`${d}T12:00:00`)), year])].sort((a, b) => b - a);
+    res.json({ schoolYear: schoolYearInfo(year), years, ...stats.summarize(entries, describeOrganization) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/stats/calendar', async (req, res) => {
+  const year = parseSchoolYear(req.query.year);
+  const layer = req.query.layer || 'district';
+  if (year === null) return res.status(400).json({ error: 'year must be the year a school year starts, e.g. 2025' });
+  if (!stats.STATS_LAYERS.includes(layer)) {
+    return res.status(400).json({ error: `layer must be one of: ${stats.STATS_LAYERS.join(', ')}` });
+  }
+
+  try {
+    const entries = await schoolYearHistory(year);
+    res.json({ schoolYear: schoolYearInfo(year), layer, calendars: stats.calendars(entries, describeOrganization, layer) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Server-Sent Events: push each new closings payload to connected clients ──
+const streamClients = new Set();
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(event, data) {
+  for (const res of streamClients) sendEvent(res, event, data);
+}
+
+closingsEvents.on('snapshot', snapshot => broadcast('closings', snapshot));
+closingsEvents.on('refreshed', snapshot => broadcast('fetchedAt', { fetchedAt: snapshot.fetchedAt }));
+closingsEvents.on('stale', snapshot => broadcast('fetchedAt', {
+  fetchedAt: snapshot.fetchedAt, stale: true, ageSeconds: snapshot.ageSeconds,
+}));
+
+// Comment lines keep idle connections open through proxies
+setInterval(() => {
+  for (const res of streamClients) res.write(': keepalive\n\n');
+}, STREAM_KEEPALIVE).unref();
+
+app.get('/api/closings/stream', async (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write('retry: 10000\n\n');
+  streamClients.add(res);
+  req.on('close', () => streamClients.delete(res));
+
+  // Start every subscriber off with the current payload
+  try { sendEvent(res, 'closings', await fetchClosings()); }
+  catch (err) { console.error('Stream initial payload failed:', err.message); }
+});
+
+const CHANGES_DEFAULT_WINDOW = 24 * 60 * 60 * 1000;
+
+app.get('/api/closings/changes', async (req, res) => {
+  const since = parseDateParam(req.query.since, new Date(Date.now() - CHANGES_DEFAULT_WINDOW));
+  if (!since) return res.status(400).json({ error: 'since must be a valid timestamp' });
+
+  try {
+    // fetchClosings makes sure feedResult holds the layers to describe against
+    const [changes] = await Promise.all([changesSince(since), fetchClosings()]);
+    res.json({
+      since: since.toISOString(),
+      changes: changes.map(c => describeChange(c, feedResult?.layers || {})),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Web Push: follow a district / VoTech / charter and get notified of changes ──
+closingsEvents.on('changes', changes => {
+  push.notifyChanges(changes).catch(err => {
+    console.error('Push notifications failed:', err.message);
+  });
+});
+
+app.get('/api/push/vapid-public-key', (req, res) => {
+  const publicKey = push.getPublicKey();
+  if (!publicKey) return res.status(503).json({ error: 'Push notifications are not available' });
+  res.json({ publicKey });
+});
+
+app.get('/api/push/follows', (req, res) => {
+  if (!req.query.endpoint) return res.status(400).json({ error: 'endpoint is required' });
+  res.json({ follows: push.getFollows(req.query.endpoint) });
+});
+
+app.post('/api/push/follows', async (req, res) => {
+  const { subscription, layer, key } = req.body || {};
+  if (!subscription?.endpoint || !subscription?.keys) {
+    return res.status(400).json({ error: 'subscription with endpoint and keys is required' });
+  }
+  const invalid = push.validateFollow(layer, key);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try { res.json({ follows: await push.follow(subscription, layer, key) }); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete('/api/push/follows', async (req, res) => {
+  const { endpoint, layer, key } = req.body || {};
+  if (!endpoint) return res.status(400).json({ error: 'endpoint is required' });
+  const invalid = push.validateFollow(layer, key);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try { res.json({ follows: await push.unfollow(endpoint, layer, key) }); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Outbound webhooks (configured in DATA_DIR/webhooks.json) ──────────
+closingsEvents.on('changes', (changes, snapshot) => {
+  webhooks.dispatchChanges(changes, snapshot).catch(err => {
+    console.error('Webhook dispatch failed:', err.message);
+  });
+});
+
+// Webhook targets and delivery results are for operators only
+app.use('/api/webhooks', requireAdmin);
+
+app.get('/api/webhooks', async (req, res) => {
+  try { res.json({ webhooks: await webhooks.listWebhooks() }); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/api/webhooks/deliveries', (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 500);
+  res.json({ deliveries: webhooks.getDeliveries({ webhookId: req.query.webhook, limit }) });
+});
+
+// ── Admin: manual overrides, site-wide banner and audit log ──────────
+// Operators authenticate with a bearer token from ADMIN_TOKENS / ADMIN_TOKEN.
+function requireAdmin(req, res, next) {
+  if (!adminAuth.isEnabled()) return res.status(503).json({ error: 'Admin access is not configured' });
+  const operator = adminAuth.authenticate(req.get('Authorization'));
+  if (!operator) return res.status(401).json({ error: 'Invalid or missing admin token' });
+  req.operator = operator;
+  next();
+}
+
+// Apply an admin change right away; before the first refresh it applies then
+async function republish() {
+  if (feedResult) await publishClosings();
+}
+
+app.use('/api/admin', requireAdmin);
+
+app.get('/api/admin/session', (req, res) => {
+  res.json({ operator: req.operator });
+});
+
+app.get('/api/admin/overrides', async (req, res) => {
+  try { res.json({ overrides: await adminStore.listOverrides() }); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/api/admin/overrides', async (req, res) => {
+  const input = req.body || {};
+  const invalid = adminStore.validateOverride(input);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const override = await adminStore.createOverride(input, req.operator);
+    await republish();
+    res.status(201).json({ override });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.put('/api/admin/overrides/:id', async (req, res) => {
+  try {
+    const existing = (await adminStore.listOverrides()).find(o => o.id === req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Override not found' });
+    const invalid = adminStore.validateOverride({ ...existing, ...req.body });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const override = await adminStore.updateOverride(req.params.id, req.body || {}, req.operator);
+    await republish();
+    res.json({ override });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete('/api/admin/overrides/:id', async (req, res) => {
+  try {
+    if (!await adminStore.deleteOverride(req.params.id, req.operator)) {
+      return res.status(404).json({ error: 'Override not found' });
+    }
+    await republish();
+    res.status(204).end();
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/api/admin/banner', async (req, res) => {
+  try { res.json({ banner: await adminStore.getBanner() }); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.put('/api/admin/banner', async (req, res) => {
+  const input = req.body || {};
+  const invalid = adminStore.validateBanner(input);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const banner = await adminStore.setBanner(input, req.operator);
+    await republish();
+    res.json({ banner });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete('/api/admin/banner', async (req, res) => {
+  try {
+    await adminStore.clearBanner(req.operator);
+    await republish();
+    res.status(204).end();
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/api/admin/audit', async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  try { res.json({ entries: await adminStore.getAuditLog(limit) }); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── RSS / Atom / iCalendar feeds ─────────────────────────────────────
+const FEED_DEFAULT_DAYS = { rss: 14, atom: 14, ics: 365 };
+const FEED_MAX_DAYS = 400;
+const FEED_TYPES = ['district', 'votech', 'charter', 'school', 'private'];
+
+// Feed items from recorded history, filtered by ?district= (name substring) and ?type=
+async function loadFeedItems(req, format) {
+  const days = Math.min(Number(req.query.days) || FEED_DEFAULT_DAYS[format], FEED_MAX_DAYS);
+  const to = new Date();
+  const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+
+  await fetchClosings(); // make sure the current snapshot has been recorded
+  const entries = await historyStore.queryHistory({ from, to });
+  const needle = (req.query.district || '').toLowerCase();
+  const type = req.query.type;
+
+  return feeds.toFeedItems(
+    entries
+      .map(e => ({ ...e, displayName: e.layer === 'votech' ? VOTECH_MAP[e.key]?.displayName || e.key : e.key }))
+      .filter(e => !type || e.layer === type)
+      .filter(e => !needle || e.key.toLowerCase().includes(needle) || e.displayName.toLowerCase().includes(needle)),
+  );
+}
+
+function feedRoute(format, contentType, render) {
+  return async (req, res) => {
+    if (req.query.type && !FEED_TYPES.includes(req.query.type)) {
+      return res.status(400).json({ error: `type must be one of: ${FEED_TYPES.join(', ')}` });
+    }
+    try {
+      const items = await loadFeedItems(req, format);
+      const origin = `${req.protocol}://${req.get('host')}`;
+      res.type(contentType).send(render(items, { link: `${origin}/`, selfUrl: `${origin}${req.originalUrl}`, title: regionTitle }));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+app.get('/feeds/closings.rss', feedRoute('rss', 'application/rss+xml', feeds.buildRss));
+app.get('/feeds/closings.atom', feedRoute('atom', 'application/atom+xml', feeds.buildAtom));
+app.get('/feeds/closings.ics', feedRoute('ics', 'text/calendar', feeds.buildIcs));
+
+// ── CSV / GeoJSON / Excel export ─────────────────────────────────────
+// Current closings by default, the snapshot in effect at ?time=, or every
+// closing recorded between ?from= and ?to=.
+const EXPORT_MAX_DAYS = 400;
+const EXPORT_FORMATS = {
+  csv:     { type: 'text/csv; charset=utf-8', render: rows => `\uFEFF${exporter.toCsv(rows)}` },
+  geojson: { type: 'application/geo+json', render: rows => JSON.stringify(exporter.toGeoJson(rows)) },
+  xlsx:    { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', render: exporter.toXlsx },
+};
+
+// Display name, counties and geometry of the feature a closing matched
+const locateOrganization = (layer, key) => {
+  const layers = feedResult?.layers || {};
+  const [collection, keyProp] = CHANGE_LAYERS[layer];
+  const feature = layers[collection]?.features.find(f => f.properties[keyProp] === key);
+  const { displayName, counties } = describeChange({ layer, key }, layers);
+  return { displayName, counties, geometry: feature?.geometry || null };
+};
+
+// { entries, label } for the request, or { status, error } when it can't be served
+async function exportEntries(query) {
+  const current = await fetchClosings(); // also loads the boundaries the rows are joined with
+  if (query.from || query.to) {
+    const to   = parseDateParam(query.to, new Date(), true);
+    const from = parseDateParam(query.from, to && new Date(to.getFullYear(), to.getMonth(), to.getDate()));
+    if (!from || !to || from > to) return { status: 400, error: 'from and to must be valid dates, from before to' };
+    if (to - from > EXPORT_MAX_DAYS * 24 * 60 * 60 * 1000) {
+      return { status: 400, error: `An export can span at most ${EXPORT_MAX_DAYS} days` };
+    }
+    const fromDay = historyStore.dayKey(from);
+    const toDay = historyStore.dayKey(to);
+    return {
+      entries: await historyStore.queryHistory({ from, to }),
+      label: fromDay === toDay ? fromDay : `${fromDay}-to-${toDay}`,
+    };
+  }
+
+  if (query.time) {
+    const time = parseDateParam(query.time, null, true);
+    if (!time) return { status: 400, error: 'time must be a valid date' };
+    const snapshot = await historyStore.snapshotAt(time);
+    if (!snapshot) return { status: 404, error: 'No closings were recorded by that time' };
+    return { entries: exporter.snapshotEntries(snapshot), label: historyStore.dayKey(snapshot.fetchedAt) };
+  }
+
+  return { entries: exporter.snapshotEntries(current), label: historyStore.dayKey(current.fetchedAt) };
+}
+
+app.get('/api/export/closings.:format', async (req, res) => {
+  const format = EXPORT_FORMATS[req.params.format];
+  if (!format) {
+    return res.status(404).json({ error: `Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  try {
+    const { entries, label, status, error } = await exportEntries(req.query);
+    if (error) return res.status(status).json({ error });
+    res.attachment(`closings-${label}.${req.params.format}`)
+      .type(format.type)
+      .send(format.render(exporter.exportRows(entries, locateOrganization)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Public API v1 ────────────────────────────────────────────────────
+// Filtered, paginated closings for other apps, described at
+// /api/v1/openapi.json. Clients identify with an X-API-Key (API_KEYS) and
+// are rate limited per key; keyless requests share a smaller per-IP limit.
+const API_RATE_WINDOW = 60 * 1000;
+const API_HISTORY_MAX_DAYS = 400;
+const apiRateLimiter = createRateLimiter({ windowMs: API_RATE_WINDOW });
+
+// Requests per minute, re-read so limits can be tuned without a restart
+const apiRateLimit = client => (client
+  ? Number(process.env.API_RATE_LIMIT) || 300
+  : Number(process.env.API_ANON_RATE_LIMIT) || 60);
+
+// API key check and rate limit, shared by /api/v1 and /api/graphql
+function apiAccess(req, res, next) {
+  const key = req.get('X-API-Key');
+  const client = apiKeys.identify(key);
+  if (key && !client) return res.status(401).json({ error: 'Invalid API key' });
+  if (!client && apiKeys.isKeyRequired()) return res.status(401).json({ error: 'An X-API-Key header is required' });
+
+  const limit = apiRateLimiter.hit(client ? `key:${client}` : `ip:${req.ip}`, apiRateLimit(client));
+  res.set({
+    'RateLimit-Limit': String(limit.limit),
+    'RateLimit-Remaining': String(limit.remaining),
+    'RateLimit-Reset': String(limit.resetSeconds),
+  });
+  if (!limit.allowed) {
+    res.set('Retry-After', String(limit.resetSeconds));
+    return res.status(429).json({ error: 'Rate limit exceeded; try again shortly' });
+  }
+  req.apiClient = client;
+  next();
+}
+
+const v1 = express.Router();
+v1.use(apiAccess);
+
+// A page with an ETag; If-None-Match with the same tag gets 304. `extraMeta`
+// (fetchedAt and the like) is sent but left out of the tag.
+function sendPage(req, res, page, extraMeta) {
+  const tag = publicApi.etag([page, extraMeta.stale]);
+  res.set({ ETag: tag, 'Cache-Control': 'no-cache' });
+  // Compared directly rather than via req.fresh, which ignores If-None-Match
+  // when the request also says Cache-Control: no-cache (as fetch() does)
+  if (publicApi.matchesEtag(req.get('If-None-Match'), tag)) return res.status(304).end();
+  res.json({ ...page, meta: { ...page.meta, ...extraMeta } });
+}
+
+v1.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument({ serverUrl: `${req.protocol}://${req.get('host')}/api/v1` }));
+});
+
+v1.get('/closings', async (req, res) => {
+  const query = publicApi.parseListQuery(req.query);
+  if (query.error) return res.status(400).json({ error: query.error });
+
+  try {
+    const snapshot = await fetchClosings();
+    const records = publicApi.closingRecords(snapshot, describeOrganization);
+    sendPage(req, res, publicApi.paginate(records, query, req.originalUrl), {
+      fetchedAt: snapshot.fetchedAt,
+      stale: !!snapshot.stale,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+v1.get('/closings/history', async (req, res) => {
+  const query = publicApi.parseListQuery(req.query);
+  if (query.error) return res.status(400).json({ error: query.error });
+  const to   = parseDateParam(req.query.to, new Date(), true);
+  const from = parseDateParam(
+    req.query.from,
+    to && new Date(to.getTime() - HISTORY_DEFAULT_DAYS * 24 * 60 * 60 * 1000),
+  );
+  if (!from || !to || from > to) {
+    return res.status(400).json({ error: 'from and to must be valid dates, from before to' });
+  }
+  if (to - from > API_HISTORY_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({ error: `History can span at most ${API_HISTORY_MAX_DAYS} days` });
+  }
+
+  try {
+    await fetchClosings(); // make sure the current snapshot has been recorded
+    const entries = await historyStore.queryHistory({ from, to });
+    const records = entries.map(e => publicApi.historyRecord(e, describeOrganization));
+    sendPage(req, res, publicApi.paginate(records, query, req.originalUrl), {
+      from: from.toISOString(),
+      to: to.toISOString(),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+v1.get('/organizations', async (req, res) => {
+  const query = publicApi.parseListQuery(req.query);
+  if (query.error) return res.status(400).json({ error: query.error });
+
+  try {
+    const snapshot = await fetchClosings();
+    const layers = feedResult?.layers || {};
+    const records = publicApi.API_TYPES.flatMap((layer) => {
+      const [collection, keyProp] = CHANGE_LAYERS[layer];
+      const closings = snapshot[publicApi.SNAPSHOT_FIELDS[layer]] || {};
+      const keys = new Set((layers[collection]?.features || []).map(f => f.properties[keyProp]).filter(Boolean));
+      return [...keys]
+        .map(key => publicApi.organizationRecord(layer, key, closings[key], describeOrganization))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    });
+    sendPage(req, res, publicApi.paginate(records, query, req.originalUrl), {
+      fetchedAt: snapshot.fetchedAt,
+      stale: !!snapshot.stale,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+v1.use((req, res) => {
+  res.status(404).json({ error: 'Not found; see /api/v1/openapi.json' });
+});
+
+app.use('/api/v1', v1);
+
+// ── GraphQL ──────────────────────────────────────────────────────────
+// POST (or GET) /api/graphql with { query, variables, operationName }.
+// Subscriptions stream over Server-Sent Events: send the subscription with
+// Accept: text/event-stream and each result arrives as a "next" event.
+// Same API keys and rate limits as /api/v1.
+const closingsSchema = graphqlSchema.createSchema();
+
+const currentGraph = snapshot => graphqlSchema.createGraph({
+  snapshot,
+  layers: feedResult?.layers || {},
+  describe: describeOrganization,
+});
+
+// { query, variables, operationName } from a POST body or GET query string
+function graphqlParams(req) {
+  const params = req.method === 'POST' ? req.body || {} : req.query;
+  let { variables } = params;
+  if (typeof variables === 'string') {
+    try { variables = JSON.parse(variables); } catch { variables = undefined; }
+  }
+  return { query: params.query, variables, operationName: params.operationName };
+}
+
+const graphqlErrors = (res, status, errors) => res.status(status).json({ errors: errors.map(e => e.toJSON()) });
+
+async function graphqlRoute(req, res) {
+  const { query, variables, operationName } = graphqlParams(req);
+  if (typeof query !== 'string' || !query.trim()) {
+    return graphqlErrors(res, 400, [new GraphQLError('Missing query')]);
+  }
+
+  let document;
+  try { document = parse(query); }
+  catch (err) { return graphqlErrors(res, 400, [err]); }
+  const validationErrors = validate(closingsSchema, document);
+  if (validationErrors.length) return graphqlErrors(res, 400, validationErrors);
+
+  const operation = getOperationAST(document, operationName);
+  if (!operation) return graphqlErrors(res, 400, [new GraphQLError('Name the operation to run with operationName')]);
+  const args = { schema: closingsSchema, document, variableValues: variables, operationName };
+
+  if (operation.operation === 'subscription') {
+    if (!(req.get('Accept') || '').includes('text/event-stream')) {
+      return graphqlErrors(res, 400, [new GraphQLError('Subscriptions need Accept: text/event-stream')]);
+    }
+    return graphqlSubscription(req, res, args);
+  }
+
+  try {
+    const snapshot = await fetchClosings();
+    res.json(await execute({ ...args, contextValue: { graph: currentGraph(snapshot) } }));
+  } catch (err) {
+    graphqlErrors(res, 500, [new GraphQLError(err.message)]);
+  }
+}
+
+// Each open subscription listens for 'changes' until its client disconnects
+closingsEvents.setMaxListeners(0);
+
+async function graphqlSubscription(req, res, args) {
+  const controller = new AbortController();
+  let stream;
+  try {
+    stream = await subscribe({
+      ...args,
+      contextValue: { events: closingsEvents, graphFor: currentGraph, signal: controller.signal },
+    });
+  } catch (err) {
+    return graphqlErrors(res, 500, [new GraphQLError(err.message)]);
+  }
+  if (!stream[Symbol.asyncIterator]) return res.status(400).json(stream); // errors setting it up
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), STREAM_KEEPALIVE);
+  // res rather than req: a POST's request side has already closed once its body was read
+  res.on('close', () => {
+    clearInterval(keepalive);
+    controller.abort();
+  });
+
+  try {
+    for await (const result of stream) sendEvent(res, 'next', result);
+  } catch (err) {
+    sendEvent(res, 'next', { errors: [new GraphQLError(err.message).toJSON()] });
+  }
+  clearInterval(keepalive);
+  if (!res.writableEnded) {
+    res.write('event: complete\ndata:\n\n');
+    res.end();
+  }
+}
+
+app.use('/api/graphql', apiAccess);
+app.get('/api/graphql', graphqlRoute);
+app.post('/api/graphql', graphqlRoute);
+
+// index.html with share tags for the linked view, e.g. /?focus=district:Christina%20School%20District
+async function renderIndexHtml(req, html) {
+  const focus = shareTags.parseFocus(req.query.focus);
+  const snapshot = await fetchClosings().catch(() => closingsCache);
+  const displayName = focus && describeChange(focus, feedResult?.layers || {}).displayName;
+  const regionName = regions.length === 1 ? regions[0].adapter.name : null;
+  const meta = shareTags.shareMeta({ focus, displayName, snapshot, regionName });
+  return shareTags.injectShareTags(html, { ...meta, url: `${req.protocol}://${req.get('host')}${req.originalUrl}` });
+}
+
 // In production, serve the React build
 if (IS_PROD) {
   const buildPath = path.join(__dirname, 'build');
-  app.use(express.static(buildPath));
-  app.get('*', (req, res) => {
-    res.sendFile(path.join(buildPath, 'index.html'));
+  let indexHtml = null;
+  app.use(express.static(buildPath, { index: false }));
+  app.get('*', async (req, res) => {
+    try {
+      indexHtml = indexHtml || await fs.promises.readFile(path.join(buildPath, 'index.html'), 'utf8');
+      res.type('html').send(await renderIndexHtml(req, indexHtml));
+    } catch (err) {
+      res.status(500).send(err.message);
+    }
   });
 }
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT} [${IS_PROD ? 'production' : 'development'}]`);
-  console.log(`Closings cache TTL: ${CLOSINGS_TTL / 1000}s`);
-});
+// Start listening only when run directly — tests require the app without side effects
+if (require.main === module) {
+  push.init().catch(err => {
+    console.error('Push notifications disabled:', err.message);
+  });
+  webhooks.init().catch(err => {
+    console.error('Failed to load webhook delivery log:', err.message);
+  });
+
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT} [${IS_PROD ? 'production' : 'development'}]`);
+    console.log(`Closings poll interval: ${CLOSINGS_POLL_INTERVAL / 1000}s`);
+
+    // Background poller — keeps the cache warm and drives the SSE stream
+    const pollClosings = () => fetchClosings({ force: true }).catch(err => {
+      console.error('Closings poll failed:', err.message);
+    });
+    pollClosings();
+    setInterval(pollClosings, CLOSINGS_POLL_INTERVAL);
+  });
+}
+
+module.exports = { app, fetchClosings, closingsEvents };
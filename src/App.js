@@ -2,61 +2,161 @@ import React, { useEffect, useState, useRef, useMemo, useCallback } from 'react'
 import L from 'leaflet';
 import SchoolClosingsMap from './components/SchoolClosingsMap';
 import SearchBar from './components/SearchBar';
+import LookupCard from './components/LookupCard';
+import NearMePanel from './components/NearMePanel';
+import ClosingsList, { LIST_TYPES } from './components/ClosingsList';
+import MapFilters from './components/MapFilters';
+import TimelineBar from './components/TimelineBar';
+import ExportMenu from './components/ExportMenu';
+import useFollows from './hooks/useFollows';
+import useMapFilters, { matchesFilters, isFiltering } from './hooks/useMapFilters';
+import { readUrlParams, writeUrlParams, parseFocus, formatFocus, parseMapView, formatMapView } from './urlState';
 import 'leaflet/dist/leaflet.css';
 import './App.css';
 
-const POLL_INTERVAL = 3 * 60 * 1000; // re-fetch every 3 minutes
+const POLL_INTERVAL = 3 * 60 * 1000; // fallback re-fetch every 3 minutes while the stream is down
+const STREAM_RETRY  = 30 * 1000;     // wait before re-opening a dropped stream
+const NEAR_ME_DEFAULT_RADIUS = 10;   // miles; matches the /api/nearby default
+
+const TIMELINE_DEFAULT_HOURS = 24;
+
+// Stand-ins for layers a recorded snapshot lacks; shared so memo deps stay stable
+const EMPTY_LIST = Object.freeze([]);
+const EMPTY_MAP  = Object.freeze({});
+
+// Point features are flown to closer than district or VoTech areas
+const focusZoom = type => (['charter', 'school', 'private'].includes(type) ? 14 : 12);
+
+const readInitialView = () => parseMapView(readUrlParams().get('map'));
+
+function initialAsOf() {
+  const time = readUrlParams().get('date');
+  return time ? { time, loading: true, error: null, snapshot: null } : null;
+}
 
 function App() {
-  const [closings, setClosings] = useState([]);
-  const [closingsByDistrict, setClosingsByDistrict] = useState({});
-  const [closingsByVotech, setClosingsByVotech]     = useState({});
-  const [closingsByCharter, setClosingsByCharter]   = useState({});
+  const [liveClosings, setClosings] = useState([]);
+  const [liveByDistrict, setClosingsByDistrict] = useState({});
+  const [liveByVotech, setClosingsByVotech]     = useState({});
+  const [liveByCharter, setClosingsByCharter]   = useState({});
+  const [liveBySchool, setClosingsBySchool]     = useState({});
+  const [liveByPrivate, setClosingsByPrivate]   = useState({});
   const [districts, setDistricts]         = useState(null);
   const [votechDistricts, setVotechDistricts] = useState(null);
   const [charterSchools, setCharterSchools]   = useState(null);
+  const [schools, setSchools]                 = useState(null);
+  const [privateSchools, setPrivateSchools]   = useState(null);
+  const [sources, setSources]                 = useState([]); // regions the server covers, e.g. [{ id: 'de', name: 'Delaware' }]
   const [fetchedAt, setFetchedAt] = useState(null);
+  const [stale, setStale] = useState(false); // showing an older snapshot because a source is down
+  const [banner, setBanner] = useState(null); // site-wide message posted from the admin console
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [legendOpen, setLegendOpen] = useState(false);
+  const [lookup, setLookup] = useState(null); // { query, loading, error, result } for the address lookup card
+  const [listOpen, setListOpen] = useState(false); // table view alongside the map
+  const [selected, setSelected] = useState(null); // { type, key } shared by the list view and the map
+  const [nearMe, setNearMe] = useState(null); // { lat, lng, radius, locating, loading, error, result } for the near-me panel
+  const [asOf, setAsOf] = useState(initialAsOf); // { time, loading, error, snapshot } when viewing a past date (?date=)
+  const [timeline, setTimeline] = useState(null); // { hours, loading, error, frames } while the timeline is open
+  const [pendingFocus, setPendingFocus] = useState(() => parseFocus(readUrlParams().get('focus'))); // ?focus= until its feature loads
 
+  const closingsLoadedRef  = useRef(false);
   const districtsLoadedRef = useRef(false);
   const votechLoadedRef    = useRef(false);
   const charterLoadedRef   = useRef(false);
+  const schoolsLoadedRef   = useRef(false);
+  const privateLoadedRef   = useRef(false);
+  const sourcesLoadedRef   = useRef(false);
   const mapRef = useRef(null);
+  const listToggleRef = useRef(null);
+  const lookupSeqRef = useRef(0); // ignore responses to superseded lookups
+  const nearMeSeqRef = useRef(0); // same, for near-me queries
+  const initialViewRef = useRef(readInitialView()); // map center/zoom from the link (?map=), applied once
+
+  const { supported: followSupported, isFollowing, toggleFollow } = useFollows();
+  const { filters, toggleFilter, clearFilters } = useMapFilters();
+
+  // Everything below shows live data, or the recorded snapshot for ?date=
+  const historical = asOf?.snapshot || null;
+  const closings           = historical ? historical.closings || EMPTY_LIST : liveClosings;
+  const closingsByDistrict = historical ? historical.byDistrict || EMPTY_MAP : liveByDistrict;
+  const closingsByVotech   = historical ? historical.byVotech || EMPTY_MAP   : liveByVotech;
+  const closingsByCharter  = historical ? historical.byCharter || EMPTY_MAP  : liveByCharter;
+  const closingsBySchool   = historical ? historical.bySchool || EMPTY_MAP   : liveBySchool;
+  const closingsByPrivate  = historical ? historical.byPrivate || EMPTY_MAP  : liveByPrivate;
 
   useEffect(() => {
+    let cancelled = false;
+    let source  = null;
+    let pollId  = null;
+    let retryId = null;
+
+    function applyClosings(json) {
+      setClosings(json.closings);
+      setClosingsByDistrict(json.byDistrict  || {});
+      setClosingsByVotech(json.byVotech      || {});
+      setClosingsByCharter(json.byCharter    || {});
+      setClosingsBySchool(json.bySchool      || {});
+      setClosingsByPrivate(json.byPrivate    || {});
+      setFetchedAt(json.fetchedAt);
+      setStale(!!json.stale);
+      setBanner(json.banner || null);
+      closingsLoadedRef.current = true;
+    }
+
+    async function fetchJson(url) {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`API error: ${res.status}`);
+      return res.json();
+    }
+
     async function loadData() {
       try {
-        const fetchPromises = [fetch('/api/closings')];
+        const fetchPromises = [fetchJson('/api/closings')];
         const fetchKeys     = ['closings'];
 
         if (!districtsLoadedRef.current) {
-          fetchPromises.push(fetch('/api/districts'));
+          fetchPromises.push(fetchJson('/api/districts'));
           fetchKeys.push('districts');
         }
         if (!votechLoadedRef.current) {
-          fetchPromises.push(fetch('/api/votech-districts'));
+          fetchPromises.push(fetchJson('/api/votech-districts'));
           fetchKeys.push('votech');
         }
         if (!charterLoadedRef.current) {
-          fetchPromises.push(fetch('/api/charter-schools'));
+          fetchPromises.push(fetchJson('/api/charter-schools'));
           fetchKeys.push('charter');
         }
+        if (!schoolsLoadedRef.current) {
+          fetchPromises.push(fetchJson('/api/schools'));
+          fetchKeys.push('schools');
+        }
+        if (!privateLoadedRef.current) {
+          fetchPromises.push(fetchJson('/api/private-schools'));
+          fetchKeys.push('private');
+        }
+        if (!sourcesLoadedRef.current) {
+          fetchPromises.push(fetchJson('/api/sources'));
+          fetchKeys.push('sources');
+        }
 
-        const responses = await Promise.all(fetchPromises);
+        // A layer that fails to load is retried on the next load; only missing
+        // closings on first load are fatal
+        const results = await Promise.allSettled(fetchPromises);
 
         for (let i = 0; i < fetchKeys.length; i++) {
-          if (!responses[i].ok) throw new Error(`API error: ${responses[i].status}`);
-          const json = await responses[i].json();
-          const key  = fetchKeys[i];
+          const key = fetchKeys[i];
+          if (results[i].status === 'rejected') {
+            if (key !== 'closings') continue;
+            if (!closingsLoadedRef.current) throw results[i].reason;
+            setStale(true); // server unreachable — keep showing the last data we had
+            continue;
+          }
+          const json = results[i].value;
 
           if (key === 'closings') {
-            setClosings(json.closings);
-            setClosingsByDistrict(json.byDistrict  || {});
-            setClosingsByVotech(json.byVotech      || {});
-            setClosingsByCharter(json.byCharter    || {});
-            setFetchedAt(json.fetchedAt);
+            applyClosings(json);
           } else if (key === 'districts') {
             setDistricts(json);
             districtsLoadedRef.current = true;
@@ -66,6 +166,15 @@ function App() {
           } else if (key === 'charter') {
             setCharterSchools(json);
             charterLoadedRef.current = true;
+          } else if (key === 'schools') {
+            setSchools(json);
+            schoolsLoadedRef.current = true;
+          } else if (key === 'private') {
+            setPrivateSchools(json);
+            privateLoadedRef.current = true;
+          } else if (key === 'sources') {
+            setSources(json.sources);
+            sourcesLoadedRef.current = true;
           }
         }
 
@@ -77,12 +186,49 @@ function App() {
       }
     }
 
-    loadData();
-    const id = setInterval(loadData, POLL_INTERVAL);
-    return () => clearInterval(id);
+    function startPolling() {
+      if (!pollId) pollId = setInterval(loadData, POLL_INTERVAL);
+    }
+
+    function stopPolling() {
+      clearInterval(pollId);
+      pollId = null;
+    }
+
+    // Live updates over SSE; poll instead whenever the stream is unavailable
+    function openStream() {
+      if (cancelled) return;
+      if (typeof EventSource === 'undefined') {
+        startPolling();
+        return;
+      }
+      source = new EventSource('/api/closings/stream');
+      source.addEventListener('open', stopPolling);
+      source.addEventListener('closings', e => applyClosings(JSON.parse(e.data)));
+      source.addEventListener('fetchedAt', (e) => {
+        const data = JSON.parse(e.data);
+        setFetchedAt(data.fetchedAt);
+        setStale(!!data.stale);
+      });
+      source.onerror = () => {
+        source.close();
+        source = null;
+        loadData();
+        startPolling();
+        retryId = setTimeout(openStream, STREAM_RETRY);
+      };
+    }
+
+    loadData().then(openStream);
+    return () => {
+      cancelled = true;
+      if (source) source.close();
+      stopPolling();
+      clearTimeout(retryId);
+    };
   }, []);
 
-  // ── Build flat search index from all three GeoJSON sources ─────────
+  // ── Build flat search index from all GeoJSON sources ───────────────
   const searchIndex = useMemo(() => {
     const items = [];
 
@@ -92,8 +238,8 @@ function App() {
         try {
           const center = L.geoJSON(f).getBounds().getCenter();
           items.push({
-            name, type: 'district', typeLabel: 'District',
-            lat: center.lat, lng: center.lng,
+            name, key: name, type: 'district', typeLabel: 'District',
+            lat: center.lat, lng: center.lng, counties: f.properties.COUNTIES || [],
             closing: closingsByDistrict[name] || null,
           });
         } catch { /* skip malformed */ }
@@ -107,8 +253,8 @@ function App() {
         try {
           const center = L.geoJSON(f).getBounds().getCenter();
           items.push({
-            name, type: 'votech', typeLabel: 'VoTech',
-            lat: center.lat, lng: center.lng,
+            name, key, type: 'votech', typeLabel: 'VoTech',
+            lat: center.lat, lng: center.lng, counties: f.properties.COUNTIES || [],
             closing: closingsByVotech[key] || null,
           });
         } catch { /* skip */ }
@@ -122,23 +268,262 @@ function App() {
         if (!name || seen.has(name) || f.geometry?.type !== 'Point') continue;
         seen.add(name);
         items.push({
-          name, type: 'charter', typeLabel: 'Charter',
-          lat: f.geometry.coordinates[1], lng: f.geometry.coordinates[0],
+          name, key: name, type: 'charter', typeLabel: 'Charter',
+          lat: f.geometry.coordinates[1], lng: f.geometry.coordinates[0], counties: f.properties.COUNTIES || [],
           closing: closingsByCharter[name] || null,
         });
       }
     }
 
+    if (schools?.features) {
+      const seen = new Set();
+      for (const f of schools.features) {
+        const name = f.properties?.SCHOOLNAME;
+        if (!name || seen.has(name) || f.geometry?.type !== 'Point') continue;
+        seen.add(name);
+        items.push({
+          name, key: name, type: 'school', typeLabel: 'School',
+          lat: f.geometry.coordinates[1], lng: f.geometry.coordinates[0], counties: f.properties.COUNTIES || [],
+          closing: closingsBySchool[name] || null,
+        });
+      }
+    }
+
+    if (privateSchools?.features) {
+      for (const f of privateSchools.features) {
+        const name = f.properties?.NAME;
+        if (!name || f.geometry?.type !== 'Point') continue;
+        items.push({
+          name, key: name, type: 'private', typeLabel: 'Private',
+          lat: f.geometry.coordinates[1], lng: f.geometry.coordinates[0], counties: f.properties.COUNTIES || [],
+          closing: closingsByPrivate[name] || null,
+        });
+      }
+    }
+
     return items;
-  }, [districts, votechDistricts, charterSchools, closingsByDistrict, closingsByVotech, closingsByCharter]);
+  }, [districts, votechDistricts, charterSchools, schools, privateSchools,
+    closingsByDistrict, closingsByVotech, closingsByCharter, closingsBySchool, closingsByPrivate]);
+
+  // Everything the filters let through drives the map, badges and search
+  const filteredIndex = useMemo(
+    () => searchIndex.filter(item => matchesFilters(item, filters)),
+    [searchIndex, filters],
+  );
+
+  const counties = useMemo(() => {
+    const names = new Set((districts?.features || []).flatMap(f => f.properties.COUNTIES || []));
+    return [...names].sort();
+  }, [districts]);
+
+  const listItems = useMemo(
+    () => searchIndex.filter(item => LIST_TYPES.some(t => t.id === item.type)),
+    [searchIndex],
+  );
 
   const handleSearchSelect = useCallback((item) => {
-    if (mapRef.current) {
-      const zoom = item.type === 'charter' ? 14 : 12;
-      mapRef.current.flyTo(item.lat, item.lng, zoom);
+    setSelected({ type: item.type, key: item.key });
+    if (mapRef.current) mapRef.current.flyTo(item.lat, item.lng, focusZoom(item.type));
+  }, []);
+
+  // ── Address / dropped-pin lookup ───────────────────────────────────
+  const runLookup = useCallback(async (params, query, { flyTo }) => {
+    const seq = ++lookupSeqRef.current;
+    nearMeSeqRef.current++;
+    setNearMe(null);
+    setLookup({ query, loading: true, error: null, result: null });
+    try {
+      const res = await fetch(`/api/lookup?${new URLSearchParams(params)}`);
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || `API error: ${res.status}`);
+      if (seq !== lookupSeqRef.current) return;
+      setLookup({ query, loading: false, error: null, result: json });
+      if (flyTo && mapRef.current) mapRef.current.flyTo(json.location.lat, json.location.lng, 12);
+    } catch (err) {
+      if (seq === lookupSeqRef.current) setLookup({ query, loading: false, error: err.message, result: null });
+    }
+  }, []);
+
+  const handleAddressLookup = useCallback((q) => {
+    runLookup({ q }, q, { flyTo: true });
+  }, [runLookup]);
+
+  const handleDropPin = useCallback((lat, lng) => {
+    runLookup({ lat: lat.toFixed(5), lng: lng.toFixed(5) }, 'Dropped pin', { flyTo: false });
+  }, [runLookup]);
+
+  const handleLookupSelect = useCallback((lat, lng) => {
+    if (mapRef.current) mapRef.current.flyTo(lat, lng, 14);
+  }, []);
+
+  const handleCloseLookup = useCallback(() => {
+    lookupSeqRef.current++;
+    setLookup(null);
+  }, []);
+
+  // ── "Use my location" near-me panel ────────────────────────────────
+  const loadNearby = useCallback(async (lat, lng, radius) => {
+    const seq = ++nearMeSeqRef.current;
+    setNearMe(prev => ({ ...prev, lat, lng, radius, locating: false, loading: true, error: null }));
+    try {
+      const res = await fetch(`/api/nearby?${new URLSearchParams({ lat: lat.toFixed(5), lng: lng.toFixed(5), radius })}`);
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || `API error: ${res.status}`);
+      if (seq === nearMeSeqRef.current) setNearMe(prev => prev && { ...prev, loading: false, result: json });
+    } catch (err) {
+      if (seq === nearMeSeqRef.current) setNearMe(prev => prev && { ...prev, loading: false, error: err.message, result: null });
     }
   }, []);
 
+  const handleLocate = useCallback(() => {
+    const seq = ++nearMeSeqRef.current;
+    const radius = nearMe ? nearMe.radius : NEAR_ME_DEFAULT_RADIUS;
+    lookupSeqRef.current++;
+    setLookup(null);
+    setNearMe({ radius, locating: true, loading: false, error: null, result: null });
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        if (seq !== nearMeSeqRef.current) return;
+        if (mapRef.current) mapRef.current.flyTo(coords.latitude, coords.longitude, 11);
+        loadNearby(coords.latitude, coords.longitude, radius);
+      },
+      (err) => {
+        if (seq !== nearMeSeqRef.current) return;
+        const message = err.code === err.PERMISSION_DENIED
+          ? 'Location access is blocked. Allow it in your browser settings, or search for an address instead.'
+          : 'Could not determine your location.';
+        setNearMe(prev => prev && { ...prev, locating: false, error: message });
+      },
+      { enableHighAccuracy: false, timeout: 15000, maximumAge: 60000 }
+    );
+  }, [nearMe, loadNearby]);
+
+  const handleNearMeRadius = useCallback((radius) => {
+    if (nearMe && nearMe.lat != null) loadNearby(nearMe.lat, nearMe.lng, radius);
+    else setNearMe(prev => prev && { ...prev, radius });
+  }, [nearMe, loadNearby]);
+
+  const handleNearMeSelect = useCallback((item) => {
+    if (mapRef.current) mapRef.current.flyTo(item.lat, item.lng, focusZoom(item.layer));
+  }, []);
+
+  const handleCloseNearMe = useCallback(() => {
+    nearMeSeqRef.current++;
+    setNearMe(null);
+  }, []);
+
+  // ── List view ↔ map selection ──────────────────────────────────────
+  const handleListSelect = useCallback((item) => {
+    setSelected({ type: item.type, key: item.key });
+    if (mapRef.current) mapRef.current.flyTo(item.lat, item.lng, focusZoom(item.type));
+  }, []);
+
+  const handleCloseList = useCallback(() => {
+    setListOpen(false);
+    if (listToggleRef.current) listToggleRef.current.focus();
+  }, []);
+
+  const handleSelectFeature = useCallback((layer, key) => {
+    setSelected({ type: layer, key });
+  }, []);
+
+  // ── Deep links: ?focus=, ?map= and ?date= ──────────────────────────
+  // Focus the linked feature once its layer has loaded; a linked map view
+  // wins over flying to it
+  useEffect(() => {
+    if (!pendingFocus) return;
+    const item = searchIndex.find(i => i.type === pendingFocus.type && i.key === pendingFocus.key);
+    if (!item) return;
+    setPendingFocus(null);
+    setSelected(pendingFocus);
+    if (!initialViewRef.current && mapRef.current) {
+      mapRef.current.flyTo(item.lat, item.lng, focusZoom(item.type));
+    }
+  }, [pendingFocus, searchIndex]);
+
+  useEffect(() => {
+    // A selection replaces a linked focus still waiting for its layer;
+    // until then the link's focus stays in the URL
+    if (selected) setPendingFocus(null);
+    else if (pendingFocus) return;
+    writeUrlParams({ focus: formatFocus(selected) });
+  }, [selected, pendingFocus]);
+
+  const handleViewChange = useCallback((view) => {
+    writeUrlParams({ map: formatMapView(view) });
+  }, []);
+
+  // A linked date is fetched; timeline frames arrive with their snapshot
+  const asOfTime = asOf?.time;
+  const asOfLoading = !!asOf?.loading;
+  useEffect(() => {
+    writeUrlParams({ date: asOfTime || null });
+  }, [asOfTime]);
+
+  useEffect(() => {
+    if (!asOfTime || !asOfLoading) return;
+    let cancelled = false;
+    fetch(`/api/closings/at?${new URLSearchParams({ time: asOfTime })}`)
+      .then(async (res) => {
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || `API error: ${res.status}`);
+        if (!cancelled) setAsOf({ time: asOfTime, loading: false, error: null, snapshot: json });
+      })
+      .catch((err) => {
+        if (!cancelled) setAsOf({ time: asOfTime, loading: false, error: err.message, snapshot: null });
+      });
+    return () => { cancelled = true; };
+  }, [asOfTime, asOfLoading]);
+
+  const handleBackToLive = useCallback(() => setAsOf(null), []);
+
+  // ── Timeline playback ──────────────────────────────────────────────
+  const timelineHours = timeline?.hours;
+  useEffect(() => {
+    if (!timelineHours) return;
+    let cancelled = false;
+    const from = new Date(Date.now() - timelineHours * 60 * 60 * 1000).toISOString();
+    fetch(`/api/closings/timeline?${new URLSearchParams({ from })}`)
+      .then(async (res) => {
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || `API error: ${res.status}`);
+        if (!cancelled) setTimeline({ hours: timelineHours, loading: false, error: null, frames: json.frames });
+      })
+      .catch((err) => {
+        if (!cancelled) setTimeline({ hours: timelineHours, loading: false, error: err.message, frames: [] });
+      });
+    return () => { cancelled = true; };
+  }, [timelineHours]);
+
+  const handleToggleTimeline = useCallback(() => {
+    setTimeline(prev => (prev ? null : { hours: TIMELINE_DEFAULT_HOURS, loading: true, error: null, frames: [] }));
+    setAsOf(null);
+  }, []);
+
+  const handleTimelineRange = useCallback((hours) => {
+    setTimeline({ hours, loading: true, error: null, frames: [] });
+    setAsOf(null);
+  }, []);
+
+  const handleShowFrame = useCallback((frame) => {
+    setAsOf({ time: frame.fetchedAt, loading: false, error: null, snapshot: frame });
+  }, []);
+
+  const handleCloseTimeline = useCallback(() => {
+    setTimeline(null);
+    setAsOf(null);
+  }, []);
+
+  const handleToggleFollow = useCallback((layer, key) => {
+    toggleFollow(layer, key).catch((err) => {
+      if (err.name === 'NotAllowedError') {
+        window.alert('Notifications are blocked for this site. Allow them in your browser settings to follow schools.');
+      } else {
+        console.warn('Follow failed:', err);
+      }
+    });
+  }, [toggleFollow]);
+
   if (loading) {
     return <div className="loading-screen">Loading closings data...</div>;
   }
@@ -153,35 +538,101 @@ function App() {
     );
   }
 
-  const closedCount = closings.filter(c => c.statusType === 'closed').length;
-  const delayCount  = closings.filter(c => c.statusType === 'delay').length;
-  const earlyCount  = closings.filter(c => c.statusType === 'early dismissal').length;
-  const infoCount   = closings.filter(c => c.statusType === 'info').length;
+  // Name the region when there is just one; stay generic across several states
+  const regionName  = sources.length === 1 ? sources[0].name : null;
+  const shortRegion = sources.map(s => s.id.toUpperCase()).join('/');
+
+  // Badges count feed closings, or with filters on, the closings the map
+  // shows (a private school following its district's closing counts once)
+  const shown = isFiltering(filters)
+    ? filteredIndex.filter(item => item.closing && !item.closing.inheritedFrom).map(item => item.closing)
+    : closings;
+  const closedCount     = shown.filter(c => c.statusType === 'closed').length;
+  const virtualCount    = shown.filter(c => c.statusType === 'virtual').length;
+  const delayCount      = shown.filter(c => c.statusType === 'delay').length;
+  const earlyCount      = shown.filter(c => c.statusType === 'early dismissal').length;
+  const activitiesCount = shown.filter(c => c.statusType === 'activities cancelled').length;
+  const infoCount       = shown.filter(c => c.statusType === 'info').length;
 
   return (
     <div className="app">
       <header className="header">
         <h1 className="header-title">
-          <span className="title-full">Delaware School Closings</span>
-          <span className="title-short">DE Closings</span>
+          <span className="title-full">{regionName ? `${regionName} School Closings` : 'School Closings'}</span>
+          <span className="title-short">{shortRegion ? `${shortRegion} Closings` : 'Closings'}</span>
         </h1>
-        <SearchBar items={searchIndex} onSelect={handleSearchSelect} />
+        <SearchBar
+          items={filteredIndex}
+          onSelect={handleSearchSelect}
+          onLookup={handleAddressLookup}
+          isFollowing={isFollowing}
+          onToggleFollow={followSupported ? handleToggleFollow : null}
+        />
         <div className="header-right">
+          <button
+            ref={listToggleRef}
+            type="button"
+            className={`view-toggle ${listOpen ? 'view-toggle-active' : ''}`}
+            aria-pressed={listOpen}
+            onClick={() => setListOpen(open => !open)}
+          >
+            List view
+          </button>
+          <button
+            type="button"
+            className={`view-toggle ${timeline ? 'view-toggle-active' : ''}`}
+            aria-pressed={!!timeline}
+            onClick={handleToggleTimeline}
+          >
+            Timeline
+          </button>
+          <a className="view-toggle" href="/stats">Stats</a>
+          <ExportMenu time={historical ? asOf.time : null} />
           <div className="header-badges">
-            {closedCount > 0 && <span className="badge badge-closed">{closedCount} Closed</span>}
-            {delayCount  > 0 && <span className="badge badge-delay">{delayCount} Delayed</span>}
-            {earlyCount  > 0 && <span className="badge badge-early">{earlyCount} Early Dismissal</span>}
-            {infoCount   > 0 && <span className="badge badge-info">{infoCount} Info</span>}
-            {closings.length === 0 && <span className="badge badge-open">All Open</span>}
+            {closedCount     > 0 && <span className="badge badge-closed">{closedCount} Closed</span>}
+            {virtualCount    > 0 && <span className="badge badge-virtual">{virtualCount} Virtual</span>}
+            {delayCount      > 0 && <span className="badge badge-delay">{delayCount} Delayed</span>}
+            {earlyCount      > 0 && <span className="badge badge-early">{earlyCount} Early Dismissal</span>}
+            {activitiesCount > 0 && <span className="badge badge-activities">{activitiesCount} Activities Cancelled</span>}
+            {infoCount       > 0 && <span className="badge badge-info">{infoCount} Info</span>}
+            {shown.length === 0 && (isFiltering(filters)
+              ? <span className="badge badge-open">No matching closings</span>
+              : <span className="badge badge-open">All Open</span>)}
           </div>
           {fetchedAt && (
-            <span className="last-updated">
-              Updated {new Date(fetchedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            <span
+              className={`last-updated ${stale ? 'last-updated-stale' : ''}`}
+              title={stale ? 'The state closings feed is unavailable; showing the last data received.' : undefined}
+            >
+              {stale ? 'Data from ' : 'Updated '}
+              {new Date(fetchedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              {stale && ' · source unavailable'}
             </span>
           )}
         </div>
       </header>
 
+      {banner && (
+        <div className={`site-banner site-banner-${banner.level}`} role={banner.level === 'info' ? 'status' : 'alert'}>
+          {banner.message}
+        </div>
+      )}
+
+      {asOf && !timeline && (
+        <div className="site-banner site-banner-info history-banner" role="status">
+          <span>
+            {asOf.loading && `Loading closings for ${asOf.time}…`}
+            {asOf.error && `Could not load closings for ${asOf.time}: ${asOf.error}`}
+            {historical && `Showing closings as of ${new Date(historical.fetchedAt).toLocaleString([], {
+              weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+            })}`}
+          </span>
+          <button type="button" className="history-live-button" onClick={handleBackToLive}>Back to live</button>
+        </div>
+      )}
+
+      <MapFilters filters={filters} counties={counties} onToggle={toggleFilter} onClear={clearFilters} />
+
       <div className="map-container">
         <SchoolClosingsMap
           ref={mapRef}
@@ -191,12 +642,55 @@ function App() {
           closingsByVotech={closingsByVotech}
           charterSchools={charterSchools}
           closingsByCharter={closingsByCharter}
+          schools={schools}
+          closingsBySchool={closingsBySchool}
+          privateSchools={privateSchools}
+          closingsByPrivate={closingsByPrivate}
+          lookupLocation={lookup?.result?.location || null}
+          onDropPin={handleDropPin}
+          userLocation={nearMe && nearMe.lat != null ? { lat: nearMe.lat, lng: nearMe.lng } : null}
+          highlightedDistrict={nearMe?.result?.district || null}
+          onLocate={'geolocation' in navigator ? handleLocate : null}
+          selected={selected}
+          onSelectFeature={handleSelectFeature}
+          filters={filters}
+          initialView={initialViewRef.current}
+          onViewChange={handleViewChange}
+          isFollowing={isFollowing}
+          onToggleFollow={followSupported ? handleToggleFollow : null}
         />
 
+        {listOpen && (
+          <ClosingsList
+            items={listItems}
+            selected={selected}
+            onSelect={handleListSelect}
+            onClose={handleCloseList}
+          />
+        )}
+
+        {lookup && (
+          <LookupCard lookup={lookup} onClose={handleCloseLookup} onSelect={handleLookupSelect} />
+        )}
+
+        {nearMe && (
+          <NearMePanel
+            nearMe={nearMe}
+            closingsByLayer={{ district: closingsByDistrict, votech: closingsByVotech, charter: closingsByCharter }}
+            onRadiusChange={handleNearMeRadius}
+            onSelect={handleNearMeSelect}
+            onClose={handleCloseNearMe}
+          />
+        )}
+
         {closings.length === 0 && (
           <div className="no-closings-overlay">
             <h2>No closings reported</h2>
-            <p>All Delaware schools are currently open.</p>
+            <p>
+              {historical
+                ? 'No schools had reported closings at this time.'
+                : `All ${regionName ? `${regionName} ` : ''}schools are currently open.`}
+            </p>
           </div>
         )}
 
@@ -213,8 +707,10 @@ function App() {
           <div className="legend-content">
             <div className="legend-section-label">Status</div>
             <div className="legend-item"><span className="legend-swatch" style={{ background: '#ef4444' }} />Closed</div>
+            <div className="legend-item"><span className="legend-swatch" style={{ background: '#a855f7' }} />Virtual Learning</div>
             <div className="legend-item"><span className="legend-swatch" style={{ background: '#f59e0b' }} />Delay</div>
             <div className="legend-item"><span className="legend-swatch" style={{ background: '#f97316' }} />Early Dismissal</div>
+            <div className="legend-item"><span className="legend-swatch" style={{ background: '#14b8a6' }} />Activities Cancelled</div>
             <div className="legend-item"><span className="legend-swatch" style={{ background: '#3b82f6' }} />Informational</div>
             <div className="legend-item"><span className="legend-swatch" style={{ background: '#30363d', border: '1px solid #484f58' }} />Open</div>
             <div className="legend-divider" />
@@ -231,9 +727,34 @@ function App() {
               </span>
               Charter Schools
             </div>
+            <div className="legend-item">
+              <span className="legend-swatch-icon" style={{ background: '#484f58', border: '1.5px solid rgba(255,255,255,0.6)', borderRadius: 4 }}>
+                <svg viewBox="0 0 16 16" width="10" height="10"><path fill="#fff" d="M8 1.5 1.5 5.2v1.3h13V5.2L8 1.5Zm0 2.1a1 1 0 1 1 0 2 1 1 0 0 1 0-2ZM2.5 7.5V13h-1v1.5h13V13h-1V7.5h-2V13H10V9.5a2 2 0 0 0-4 0V13H4.5V7.5h-2Z"/></svg>
+              </span>
+              Schools
+            </div>
+            {privateSchools?.features.length > 0 && (
+              <div className="legend-item">
+                <span className="legend-swatch-icon" style={{ background: '#484f58', border: '1.5px dashed rgba(255,255,255,0.6)' }}>
+                  <svg viewBox="0 0 16 16" width="10" height="10"><path fill="#fff" d="M8 1 2.5 3v4.2c0 3.3 2.3 6.3 5.5 7.3 3.2-1 5.5-4 5.5-7.3V3L8 1Zm0 1.6 4 1.5v3.1c0 2.5-1.7 4.8-4 5.7V2.6Z"/></svg>
+                </span>
+                Private Schools
+              </div>
+            )}
           </div>
         </div>
       </div>
+
+      {timeline && (
+        <TimelineBar
+          timeline={timeline}
+          currentTime={asOf?.time || null}
+          onShowFrame={handleShowFrame}
+          onLive={handleBackToLive}
+          onRangeChange={handleTimelineRange}
+          onClose={handleCloseTimeline}
+        />
+      )}
     </div>
   );
 }
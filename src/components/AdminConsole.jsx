@@ -0,0 +1,363 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { STATUS_TYPES, STATUS_LABELS } from '../statusLabels';
+
+const TOKEN_KEY = 'adminToken';
+const DEFAULT_EXPIRY_HOURS = 12;
+
+const LAYER_LABELS = {
+  district: 'District',
+  votech: 'VoTech',
+  charter: 'Charter',
+  school: 'School',
+  private: 'Private School',
+};
+
+// Where each layer's keys come from, for the key picker
+const LAYER_SOURCES = {
+  district: ['/api/districts', p => p.NAME],
+  votech:   ['/api/votech-districts', p => p.VOTECH],
+  charter:  ['/api/charter-schools', p => p.SCHOOLNAME],
+  school:   ['/api/schools', p => p.SCHOOLNAME],
+  private:  ['/api/private-schools', p => p.NAME],
+};
+
+// <input type="datetime-local"> works in local time without a zone suffix
+function toLocalInput(date) {
+  const d = new Date(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '—';
+}
+
+function emptyOverride() {
+  return {
+    layer: 'district',
+    key: '',
+    action: 'set',
+    statusType: 'closed',
+    status: '',
+    note: '',
+    expiresAt: toLocalInput(Date.now() + DEFAULT_EXPIRY_HOURS * 60 * 60 * 1000),
+  };
+}
+
+// ── Admin console: manual overrides, site-wide banner and audit log ──
+// Operators sign in with the bearer token configured on the server
+// (ADMIN_TOKENS / ADMIN_TOKEN); it is kept for this browser tab only.
+function AdminConsole() {
+  const [token, setToken] = useState(() => sessionStorage.getItem(TOKEN_KEY));
+  const [operator, setOperator] = useState(null);
+  const [overrides, setOverrides] = useState([]);
+  const [banner, setBanner] = useState(null);
+  const [audit, setAudit] = useState([]);
+  const [layerKeys, setLayerKeys] = useState({});
+  const [form, setForm] = useState(emptyOverride);
+  const [editingId, setEditingId] = useState(null);
+  const [bannerForm, setBannerForm] = useState({ message: '', level: 'info', expiresAt: '' });
+  const [error, setError] = useState(null);
+
+  const signOut = useCallback(() => {
+    sessionStorage.removeItem(TOKEN_KEY);
+    setToken(null);
+    setOperator(null);
+  }, []);
+
+  const api = useCallback(async (method, url, body) => {
+    const res = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (res.status === 401) {
+      signOut();
+      throw new Error('Your session has expired — sign in again');
+    }
+    if (res.status === 204) return null;
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `API error: ${res.status}`);
+    return json;
+  }, [token, signOut]);
+
+  const refresh = useCallback(async () => {
+    const [session, o, b, a] = await Promise.all([
+      api('GET', '/api/admin/session'),
+      api('GET', '/api/admin/overrides'),
+      api('GET', '/api/admin/banner'),
+      api('GET', '/api/admin/audit?limit=50'),
+    ]);
+    setOperator(session.operator);
+    setOverrides(o.overrides);
+    setBanner(b.banner);
+    setAudit(a.entries);
+  }, [api]);
+
+  useEffect(() => {
+    if (!token) return;
+    refresh().catch(err => setError(err.message));
+  }, [token, refresh]);
+
+  // Known keys for the selected layer, loaded once per layer
+  useEffect(() => {
+    if (!token || layerKeys[form.layer]) return;
+    const [url, keyOf] = LAYER_SOURCES[form.layer];
+    fetch(url)
+      .then(res => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!data?.features) return;
+        const keys = [...new Set(data.features.map(f => keyOf(f.properties)).filter(Boolean))].sort();
+        setLayerKeys(prev => ({ ...prev, [form.layer]: keys }));
+      })
+      .catch(() => {});
+  }, [token, form.layer, layerKeys]);
+
+  useEffect(() => {
+    setBannerForm(banner
+      ? { message: banner.message, level: banner.level, expiresAt: banner.expiresAt ? toLocalInput(banner.expiresAt) : '' }
+      : { message: '', level: 'info', expiresAt: '' });
+  }, [banner]);
+
+  // Run an admin change, then reload everything so the audit log stays current
+  const perform = async (change) => {
+    setError(null);
+    try {
+      await change();
+      await refresh();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleSignIn = (e) => {
+    e.preventDefault();
+    const value = new FormData(e.target).get('token').trim();
+    if (!value) return;
+    sessionStorage.setItem(TOKEN_KEY, value);
+    setError(null);
+    setToken(value);
+  };
+
+  const handleSaveOverride = async (e) => {
+    e.preventDefault();
+    const body = { ...form, expiresAt: new Date(form.expiresAt).toISOString() };
+    const saved = await perform(() => (editingId
+      ? api('PUT', `/api/admin/overrides/${editingId}`, body)
+      : api('POST', '/api/admin/overrides', body)));
+    if (saved) {
+      setForm(emptyOverride());
+      setEditingId(null);
+    }
+  };
+
+  const handleEdit = (o) => {
+    setEditingId(o.id);
+    setForm({
+      layer: o.layer,
+      key: o.key,
+      action: o.action,
+      statusType: o.statusType || 'closed',
+      status: o.status || '',
+      note: o.note || '',
+      expiresAt: toLocalInput(o.expiresAt),
+    });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setForm(emptyOverride());
+  };
+
+  const handleDelete = (o) => {
+    if (!window.confirm(`Remove the override for ${o.key}?`)) return;
+    perform(() => api('DELETE', `/api/admin/overrides/${o.id}`));
+  };
+
+  const handleSaveBanner = (e) => {
+    e.preventDefault();
+    perform(() => api('PUT', '/api/admin/banner', {
+      ...bannerForm,
+      expiresAt: bannerForm.expiresAt ? new Date(bannerForm.expiresAt).toISOString() : null,
+    }));
+  };
+
+  const handleClearBanner = () => {
+    perform(() => api('DELETE', '/api/admin/banner'));
+  };
+
+  const updateForm = field => e => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  if (!token) {
+    return (
+      <div className="admin">
+        <form className="admin-signin" onSubmit={handleSignIn}>
+          <h1>Closings Admin</h1>
+          <label className="admin-field">
+            Admin token
+            <input name="token" type="password" autoComplete="current-password" autoFocus />
+          </label>
+          {error && <div className="admin-error">{error}</div>}
+          <button type="submit" className="admin-button admin-button-primary">Sign in</button>
+        </form>
+      </div>
+    );
+  }
+
+  const now = Date.now();
+
+  return (
+    <div className="admin">
+      <header className="admin-header">
+        <h1>Closings Admin</h1>
+        <div className="admin-header-right">
+          {operator && <span>Signed in as <strong>{operator}</strong></span>}
+          <a href="/">View map</a>
+          <button type="button" className="admin-button" onClick={signOut}>Sign out</button>
+        </div>
+      </header>
+
+      {error && <div className="admin-error" role="alert">{error}</div>}
+
+      <section className="admin-section">
+        <h2>Site banner</h2>
+        <form className="admin-form" onSubmit={handleSaveBanner}>
+          <label className="admin-field admin-field-wide">
+            Message
+            <input
+              value={bannerForm.message}
+              onChange={e => setBannerForm(prev => ({ ...prev, message: e.target.value }))}
+              placeholder="e.g. All New Castle County schools closed Tuesday"
+              required
+            />
+          </label>
+          <label className="admin-field">
+            Level
+            <select value={bannerForm.level} onChange={e => setBannerForm(prev => ({ ...prev, level: e.target.value }))}>
+              <option value="info">Info</option>
+              <option value="warning">Warning</option>
+              <option value="alert">Alert</option>
+            </select>
+          </label>
+          <label className="admin-field">
+            Expires (optional)
+            <input
+              type="datetime-local"
+              value={bannerForm.expiresAt}
+              onChange={e => setBannerForm(prev => ({ ...prev, expiresAt: e.target.value }))}
+            />
+          </label>
+          <div className="admin-actions">
+            <button type="submit" className="admin-button admin-button-primary">{banner ? 'Update banner' : 'Post banner'}</button>
+            {banner && <button type="button" className="admin-button" onClick={handleClearBanner}>Remove</button>}
+          </div>
+        </form>
+      </section>
+
+      <section className="admin-section">
+        <h2>{editingId ? 'Edit override' : 'Add override'}</h2>
+        <form className="admin-form" onSubmit={handleSaveOverride}>
+          <label className="admin-field">
+            Layer
+            <select value={form.layer} onChange={updateForm('layer')} disabled={!!editingId}>
+              {Object.entries(LAYER_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </label>
+          <label className="admin-field admin-field-wide">
+            Name
+            <input value={form.key} onChange={updateForm('key')} list="admin-layer-keys" disabled={!!editingId} required />
+            <datalist id="admin-layer-keys">
+              {(layerKeys[form.layer] || []).map(key => <option key={key} value={key} />)}
+            </datalist>
+          </label>
+          <label className="admin-field">
+            Action
+            <select value={form.action} onChange={updateForm('action')}>
+              <option value="set">Set status</option>
+              <option value="suppress">Hide feed entry</option>
+            </select>
+          </label>
+          {form.action === 'set' && (
+            <>
+              <label className="admin-field">
+                Status
+                <select value={form.statusType} onChange={updateForm('statusType')}>
+                  {STATUS_TYPES.map(value => <option key={value} value={value}>{STATUS_LABELS[value]}</option>)}
+                </select>
+              </label>
+              <label className="admin-field admin-field-wide">
+                Wording (optional)
+                <input value={form.status} onChange={updateForm('status')} placeholder="e.g. 2 Hour Delay - No AM Pre-K" />
+              </label>
+            </>
+          )}
+          <label className="admin-field">
+            Expires
+            <input type="datetime-local" value={form.expiresAt} onChange={updateForm('expiresAt')} required />
+          </label>
+          <label className="admin-field admin-field-wide">
+            Internal note
+            <input value={form.note} onChange={updateForm('note')} placeholder="Why this override exists" />
+          </label>
+          <div className="admin-actions">
+            <button type="submit" className="admin-button admin-button-primary">{editingId ? 'Save changes' : 'Add override'}</button>
+            {editingId && <button type="button" className="admin-button" onClick={handleCancelEdit}>Cancel</button>}
+          </div>
+        </form>
+      </section>
+
+      <section className="admin-section">
+        <h2>Overrides</h2>
+        {overrides.length === 0 ? (
+          <p className="admin-empty">No overrides.</p>
+        ) : (
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Layer</th><th>Name</th><th>Override</th><th>Expires</th><th>Last changed</th><th />
+              </tr>
+            </thead>
+            <tbody>
+              {overrides.map((o) => {
+                const expired = Date.parse(o.expiresAt) <= now;
+                return (
+                  <tr key={o.id} className={expired ? 'admin-row-expired' : ''}>
+                    <td>{LAYER_LABELS[o.layer]}</td>
+                    <td>{o.key}{o.note && <div className="admin-note">{o.note}</div>}</td>
+                    <td>{o.action === 'suppress' ? 'Hidden' : o.status}</td>
+                    <td>{expired ? 'Expired ' : ''}{formatTime(o.expiresAt)}</td>
+                    <td>{formatTime(o.updatedAt)} by {o.updatedBy}</td>
+                    <td className="admin-row-actions">
+                      <button type="button" className="admin-button" onClick={() => handleEdit(o)}>Edit</button>
+                      <button type="button" className="admin-button" onClick={() => handleDelete(o)}>Delete</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="admin-section">
+        <h2>Audit log</h2>
+        {audit.length === 0 ? (
+          <p className="admin-empty">No changes yet.</p>
+        ) : (
+          <ul className="admin-audit">
+            {audit.map((entry, i) => (
+              <li key={`${entry.at}-${i}`}>
+                <span className="admin-audit-time">{formatTime(entry.at)}</span>
+                <strong>{entry.actor}</strong> {entry.action} <span className="admin-audit-target">{entry.target}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default AdminConsole;
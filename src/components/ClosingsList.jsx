@@ -0,0 +1,186 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { STATUS_TYPES, STATUS_LABELS } from '../statusLabels';
+
+// Most disruptive first; open sorts last
+const statusRank = closing => (closing ? STATUS_TYPES.indexOf(closing.statusType) : STATUS_TYPES.length);
+
+export const LIST_TYPES = [
+  { id: 'district', label: 'District' },
+  { id: 'votech', label: 'VoTech' },
+  { id: 'charter', label: 'Charter' },
+];
+
+const COLUMNS = [
+  { id: 'name', label: 'Name' },
+  { id: 'type', label: 'Type' },
+  { id: 'status', label: 'Status' },
+  { id: 'details', label: 'Details', sortable: false },
+  { id: 'date', label: 'Date' },
+];
+
+// The closing's date cell (MM/DD/YYYY) as a timestamp; null when missing or without a year
+function dateValue(closing) {
+  const parsed = closing?.date ? new Date(closing.date) : null;
+  return parsed && !isNaN(parsed) && parsed.getFullYear() > 2000 ? parsed.getTime() : null;
+}
+
+const COMPARE = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  type: (a, b) => a.typeLabel.localeCompare(b.typeLabel),
+  status: (a, b) => statusRank(a.closing) - statusRank(b.closing),
+  date: (a, b) => dateValue(a.closing) - dateValue(b.closing),
+};
+
+const rowId = item => `list-row-${item.type}-${item.key}`.replace(/[^\w-]+/g, '-');
+
+// ── Accessible list view ─────────────────────────────────────────────
+// Every district, VoTech district and charter as a table, for keyboard and
+// screen reader users and anyone who finds the hover tooltips awkward.
+// `items` are search-index entries; `selected` ({ type, key }) is shared with
+// the map — choosing a row calls `onSelect(item)`, and when the map selects
+// something the matching row scrolls into view and takes focus.
+function ClosingsList({ items, selected, onSelect, onClose }) {
+  const [statusFilter, setStatusFilter] = useState('all'); // 'all' | 'closing' | 'open' | a status type
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [sort, setSort] = useState({ column: 'status', descending: false });
+  const tableRef = useRef(null);
+
+  const rows = useMemo(() => {
+    const filtered = items.filter(item => {
+      if (typeFilter !== 'all' && item.type !== typeFilter) return false;
+      if (statusFilter === 'closing') return !!item.closing;
+      if (statusFilter === 'open') return !item.closing;
+      if (statusFilter !== 'all') return item.closing?.statusType === statusFilter;
+      return true;
+    });
+    const compare = COMPARE[sort.column];
+    return filtered.sort((a, b) => {
+      // Rows without a date stay at the bottom whichever way dates are sorted
+      if (sort.column === 'date') {
+        const undated = (dateValue(a.closing) === null) - (dateValue(b.closing) === null);
+        if (undated) return undated;
+      }
+      return (sort.descending ? -1 : 1) * compare(a, b) || COMPARE.name(a, b);
+    });
+  }, [items, statusFilter, typeFilter, sort]);
+
+  // Follow a selection made on the map
+  const selectedId = selected ? rowId(selected) : null;
+  useEffect(() => {
+    if (!selectedId || !tableRef.current) return;
+    const button = tableRef.current.querySelector(`#${selectedId} .closings-list-name`);
+    if (button && document.activeElement !== button) {
+      button.scrollIntoView({ block: 'nearest' });
+      button.focus({ preventScroll: true });
+    }
+  }, [selectedId]);
+
+  const toggleSort = (column) => {
+    setSort(prev => ({ column, descending: prev.column === column ? !prev.descending : false }));
+  };
+
+  // Up/Down move between rows without tabbing through every sort button
+  const handleKeyDown = (e) => {
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+    const buttons = [...tableRef.current.querySelectorAll('.closings-list-name')];
+    const index = buttons.indexOf(document.activeElement);
+    if (index === -1) return;
+    e.preventDefault();
+    const next = buttons[index + (e.key === 'ArrowDown' ? 1 : -1)];
+    if (next) next.focus();
+  };
+
+  const closingCount = rows.filter(item => item.closing).length;
+
+  return (
+    <section className="closings-list" aria-labelledby="closings-list-heading">
+      <div className="closings-list-header">
+        <h2 id="closings-list-heading">All schools</h2>
+        <button type="button" className="lookup-close" onClick={onClose} aria-label="Close list view">×</button>
+      </div>
+
+      <div className="closings-list-filters">
+        <label>
+          Status
+          <select value={statusFilter} onChange={e => setStatusFilter(e.target.value)}>
+            <option value="all">All</option>
+            <option value="closing">Any closing</option>
+            {STATUS_TYPES.map(s => <option key={s} value={s}>{STATUS_LABELS[s]}</option>)}
+            <option value="open">{STATUS_LABELS.open}</option>
+          </select>
+        </label>
+        <label>
+          Type
+          <select value={typeFilter} onChange={e => setTypeFilter(e.target.value)}>
+            <option value="all">All</option>
+            {LIST_TYPES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div className="closings-list-count" role="status" aria-live="polite">
+        {rows.length} shown · {closingCount} with closings
+      </div>
+
+      <div className="closings-list-scroll">
+        <table ref={tableRef} className="closings-list-table" onKeyDown={handleKeyDown}>
+          <caption className="sr-only">School closing statuses. Choose a name to show it on the map.</caption>
+          <thead>
+            <tr>
+              {COLUMNS.map(col => {
+                const active = sort.column === col.id;
+                const ariaSort = active ? (sort.descending ? 'descending' : 'ascending') : 'none';
+                return (
+                  <th key={col.id} scope="col" aria-sort={col.sortable === false ? undefined : ariaSort}>
+                    {col.sortable === false ? col.label : (
+                      <button type="button" className="closings-list-sort" onClick={() => toggleSort(col.id)}>
+                        {col.label}
+                        <span aria-hidden="true">{active ? (sort.descending ? ' ▼' : ' ▲') : ''}</span>
+                      </button>
+                    )}
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(item => {
+              const isSelected = selected && selected.type === item.type && selected.key === item.key;
+              return (
+                <tr key={`${item.type}-${item.key}`} id={rowId(item)} className={isSelected ? 'closings-list-selected' : undefined}>
+                  <th scope="row">
+                    <button
+                      type="button"
+                      className="closings-list-name"
+                      aria-current={isSelected ? 'true' : undefined}
+                      onClick={() => onSelect(item)}
+                    >
+                      {item.name}
+                    </button>
+                  </th>
+                  <td>
+                    <span className={`search-type-badge search-type-${item.type}`}>{item.typeLabel}</span>
+                  </td>
+                  <td>
+                    {item.closing ? (
+                      <span className={`search-status search-status-${item.closing.statusType.replace(/\s+/g, '-')}`}>
+                        {STATUS_LABELS[item.closing.statusType] || item.closing.statusType}
+                      </span>
+                    ) : (
+                      <span className="search-status search-status-open">{STATUS_LABELS.open}</span>
+                    )}
+                  </td>
+                  <td className="closings-list-details">{item.closing ? item.closing.status : ''}</td>
+                  <td className="closings-list-date">{item.closing?.date || ''}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {rows.length === 0 && <div className="lookup-message closings-list-empty">Nothing matches these filters.</div>}
+      </div>
+    </section>
+  );
+}
+
+export default ClosingsList;
@@ -0,0 +1,38 @@
+import React, { useRef } from 'react';
+
+const FORMATS = [
+  { id: 'csv', label: 'CSV', hint: 'spreadsheets and routing software' },
+  { id: 'xlsx', label: 'Excel', hint: '.xlsx workbook' },
+  { id: 'geojson', label: 'GeoJSON', hint: 'boundaries and locations for GIS' },
+];
+
+// ── Header "Export" menu ─────────────────────────────────────────────
+// Download links for /api/export/closings.{csv,xlsx,geojson}. `time` is the
+// past date or moment on the map, if any, so the export matches what's shown.
+function ExportMenu({ time }) {
+  const menuRef = useRef(null);
+  const query = time ? `?time=${encodeURIComponent(time)}` : '';
+  const close = () => { if (menuRef.current) menuRef.current.open = false; };
+
+  return (
+    <details
+      ref={menuRef}
+      className="export-menu"
+      onKeyDown={e => { if (e.key === 'Escape') close(); }}
+    >
+      <summary className="view-toggle">Export</summary>
+      <ul className="export-menu-items">
+        {FORMATS.map(f => (
+          <li key={f.id}>
+            <a href={`/api/export/closings.${f.id}${query}`} download onClick={close}>
+              {f.label}
+              <span className="export-menu-hint">{f.hint}</span>
+            </a>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { STATUS_LABELS } from '../statusLabels';
+
+function StatusPill({ closing }) {
+  if (!closing) return <span className="search-status search-status-open">{STATUS_LABELS.open}</span>;
+  return (
+    <span className={`search-status search-status-${closing.statusType.replace(/\s+/g, '-')}`}>
+      {STATUS_LABELS[closing.statusType] || closing.statusType}
+    </span>
+  );
+}
+
+function LookupRow({ label, name, closing, detail, onClick }) {
+  return (
+    <li className="lookup-row">
+      <div className="lookup-row-label">{label}</div>
+      <div className="lookup-row-main">
+        {onClick
+          ? <button type="button" className="lookup-row-name" onClick={onClick}>{name}</button>
+          : <span className="lookup-row-name">{name}</span>}
+        <StatusPill closing={closing} />
+      </div>
+      {closing && <div className="lookup-row-status">{closing.status}</div>}
+      {detail && <div className="lookup-row-detail">{detail}</div>}
+    </li>
+  );
+}
+
+// ── "Which schools serve my address?" result card ────────────────────
+// `lookup` is { query, loading, error, result } where result is the
+// /api/lookup response; `onSelect(lat, lng)` pans to a listed charter.
+function LookupCard({ lookup, onClose, onSelect }) {
+  const { query, loading, error, result } = lookup;
+
+  return (
+    <section className="lookup-card" aria-label="Schools serving this location" aria-live="polite">
+      <div className="lookup-header">
+        <div>
+          <div className="lookup-title">Schools serving</div>
+          <div className="lookup-location">{result ? result.location.label : query}</div>
+        </div>
+        <button type="button" className="lookup-close" onClick={onClose} aria-label="Close lookup">×</button>
+      </div>
+
+      {loading && <div className="lookup-message">Looking up…</div>}
+      {error && <div className="lookup-message lookup-error">{error}</div>}
+
+      {result && !loading && (
+        <>
+          {result.location.source !== 'coordinates' && (
+            <div className="lookup-approx">
+              Located by {result.location.source === 'zip' ? 'ZIP code' : 'town'} — drop a pin for an exact spot.
+            </div>
+          )}
+          <ul className="lookup-rows">
+            {result.district
+              ? <LookupRow label="District" name={result.district.name} closing={result.district.closing} />
+              : <li className="lookup-row lookup-row-none">Not inside a covered school district</li>}
+            {result.votech && <LookupRow label="VoTech" name={result.votech.name} closing={result.votech.closing} />}
+            {result.charters.map(c => (
+              <LookupRow
+                key={c.name}
+                label="Nearby charter"
+                name={c.name}
+                closing={c.closing}
+                detail={`${c.distanceMiles} mi away`}
+                onClick={() => onSelect(c.lat, c.lng)}
+              />
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="lookup-hint">Right-click or long-press the map to drop a pin.</div>
+    </section>
+  );
+}
+
+export default LookupCard;
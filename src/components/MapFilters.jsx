@@ -0,0 +1,45 @@
+import React from 'react';
+import { FILTER_STATUSES, FILTER_TYPES, isFiltering, slugify } from '../hooks/useMapFilters';
+
+function FilterGroup({ label, group, options, selected, onToggle }) {
+  return (
+    <div className="map-filter-group" role="group" aria-label={label}>
+      <span className="map-filter-label">{label}</span>
+      {options.map(({ id, label: optionLabel, className }) => (
+        <button
+          key={id}
+          type="button"
+          className={`map-filter-chip ${className || ''} ${selected.includes(id) ? 'map-filter-chip-on' : ''}`}
+          aria-pressed={selected.includes(id)}
+          onClick={() => onToggle(group, id)}
+        >
+          {optionLabel}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// ── Filter strip under the header ────────────────────────────────────
+// Toggle chips for status, type and county; nothing selected in a group
+// means everything in it is shown. `counties` are the names found in the
+// loaded district layer.
+function MapFilters({ filters, counties, onToggle, onClear }) {
+  const statusOptions = FILTER_STATUSES.map(s => ({ ...s, className: `map-filter-status-${s.id}` }));
+  const countyOptions = counties.map(name => ({ id: slugify(name), label: name }));
+
+  return (
+    <div className="map-filters">
+      <FilterGroup label="Status" group="statuses" options={statusOptions} selected={filters.statuses} onToggle={onToggle} />
+      <FilterGroup label="Type" group="types" options={FILTER_TYPES} selected={filters.types} onToggle={onToggle} />
+      {countyOptions.length > 1 && (
+        <FilterGroup label="County" group="counties" options={countyOptions} selected={filters.counties} onToggle={onToggle} />
+      )}
+      {isFiltering(filters) && (
+        <button type="button" className="map-filter-clear" onClick={onClear}>Clear filters</button>
+      )}
+    </div>
+  );
+}
+
+export default MapFilters;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { STATUS_LABELS } from '../statusLabels';
+
+const TYPE_LABELS = { district: 'District', votech: 'VoTech', charter: 'Charter' };
+
+export const RADIUS_OPTIONS = [5, 10, 25, 50];
+
+// ── "Near me" side panel ─────────────────────────────────────────────
+// Every district, VoTech and charter within the chosen radius of the user,
+// nearest first. `nearMe` is { radius, locating, loading, error, result }
+// (result from /api/nearby); statuses come from the live `closingsByLayer`
+// maps so the list follows the stream without re-querying.
+function NearMePanel({ nearMe, closingsByLayer, onRadiusChange, onSelect, onClose }) {
+  const { radius, locating, loading, error, result } = nearMe;
+  const items = result
+    ? result.items.map(item => ({ ...item, closing: closingsByLayer[item.layer]?.[item.key] || null }))
+    : [];
+  const affected = items.filter(item => item.closing).length;
+
+  return (
+    <aside className="near-me-panel" aria-label="Schools near you">
+      <div className="near-me-header">
+        <h2>Near me</h2>
+        <button type="button" className="lookup-close" onClick={onClose} aria-label="Close near me panel">×</button>
+      </div>
+
+      <label className="near-me-radius">
+        Within
+        <select value={radius} onChange={e => onRadiusChange(Number(e.target.value))}>
+          {RADIUS_OPTIONS.map(r => <option key={r} value={r}>{r} miles</option>)}
+        </select>
+      </label>
+
+      {locating && <div className="lookup-message">Finding your location…</div>}
+      {error && <div className="lookup-message lookup-error">{error}</div>}
+      {loading && !locating && <div className="lookup-message">Loading nearby schools…</div>}
+
+      {result && !locating && (
+        <>
+          <div className="near-me-summary" aria-live="polite">
+            {result.district ? <>You are in <strong>{result.district}</strong>. </> : null}
+            {items.length} within {result.radiusMiles} mi · {affected} with closings
+          </div>
+          <ul className="near-me-list">
+            {items.map(item => (
+              <li key={`${item.layer}-${item.key}`}>
+                <button type="button" className="near-me-item" onClick={() => onSelect(item)}>
+                  <span className="near-me-item-name">{item.name}</span>
+                  <span className="near-me-item-meta">
+                    <span className={`search-type-badge search-type-${item.layer}`}>{TYPE_LABELS[item.layer]}</span>
+                    <span className="near-me-distance">{item.distanceMiles === 0 ? 'You are inside' : `${item.distanceMiles} mi`}</span>
+                    {item.closing ? (
+                      <span className={`search-status search-status-${item.closing.statusType.replace(/\s+/g, '-')}`}>
+                        {STATUS_LABELS[item.closing.statusType] || item.closing.statusType}
+                      </span>
+                    ) : (
+                      <span className="search-status search-status-open">{STATUS_LABELS.open}</span>
+                    )}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </aside>
+  );
+}
+
+export default NearMePanel;
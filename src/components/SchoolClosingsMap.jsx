@@ -1,33 +1,74 @@
 import React, { useRef, useCallback, useMemo, useState, useEffect, forwardRef, useImperativeHandle } from 'react';
-import { MapContainer, TileLayer, GeoJSON, Marker, Tooltip, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, GeoJSON, Marker, CircleMarker, Popup, Tooltip, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
+import { matchesFilters } from '../hooks/useMapFilters';
+import { STATUS_LABELS } from '../statusLabels';
 
 // ── Constants ────────────────────────────────────────────────────────
 const STATUS_COLORS = {
   closed: '#ef4444',
+  virtual: '#a855f7',
   delay: '#f59e0b',
   'early dismissal': '#f97316',
+  'activities cancelled': '#14b8a6',
   info: '#3b82f6',
   open: '#22c55e',
 };
 
-const STATUS_LABELS = {
-  closed: 'Closed',
-  delay: 'Delay',
-  'early dismissal': 'Early Dismissal',
-  info: 'Informational',
-  open: 'Open',
-};
+// Zoom at which every school building is drawn; below it only buildings
+// with their own closing are shown
+const ALL_SCHOOLS_ZOOM = 12;
+
+// The view fits the loaded regions' districts; this is only the fallback
+// when no boundaries have loaded
+const FALLBACK_VIEW = { center: [39.5, -98.35], zoom: 4 };
+// How far past the regions panning may go, as a fraction of their size
+const REGION_PADDING = 0.15;
 
-const delawareBounds = [
-  [38.45, -75.82],
-  [39.84, -74.95],
-];
+function regionBounds(districts) {
+  if (!districts?.features.length) return null;
+  const bounds = L.geoJSON(districts).getBounds();
+  return bounds.isValid() ? bounds : null;
+}
+
+const PROGRAM_LABELS = {
+  'pre-k': 'Pre-K',
+  kindergarten: 'Kindergarten',
+  'after-school': 'After-school',
+  extracurriculars: 'Activities',
+};
 
 function getColor(statusType) {
   return STATUS_COLORS[statusType] || STATUS_COLORS.open;
 }
 
+// ── Structured status details (parsed server-side from the status text) ──
+function formatDuration(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (!h) return `${m} min`;
+  return m ? `${h} hr ${m} min` : `${h} hr`;
+}
+
+function formatClock(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return `${h % 12 || 12}:${String(m).padStart(2, '0')} ${h < 12 ? 'AM' : 'PM'}`;
+}
+
+function statusDetailChips(closing) {
+  const chips = [];
+  if (closing.delayMinutes) chips.push(`Opens ${formatDuration(closing.delayMinutes)} late`);
+  if (closing.dismissalTime) chips.push(`Dismissal ${formatClock(closing.dismissalTime)}`);
+  else if (closing.earlyDismissalMinutes) chips.push(`Dismissal ${formatDuration(closing.earlyDismissalMinutes)} early`);
+  if (closing.remoteLearning && closing.statusType !== 'virtual') chips.push('Virtual learning');
+  if (closing.affectedPrograms?.length) {
+    chips.push(`Affects ${closing.affectedPrograms.map(p => PROGRAM_LABELS[p] || p).join(', ')}`);
+  }
+  return chips;
+}
+
+const CHIP_STYLE = 'display:inline-block;border:1px solid #30363d;color:#c9d1d9;padding:1px 6px;border-radius:8px;font-size:10px;margin:4px 4px 0 0';
+
 // ── SVG icon paths (16×16 viewBox) ───────────────────────────────────
 // Gear / cog — represents vocational-technical
 const GEAR_SVG = `<path fill="#fff" d="M8 10a2 2 0 1 1 0-4 2 2 0 0 1 0 4Zm5.2-1.8-.5-.3a.6.6 0 0 1-.2-.7l.2-.5a1 1 0 0 0-.2-1.1l-.8-.8a1 1 0 0 0-1.1-.2l-.5.2a.6.6 0 0 1-.7-.2l-.3-.5A1 1 0 0 0 8.2 4h-1a1 1 0 0 0-.9.6l-.2.5a.6.6 0 0 1-.7.2l-.5-.2a1 1 0 0 0-1.1.2l-.7.8a1 1 0 0 0-.2 1l.2.6a.6.6 0 0 1-.2.7l-.5.2a1 1 0 0 0-.6.9v1a1 1 0 0 0 .6.9l.5.3a.6.6 0 0 1 .2.7l-.2.5a1 1 0 0 0 .2 1.1l.7.7a1 1 0 0 0 1.1.2l.5-.2a.6.6 0 0 1 .7.2l.3.5a1 1 0 0 0 .9.6h1a1 1 0 0 0 .9-.6l.2-.5a.6.6 0 0 1 .7-.2l.5.2a1 1 0 0 0 1.1-.2l.8-.7a1 1 0 0 0 .2-1.1l-.2-.5a.6.6 0 0 1 .2-.7l.5-.3a1 1 0 0 0 .5-.9v-1a1 1 0 0 0-.5-.8Z"/>`;
@@ -35,6 +76,12 @@ const GEAR_SVG = `<path fill="#fff" d="M8 10a2 2 0 1 1 0-4 2 2 0 0 1 0 4Zm5.2-1.
 // Open book — represents charter / academic
 const BOOK_SVG = `<path fill="#fff" d="M2 3.5c1.5-1 3.5-1 5-.5l1 .4 1-.4c1.5-.5 3.5-.5 5 .5v9c-1.5-.8-3.3-.8-4.8-.2L8 13l-2.2-.7C4.3 11.7 3.5 11.7 2 12.5v-9ZM7.5 5 7 4.8c-1.2-.4-2.7-.3-3.8.4v6.3c1.2-.5 2.6-.5 3.8-.1l.5.2V5Zm1 6.6.5-.2c1.2-.4 2.6-.4 3.8.1V5.2c-1.1-.7-2.6-.8-3.8-.4L8.5 5v6.6Z"/>`;
 
+// Schoolhouse — represents an individual district school building
+const SCHOOL_SVG = `<path fill="#fff" d="M8 1.5 1.5 5.2v1.3h13V5.2L8 1.5Zm0 2.1a1 1 0 1 1 0 2 1 1 0 0 1 0-2ZM2.5 7.5V13h-1v1.5h13V13h-1V7.5h-2V13H10V9.5a2 2 0 0 0-4 0V13H4.5V7.5h-2Z"/>`;
+
+// Shield / crest — represents a private or parochial school
+const SHIELD_SVG = `<path fill="#fff" d="M8 1 2.5 3v4.2c0 3.3 2.3 6.3 5.5 7.3 3.2-1 5.5-4 5.5-7.3V3L8 1Zm0 1.6 4 1.5v3.1c0 2.5-1.7 4.8-4 5.7V2.6Z"/>`;
+
 // ── DivIcon factories ────────────────────────────────────────────────
 function createVotechIcon(color) {
   return L.divIcon({
@@ -58,28 +105,107 @@ function createCharterIcon(color) {
   });
 }
 
+function createSchoolIcon(color) {
+  return L.divIcon({
+    className: 'school-marker',
+    html: `<div class="marker-icon marker-icon-school" style="background:${color}">
+      <svg viewBox="0 0 16 16" width="11" height="11">${SCHOOL_SVG}</svg>
+    </div>`,
+    iconSize: [20, 20],
+    iconAnchor: [10, 10],
+  });
+}
+
+// Address lookup / dropped pin / the user's own location
+const LOCATION_PIN_ICON = L.divIcon({
+  className: 'lookup-pin',
+  html: '<div class="lookup-pin-dot"></div>',
+  iconSize: [18, 18],
+  iconAnchor: [9, 9],
+});
+
+function createPrivateIcon(color) {
+  return L.divIcon({
+    className: 'private-marker',
+    html: `<div class="marker-icon marker-icon-sm marker-icon-private" style="background:${color}">
+      <svg viewBox="0 0 16 16" width="12" height="12">${SHIELD_SVG}</svg>
+    </div>`,
+    iconSize: [24, 24],
+    iconAnchor: [12, 12],
+  });
+}
+
+// ── Follow hint (only shown when push notifications are available) ───
+function followHintText(following) {
+  return following ? '★ Following — click to manage' : '☆ Click for notification options';
+}
+
+// ── Follow popup: opens where a feature was clicked ──────────────────
+// Clicking only selects; following is this popup's own button. `target` is
+// { layer, key, name, latlng }.
+function FollowPopup({ target, following, onToggleFollow, onClose }) {
+  return (
+    <Popup
+      position={target.latlng}
+      className="follow-popup"
+      eventHandlers={{ remove: () => onClose(target) }}
+    >
+      <div className="follow-popup-name">{target.name}</div>
+      <button
+        type="button"
+        className={`follow-button ${following ? 'follow-button-active' : ''}`}
+        aria-pressed={following}
+        onClick={() => onToggleFollow(target.layer, target.key)}
+      >
+        {following ? '★ Following' : '☆ Follow'}
+      </button>
+      <div className="follow-popup-hint">
+        {following ? 'You get a notification when its status changes.' : 'Get a notification when its status changes.'}
+      </div>
+    </Popup>
+  );
+}
+
+// ── Manual marker (closing entered by an operator, not from the state feed) ──
+const MANUAL_LABEL = 'Manual update';
+const MANUAL_STYLE = 'display:inline-block;border:1px solid #d29922;color:#d29922;padding:1px 6px;border-radius:8px;font-size:10px;font-weight:600;margin:4px 0 0 6px';
+
 // ── Tooltip HTML (for district layer — uses bindTooltip) ─────────────
-function buildDistrictTooltipHtml(name, closing) {
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+// Names and statuses can be operator-entered (admin overrides), so escape them
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function buildDistrictTooltipHtml(name, closing, following) {
+  const followHint = following === undefined ? '' :
+    `<div style="font-size:10px;color:#8b949e;margin-top:6px">${followHintText(following)}</div>`;
   if (closing) {
     const color = getColor(closing.statusType);
     const label = STATUS_LABELS[closing.statusType] || closing.statusType;
     return `
       <div style="font-family:'Inter',system-ui,sans-serif;min-width:200px">
-        <div style="font-weight:700;font-size:13px;margin-bottom:6px;color:#e6edf3">${name}</div>
-        <div style="display:inline-block;background:${color};color:#fff;padding:2px 8px;border-radius:10px;font-size:11px;font-weight:600;margin-bottom:6px">${label}</div>
-        <div style="font-size:12px;color:#c9d1d9;line-height:1.4;margin-top:4px">${closing.status}</div>
-        ${closing.date ? `<div style="font-size:10px;color:#8b949e;margin-top:4px">${closing.date}</div>` : ''}
+        <div style="font-weight:700;font-size:13px;margin-bottom:6px;color:#e6edf3">${escapeHtml(name)}</div>
+        <div style="display:inline-block;background:${color};color:#fff;padding:2px 8px;border-radius:10px;font-size:11px;font-weight:600;margin-bottom:6px">${escapeHtml(label)}</div>
+        ${closing.source === 'manual' ? `<span style="${MANUAL_STYLE}">${MANUAL_LABEL}</span>` : ''}
+        <div style="font-size:12px;color:#c9d1d9;line-height:1.4;margin-top:4px">${escapeHtml(closing.status)}</div>
+        ${statusDetailChips(closing).map(chip => `<span style="${CHIP_STYLE}">${escapeHtml(chip)}</span>`).join('')}
+        ${closing.date ? `<div style="font-size:10px;color:#8b949e;margin-top:4px">${escapeHtml(closing.date)}</div>` : ''}
+        ${followHint}
       </div>`;
   }
   return `
     <div style="font-family:'Inter',system-ui,sans-serif">
-      <div style="font-weight:700;font-size:13px;color:#e6edf3">${name}</div>
+      <div style="font-weight:700;font-size:13px;color:#e6edf3">${escapeHtml(name)}</div>
       <div style="font-size:11px;color:#3fb950;margin-top:4px">No closings reported</div>
+      ${followHint}
     </div>`;
 }
 
 // ── Tooltip JSX (for Marker tooltips — React component) ──────────────
-function TooltipContent({ name, closing, tag }) {
+// `following` is undefined when follow is unavailable, otherwise a boolean.
+// `note` is an optional line under the status (e.g. whose closing was inherited).
+function TooltipContent({ name, closing, tag, note, following }) {
   const color = closing ? getColor(closing.statusType) : null;
   const label = closing ? (STATUS_LABELS[closing.statusType] || closing.statusType) : null;
   return (
@@ -92,9 +218,21 @@ function TooltipContent({ name, closing, tag }) {
             display: 'inline-block', background: color, color: '#fff',
             padding: '2px 8px', borderRadius: 10, fontSize: 11, fontWeight: 600, marginBottom: 6,
           }}>{label}</div>
+          {closing.source === 'manual' && (
+            <span style={{
+              display: 'inline-block', border: '1px solid #d29922', color: '#d29922',
+              padding: '1px 6px', borderRadius: 8, fontSize: 10, fontWeight: 600, margin: '4px 0 0 6px',
+            }}>{MANUAL_LABEL}</span>
+          )}
           <div style={{ fontSize: 12, color: '#c9d1d9', lineHeight: 1.4, marginTop: 4 }}>
             {closing.status}
           </div>
+          {statusDetailChips(closing).map(chip => (
+            <span key={chip} style={{
+              display: 'inline-block', border: '1px solid #30363d', color: '#c9d1d9',
+              padding: '1px 6px', borderRadius: 8, fontSize: 10, margin: '4px 4px 0 0',
+            }}>{chip}</span>
+          ))}
           {closing.date && (
             <div style={{ fontSize: 10, color: '#8b949e', marginTop: 4 }}>{closing.date}</div>
           )}
@@ -102,6 +240,12 @@ function TooltipContent({ name, closing, tag }) {
       ) : (
         <div style={{ fontSize: 11, color: '#3fb950', marginTop: 4 }}>No closings reported</div>
       )}
+      {note && (
+        <div style={{ fontSize: 10, color: '#8b949e', marginTop: 4, fontStyle: 'italic' }}>{note}</div>
+      )}
+      {following !== undefined && (
+        <div style={{ fontSize: 10, color: '#8b949e', marginTop: 6 }}>{followHintText(following)}</div>
+      )}
     </div>
   );
 }
@@ -135,6 +279,92 @@ function MapBridge({ mapRef }) {
   return null;
 }
 
+// ── Helper: report zoom changes to the parent ───────────────────────
+function ZoomWatcher({ onZoom }) {
+  const map = useMapEvents({ zoomend: () => onZoom(map.getZoom()) });
+  useEffect(() => { onZoom(map.getZoom()); }, [map, onZoom]);
+  return null;
+}
+
+// ── Helper: "Use my location" button under the zoom control ─────────
+const LOCATE_SVG = '<svg viewBox="0 0 16 16" width="14" height="14"><path fill="currentColor" d="M8 0a.75.75 0 0 1 .75.75v1.3a6 6 0 0 1 5.2 5.2h1.3a.75.75 0 0 1 0 1.5h-1.3a6 6 0 0 1-5.2 5.2v1.3a.75.75 0 0 1-1.5 0v-1.3a6 6 0 0 1-5.2-5.2H.75a.75.75 0 0 1 0-1.5h1.3a6 6 0 0 1 5.2-5.2V.75A.75.75 0 0 1 8 0Zm0 3.5a4.5 4.5 0 1 0 0 9 4.5 4.5 0 0 0 0-9ZM8 6a2 2 0 1 1 0 4 2 2 0 0 1 0-4Z"/></svg>';
+
+function LocateControl({ onLocate, active }) {
+  const map = useMap();
+  const buttonRef = useRef(null);
+  const onLocateRef = useRef(onLocate);
+  onLocateRef.current = onLocate;
+
+  useEffect(() => {
+    const control = L.control({ position: 'topleft' });
+    control.onAdd = () => {
+      const container = L.DomUtil.create('div', 'leaflet-bar locate-control');
+      const button = L.DomUtil.create('a', '', container);
+      button.href = '#';
+      button.title = 'Use my location';
+      button.setAttribute('role', 'button');
+      button.setAttribute('aria-label', 'Use my location');
+      button.innerHTML = LOCATE_SVG;
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.on(button, 'click', (e) => {
+        L.DomEvent.preventDefault(e);
+        onLocateRef.current();
+      });
+      buttonRef.current = button;
+      return container;
+    };
+    control.addTo(map);
+    return () => control.remove();
+  }, [map]);
+
+  useEffect(() => {
+    if (buttonRef.current) buttonRef.current.classList.toggle('locate-control-active', !!active);
+  }, [active]);
+
+  return null;
+}
+
+// ── Helper: right-click / long-press drops a lookup pin ──────────────
+function DropPinHandler({ onDropPin }) {
+  useMapEvents({
+    contextmenu: (e) => {
+      if (onDropPin) onDropPin(e.latlng.lat, e.latlng.lng);
+    },
+  });
+  return null;
+}
+
+// ── Helper: keep the view around the loaded regions ─────────────────
+// Re-fits when the set of regions changes (e.g. a second state's boundaries
+// arrive after a retry) and stops panning or zooming out far past them.
+// A view from a shared link replaces the first fit.
+function RegionBounds({ bounds, initialView }) {
+  const map = useMap();
+  const initialViewRef = useRef(initialView);
+  useEffect(() => {
+    if (!bounds) return;
+    map.setMaxBounds(bounds.pad(REGION_PADDING));
+    map.setMinZoom(Math.max(map.getBoundsZoom(bounds) - 1, 0));
+    const view = initialViewRef.current;
+    initialViewRef.current = null;
+    if (view) map.setView([view.lat, view.lng], view.zoom);
+    else map.fitBounds(bounds);
+  }, [map, bounds]);
+  return null;
+}
+
+// ── Helper: report the center and zoom after each pan or zoom ───────
+function ViewWatcher({ onViewChange }) {
+  const map = useMapEvents({
+    moveend: () => {
+      if (!onViewChange) return;
+      const center = map.getCenter();
+      onViewChange({ lat: center.lat, lng: center.lng, zoom: map.getZoom() });
+    },
+  });
+  return null;
+}
+
 // ── Helper: draw VoTech boundary on hover ────────────────────────────
 function VotechBoundaryOverlay({ votechDistricts, hoveredVotech, closingsByVotech }) {
   const map = useMap();
@@ -189,10 +419,50 @@ const SchoolClosingsMap = forwardRef(({
   closingsByVotech,
   charterSchools,
   closingsByCharter,
+  schools,
+  closingsBySchool,
+  privateSchools,
+  closingsByPrivate,
+  lookupLocation,
+  onDropPin,
+  userLocation,
+  highlightedDistrict,
+  onLocate,
+  selected,
+  onSelectFeature,
+  filters,
+  initialView,
+  onViewChange,
+  isFollowing,
+  onToggleFollow,
 }, ref) => {
   const geoJsonRef = useRef(null);
   const internalMapRef = useRef(null);
   const [hoveredVotech, setHoveredVotech] = useState(null);
+  const [zoom, setZoom] = useState(9);
+  const [followTarget, setFollowTarget] = useState(null);
+
+  // GeoJSON only runs onEachFeature when a polygon is created, so district
+  // tooltips and handlers read the latest props through this ref.
+  const latestRef = useRef({});
+  latestRef.current = { closingsByDistrict, isFollowing, onToggleFollow };
+
+  // Clicking (or pressing Enter on) a feature selects it for the list view
+  // and, when follow is available, opens the follow popup there
+  const activate = useCallback((layer, key, name, latlng) => {
+    if (onSelectFeature) onSelectFeature(layer, key);
+    if (onToggleFollow) setFollowTarget({ layer, key, name, latlng });
+  }, [onSelectFeature, onToggleFollow]);
+  latestRef.current.activate = activate;
+
+  // A replaced popup is removed after the new target is set; only clear our own
+  const closeFollowPopup = useCallback((target) => {
+    setFollowTarget(current => (current === target ? null : current));
+  }, []);
+
+  const followState = useCallback((layer, key) => (
+    onToggleFollow && isFollowing ? isFollowing(layer, key) : undefined
+  ), [isFollowing, onToggleFollow]);
 
   useImperativeHandle(ref, () => ({
     flyTo(lat, lng, zoom = 13) {
@@ -202,32 +472,55 @@ const SchoolClosingsMap = forwardRef(({
     },
   }));
 
+  // Features outside the active filters: districts are dimmed (they still
+  // give the map its shape), markers are left off
+  const passes = useCallback((type, closing, counties) => (
+    !filters || matchesFilters({ type, closing, counties }, filters)
+  ), [filters]);
+
   // ── Traditional Districts ──────────────────────────────────────────
   const styleDistrict = useCallback((feature) => {
     const closing = (closingsByDistrict || {})[feature.properties.NAME];
+    if (!passes('district', closing, feature.properties.COUNTIES)) {
+      return { fillColor: '#30363d', fillOpacity: 0.03, color: '#30363d', weight: 1, opacity: 0.5 };
+    }
     const hasClosing = !!closing;
     const color = hasClosing ? getColor(closing.statusType) : '#30363d';
+    // The district the user is standing in, or the one selected in the
+    // list view, gets a white outline
+    const highlighted = feature.properties.NAME === highlightedDistrict
+      || (selected?.type === 'district' && selected.key === feature.properties.NAME);
     return {
       fillColor: color,
       fillOpacity: hasClosing ? 0.45 : 0.08,
-      color: hasClosing ? color : '#484f58',
-      weight: hasClosing ? 2.5 : 1,
+      color: highlighted ? '#ffffff' : hasClosing ? color : '#484f58',
+      weight: highlighted ? 4 : hasClosing ? 2.5 : 1,
       opacity: 1,
     };
-  }, [closingsByDistrict]);
+  }, [closingsByDistrict, highlightedDistrict, selected, passes]);
+  latestRef.current.styleDistrict = styleDistrict;
+  latestRef.current.passes = passes;
 
   const onEachDistrict = useCallback((feature, layer) => {
-    const name    = feature.properties.NAME;
-    const closing = (closingsByDistrict || {})[name];
-
-    layer.bindTooltip(buildDistrictTooltipHtml(name, closing), {
+    const name = feature.properties.NAME;
+    const currentClosing = () => (latestRef.current.closingsByDistrict || {})[name];
+
+    layer.bindTooltip(() => {
+      const { isFollowing: following, onToggleFollow: toggle } = latestRef.current;
+      return buildDistrictTooltipHtml(
+        name, currentClosing(), toggle && following ? following('district', name) : undefined,
+      );
+    }, {
       sticky: true, direction: 'auto', offset: [15, 0],
       opacity: 1, className: 'district-tooltip', interactive: false,
     });
 
     layer.on({
+      click: (e) => latestRef.current.activate('district', name, name, e.latlng),
       mouseover: (e) => {
         const l = e.target;
+        const closing = currentClosing();
+        if (!latestRef.current.passes('district', closing, feature.properties.COUNTIES)) return;
         l.setStyle({
           weight: 3,
           fillOpacity: closing ? 0.65 : 0.2,
@@ -235,11 +528,13 @@ const SchoolClosingsMap = forwardRef(({
         });
         if (!L.Browser.ie && !L.Browser.opera && !L.Browser.edge) l.bringToFront();
       },
+      // resetStyle would re-apply the style from when the layer was created,
+      // losing status changes and the near-me highlight since then
       mouseout: (e) => {
-        if (geoJsonRef.current) geoJsonRef.current.resetStyle(e.target);
+        e.target.setStyle(latestRef.current.styleDistrict(feature));
       },
     });
-  }, [closingsByDistrict]);
+  }, []);
 
   // ── VoTech centroids ───────────────────────────────────────────────
   const votechMarkers = useMemo(() => {
@@ -249,6 +544,7 @@ const SchoolClosingsMap = forwardRef(({
         centroid: getFeatureCentroid(f),
         name:     f.properties.NAME,
         votech:   f.properties.VOTECH,
+        counties: f.properties.COUNTIES,
       }))
       .filter(d => d.centroid);
   }, [votechDistricts]);
@@ -267,27 +563,91 @@ const SchoolClosingsMap = forwardRef(({
           lat:  f.geometry.coordinates[1],
           lng:  f.geometry.coordinates[0],
           name,
+          counties: f.properties.COUNTIES,
         });
         return acc;
       }, []);
   }, [charterSchools]);
 
+  // ── School buildings (all when zoomed in, otherwise only closed ones) ──
+  const schoolMarkers = useMemo(() => {
+    if (!schools?.features) return [];
+    const seen = new Set();
+    return schools.features
+      .filter(f => f.geometry?.type === 'Point' && f.properties?.SCHOOLNAME)
+      .reduce((acc, f) => {
+        const name = f.properties.SCHOOLNAME;
+        if (seen.has(name)) return acc;
+        seen.add(name);
+        acc.push({
+          lat:      f.geometry.coordinates[1],
+          lng:      f.geometry.coordinates[0],
+          name,
+          district: f.properties.DISTRICT,
+          counties: f.properties.COUNTIES,
+        });
+        return acc;
+      }, []);
+  }, [schools]);
+
+  // ── Private schools from the supplemental list ─────────────────────
+  const privateMarkers = useMemo(() => {
+    if (!privateSchools?.features) return [];
+    return privateSchools.features
+      .filter(f => f.geometry?.type === 'Point' && f.properties?.NAME)
+      .map(f => ({
+        lat:     f.geometry.coordinates[1],
+        lng:     f.geometry.coordinates[0],
+        name:    f.properties.NAME,
+        follows: f.properties.FOLLOWS,
+        counties: f.properties.COUNTIES,
+      }));
+  }, [privateSchools]);
+
+  const bounds = useMemo(() => regionBounds(districts), [districts]);
+
+  // Ring around the selected marker
+  const selectedMarker = useMemo(() => {
+    if (selected?.type === 'votech') {
+      const m = votechMarkers.find(v => v.votech === selected.key);
+      return m && m.centroid;
+    }
+    if (selected?.type === 'charter') return charterMarkers.find(c => c.name === selected.key);
+    if (selected?.type === 'school') return schoolMarkers.find(s => s.name === selected.key);
+    if (selected?.type === 'private') return privateMarkers.find(p => p.name === selected.key);
+    return null;
+  }, [selected, votechMarkers, charterMarkers, schoolMarkers, privateMarkers]);
+
+  const visibleVotechMarkers = votechMarkers.filter(v => passes('votech', (closingsByVotech || {})[v.votech], v.counties));
+  const visibleCharterMarkers = charterMarkers.filter(c => passes('charter', (closingsByCharter || {})[c.name], c.counties));
+  const visiblePrivateMarkers = privateMarkers.filter(p => passes('private', (closingsByPrivate || {})[p.name], p.counties));
+  // The selected building stays drawn when zoomed out
+  const visibleSchoolMarkers = (zoom >= ALL_SCHOOLS_ZOOM
+    ? schoolMarkers
+    : schoolMarkers.filter(s => (closingsBySchool || {})[s.name]
+      || (selected?.type === 'school' && selected.key === s.name))
+  ).filter(s => passes('school', (closingsBySchool || {})[s.name], s.counties));
+
   return (
     <MapContainer
-      center={[39.05, -75.45]}
-      zoom={9}
-      minZoom={8}
+      bounds={bounds || undefined}
+      center={FALLBACK_VIEW.center}
+      zoom={FALLBACK_VIEW.zoom}
       maxZoom={13}
-      maxBounds={delawareBounds}
       maxBoundsViscosity={0.9}
       style={{ height: '100%', width: '100%' }}
       zoomControl={true}
     >
       <PaneSetup />
       <MapBridge mapRef={internalMapRef} />
+      <ZoomWatcher onZoom={setZoom} />
+      <RegionBounds bounds={bounds} initialView={initialView} />
+      <ViewWatcher onViewChange={onViewChange} />
+      <DropPinHandler onDropPin={onDropPin} />
+      {onLocate && <LocateControl onLocate={onLocate} active={!!userLocation} />}
       <VotechBoundaryOverlay
         votechDistricts={votechDistricts}
-        hoveredVotech={hoveredVotech}
+        hoveredVotech={hoveredVotech || (selected?.type === 'votech' ? selected.key : null)}
         closingsByVotech={closingsByVotech}
       />
 
@@ -307,50 +667,160 @@ const SchoolClosingsMap = forwardRef(({
       )}
 
       {/* Layer 2: VoTech district markers — gear icon (markerPane z:600) */}
-      {votechMarkers.map(({ centroid, name, votech }, i) => {
+      {visibleVotechMarkers.map(({ centroid, name, votech }) => {
         const closing    = (closingsByVotech || {})[votech];
         const hasClosing = !!closing;
         const color      = hasClosing ? getColor(closing.statusType) : '#484f58';
         return (
           <Marker
-            key={`votech-${i}`}
+            key={`votech-${votech}`}
             position={[centroid.lat, centroid.lng]}
             icon={createVotechIcon(color)}
             eventHandlers={{
               mouseover: () => setHoveredVotech(votech),
               mouseout:  () => setHoveredVotech(null),
+              click:     (e) => activate('votech', votech, name, e.latlng),
             }}
           >
             <Tooltip
               sticky direction="auto" offset={[16, 0]}
               opacity={1} className="district-tooltip"
             >
-              <TooltipContent name={name} closing={closing} tag="VoTech District" />
+              <TooltipContent
+                name={name} closing={closing} tag="VoTech District"
+                following={followState('votech', votech)}
+              />
             </Tooltip>
           </Marker>
         );
       })}
 
       {/* Layer 3: Charter school markers — book icon (markerPane z:600) */}
-      {charterMarkers.map(({ lat, lng, name }, i) => {
+      {visibleCharterMarkers.map(({ lat, lng, name }) => {
         const closing    = (closingsByCharter || {})[name];
         const hasClosing = !!closing;
         const color      = hasClosing ? getColor(closing.statusType) : '#484f58';
         return (
           <Marker
-            key={`charter-${i}`}
+            key={`charter-${name}`}
             position={[lat, lng]}
             icon={createCharterIcon(color)}
+            eventHandlers={{
+              click: (e) => activate('charter', name, name, e.latlng),
+            }}
           >
             <Tooltip
               sticky direction="auto" offset={[14, 0]}
               opacity={1} className="district-tooltip"
             >
-              <TooltipContent name={name} closing={closing} tag="Charter School" />
+              <TooltipContent
+                name={name} closing={closing} tag="Charter School"
+                following={followState('charter', name)}
+              />
             </Tooltip>
           </Marker>
         );
       })}
+      {/* Layer 4: Individual school buildings — schoolhouse icon (markerPane z:600) */}
+      {visibleSchoolMarkers.map(({ lat, lng, name, district }) => {
+        const closing    = (closingsBySchool || {})[name];
+        const hasClosing = !!closing;
+        const color      = hasClosing ? getColor(closing.statusType) : '#484f58';
+        return (
+          <Marker
+            key={`school-${name}`}
+            position={[lat, lng]}
+            icon={createSchoolIcon(color)}
+            eventHandlers={{
+              click: (e) => activate('school', name, name, e.latlng),
+            }}
+          >
+            <Tooltip
+              sticky direction="auto" offset={[12, 0]}
+              opacity={1} className="district-tooltip"
+            >
+              <TooltipContent
+                name={name} closing={closing} tag={district ? `School · ${district}` : 'School'}
+                following={followState('school', name)}
+              />
+            </Tooltip>
+          </Marker>
+        );
+      })}
+      {/* Layer 5: Private / parochial schools — shield icon (markerPane z:600) */}
+      {visiblePrivateMarkers.map(({ lat, lng, name, follows }) => {
+        const closing    = (closingsByPrivate || {})[name];
+        const hasClosing = !!closing;
+        const color      = hasClosing ? getColor(closing.statusType) : '#484f58';
+        const note = closing?.inheritedFrom
+          ? `Follows ${closing.inheritedFrom}`
+          : !closing && follows ? `Follows ${follows} closings` : null;
+        return (
+          <Marker
+            key={`private-${name}`}
+            position={[lat, lng]}
+            icon={createPrivateIcon(color)}
+            eventHandlers={{
+              click: (e) => activate('private', name, name, e.latlng),
+            }}
+          >
+            <Tooltip
+              sticky direction="auto" offset={[14, 0]}
+              opacity={1} className="district-tooltip"
+            >
+              <TooltipContent
+                name={name} closing={closing} tag="Private School" note={note}
+                following={followState('private', name)}
+              />
+            </Tooltip>
+          </Marker>
+        );
+      })}
+
+      {selectedMarker && (
+        <CircleMarker
+          center={[selectedMarker.lat, selectedMarker.lng]}
+          radius={16}
+          pathOptions={{ color: '#ffffff', weight: 3, fill: false }}
+          interactive={false}
+        />
+      )}
+
+      {followTarget && onToggleFollow && (
+        <FollowPopup
+          key={`${followTarget.layer}:${followTarget.key}:${followTarget.latlng.lat},${followTarget.latlng.lng}`}
+          target={followTarget}
+          following={!!(isFollowing && isFollowing(followTarget.layer, followTarget.key))}
+          onToggleFollow={onToggleFollow}
+          onClose={closeFollowPopup}
+        />
+      )}
+
+      {userLocation && (
+        <Marker
+          position={[userLocation.lat, userLocation.lng]}
+          icon={LOCATION_PIN_ICON}
+          keyboard={false}
+          zIndexOffset={1000}
+        >
+          <Tooltip direction="top" offset={[0, -10]} opacity={1} className="district-tooltip">
+            Your location
+          </Tooltip>
+        </Marker>
+      )}
+
+      {lookupLocation && (
+        <Marker
+          position={[lookupLocation.lat, lookupLocation.lng]}
+          icon={LOCATION_PIN_ICON}
+          keyboard={false}
+          zIndexOffset={1000}
+        >
+          <Tooltip direction="top" offset={[0, -10]} opacity={1} className="district-tooltip">
+            {lookupLocation.label}
+          </Tooltip>
+        </Marker>
+      )}
     </MapContainer>
   );
 });
@@ -1,13 +1,10 @@
 import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { STATUS_LABELS } from '../statusLabels';
 
-const STATUS_LABELS = {
-  closed: 'Closed',
-  delay: 'Delay',
-  'early dismissal': 'Early Dismissal',
-  info: 'Informational',
-};
+// Queries this long also offer "find the schools serving this address"
+const LOOKUP_MIN_LENGTH = 3;
 
-function SearchBar({ items, onSelect }) {
+function SearchBar({ items, onSelect, onLookup, isFollowing, onToggleFollow }) {
   const [query, setQuery] = useState('');
   const [isOpen, setIsOpen] = useState(false);
   const [activeIndex, setActiveIndex] = useState(-1);
@@ -24,8 +21,15 @@ function SearchBar({ items, onSelect }) {
       .slice(0, 20);
   }, [query, items]);
 
+  // Name matches, then an address lookup for whatever was typed
+  const options = useMemo(() => {
+    const q = query.trim();
+    if (!onLookup || q.length < LOOKUP_MIN_LENGTH) return filtered;
+    return [...filtered, { type: 'lookup', name: q }];
+  }, [filtered, query, onLookup]);
+
   // Reset active index when results change
-  useEffect(() => { setActiveIndex(-1); }, [filtered]);
+  useEffect(() => { setActiveIndex(-1); }, [options]);
 
   // Scroll active item into view
   useEffect(() => {
@@ -50,7 +54,8 @@ function SearchBar({ items, onSelect }) {
     setQuery(item.name);
     setIsOpen(false);
     setActiveIndex(-1);
-    onSelect(item);
+    if (item.type === 'lookup') onLookup(item.name);
+    else onSelect(item);
   }
 
   function handleClear() {
@@ -61,14 +66,14 @@ function SearchBar({ items, onSelect }) {
   }
 
   function handleKeyDown(e) {
-    if (!isOpen || filtered.length === 0) {
+    if (!isOpen || options.length === 0) {
       if (e.key === 'Escape') { setQuery(''); setIsOpen(false); }
       return;
     }
     switch (e.key) {
       case 'ArrowDown':
         e.preventDefault();
-        setActiveIndex(prev => Math.min(prev + 1, filtered.length - 1));
+        setActiveIndex(prev => Math.min(prev + 1, options.length - 1));
         break;
       case 'ArrowUp':
         e.preventDefault();
@@ -76,8 +81,10 @@ function SearchBar({ items, onSelect }) {
         break;
       case 'Enter':
         e.preventDefault();
-        if (activeIndex >= 0 && activeIndex < filtered.length) {
-          selectItem(filtered[activeIndex]);
+        if (activeIndex >= 0 && activeIndex < options.length) {
+          selectItem(options[activeIndex]);
+        } else if (onLookup && filtered.length === 0 && options.length) {
+          selectItem(options[0]); // nothing matched by name — treat it as an address
         }
         break;
       case 'Escape':
@@ -100,13 +107,14 @@ function SearchBar({ items, onSelect }) {
           ref={inputRef}
           type="text"
           className="search-input"
-          placeholder="Search schools & districts..."
+          placeholder={onLookup ? 'Search schools, districts or an address...' : 'Search schools & districts...'}
           value={query}
           onChange={e => { setQuery(e.target.value); setIsOpen(true); setActiveIndex(-1); }}
           onFocus={() => { if (query.trim()) setIsOpen(true); }}
           onKeyDown={handleKeyDown}
           role="combobox"
           aria-expanded={isOpen}
+          aria-haspopup="grid"
           aria-controls="search-listbox"
           aria-activedescendant={activeIndex >= 0 ? `search-option-${activeIndex}` : undefined}
         />
@@ -119,35 +127,70 @@ function SearchBar({ items, onSelect }) {
         )}
       </div>
 
-      {isOpen && filtered.length > 0 && (
-        <ul className="search-dropdown" ref={listRef} id="search-listbox" role="listbox">
-          {filtered.map((item, i) => (
-            <li
-              key={`${item.type}-${item.name}`}
-              id={`search-option-${i}`}
-              role="option"
-              aria-selected={i === activeIndex}
-              className={`search-option ${i === activeIndex ? 'search-option-active' : ''}`}
-              onClick={() => selectItem(item)}
-              onMouseEnter={() => setActiveIndex(i)}
-            >
-              <div className="search-option-name">{item.name}</div>
-              <div className="search-option-meta">
-                <span className={`search-type-badge search-type-${item.type}`}>{item.typeLabel}</span>
-                {item.closing ? (
-                  <span className={`search-status search-status-${item.closing.statusType.replace(/\s+/g, '-')}`}>
-                    {STATUS_LABELS[item.closing.statusType] || item.closing.statusType}
-                  </span>
-                ) : (
-                  <span className="search-status search-status-open">Open</span>
-                )}
+      {isOpen && options.length > 0 && (
+        // A grid rather than a listbox so each row can carry its own follow button
+        <ul className="search-dropdown" ref={listRef} id="search-listbox" role="grid">
+          {options.map((item, i) => (item.type === 'lookup' ? (
+            <li key="lookup" role="row" className="search-row">
+              <div
+                id={`search-option-${i}`}
+                role="gridcell"
+                aria-selected={i === activeIndex}
+                className={`search-option search-option-lookup ${i === activeIndex ? 'search-option-active' : ''}`}
+                onClick={() => selectItem(item)}
+                onMouseEnter={() => setActiveIndex(i)}
+              >
+                <div className="search-option-name">Schools serving “{item.name}”</div>
+                <div className="search-option-meta">
+                  <span className="search-type-badge search-type-lookup">Address</span>
+                </div>
+              </div>
+            </li>
+          ) : (
+            <li key={`${item.type}-${item.name}`} role="row" className="search-row">
+              <div
+                id={`search-option-${i}`}
+                role="gridcell"
+                aria-selected={i === activeIndex}
+                className={`search-option ${i === activeIndex ? 'search-option-active' : ''} ${onToggleFollow ? 'search-option-followable' : ''}`}
+                onClick={() => selectItem(item)}
+                onMouseEnter={() => setActiveIndex(i)}
+              >
+                <div className="search-option-name">{item.name}</div>
+                <div className="search-option-meta">
+                  <span className={`search-type-badge search-type-${item.type}`}>{item.typeLabel}</span>
+                  {item.closing ? (
+                    <span className={`search-status search-status-${item.closing.statusType.replace(/\s+/g, '-')}`}>
+                      {STATUS_LABELS[item.closing.statusType] || item.closing.statusType}
+                    </span>
+                  ) : (
+                    <span className="search-status search-status-open">{STATUS_LABELS.open}</span>
+                  )}
+                </div>
               </div>
+              {onToggleFollow && (() => {
+                const following = isFollowing(item.type, item.key);
+                return (
+                  <div role="gridcell" className="search-follow-cell">
+                    <button
+                      type="button"
+                      className={`search-follow ${following ? 'search-follow-active' : ''}`}
+                      onClick={() => onToggleFollow(item.type, item.key)}
+                      aria-pressed={following}
+                      aria-label={following ? `Unfollow ${item.name}` : `Follow ${item.name} for notifications`}
+                      title={following ? 'Following — click to unfollow' : 'Follow for notifications'}
+                    >
+                      {following ? '★' : '☆'}
+                    </button>
+                  </div>
+                );
+              })()}
             </li>
-          ))}
+          )))}
         </ul>
       )}
 
-      {isOpen && query.trim() && filtered.length === 0 && (
+      {isOpen && query.trim() && options.length === 0 && (
         <div className="search-dropdown search-no-results">No results found</div>
       )}
     </div>
@@ -0,0 +1,233 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { STATUS_LABELS } from '../statusLabels';
+
+const STATUS_COLORS = {
+  closed: '#ef4444',
+  virtual: '#a855f7',
+  delay: '#f59e0b',
+  'early dismissal': '#f97316',
+  'activities cancelled': '#14b8a6',
+  info: '#3b82f6',
+};
+
+// Columns in the tallies; activities and informational notices aren't school days lost
+const DAY_COLUMNS = ['closed', 'virtual', 'delay', 'early dismissal'];
+
+const LAYER_LABELS = { district: 'District', votech: 'VoTech', charter: 'Charter' };
+
+const MONTHS = ['Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec', 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'];
+
+async function fetchJson(url) {
+  const res = await fetch(url);
+  const json = await res.json();
+  if (!res.ok) throw new Error(json.error || `API error: ${res.status}`);
+  return json;
+}
+
+// ── Calendar heatmap: one row per month, one cell per day ────────────
+function CalendarHeatmap({ year, days }) {
+  const byDay = useMemo(() => new Map(days.map(d => [d.day, d.statusType])), [days]);
+  const pad = n => String(n).padStart(2, '0');
+
+  return (
+    <table className="stats-heatmap">
+      <caption className="sr-only">Status by day; empty cells had no closing reported.</caption>
+      <tbody>
+        {MONTHS.map((month, i) => {
+          const calendarYear = i < 6 ? year : year + 1;
+          const monthIndex = (i + 6) % 12;
+          const length = new Date(calendarYear, monthIndex + 1, 0).getDate();
+          return (
+            <tr key={month}>
+              <th scope="row">{month}</th>
+              {Array.from({ length: 31 }, (_, d) => {
+                if (d >= length) return <td key={d} className="stats-heatmap-none" />;
+                const day = `${calendarYear}-${pad(monthIndex + 1)}-${pad(d + 1)}`;
+                const statusType = byDay.get(day);
+                const label = `${month} ${d + 1}: ${statusType ? STATUS_LABELS[statusType] : 'no closing'}`;
+                return (
+                  <td
+                    key={d}
+                    className="stats-heatmap-day"
+                    style={statusType ? { background: STATUS_COLORS[statusType] } : undefined}
+                    title={label}
+                    aria-label={statusType ? label : undefined}
+                  />
+                );
+              })}
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+// ── Season statistics dashboard (/stats) ─────────────────────────────
+// Closure, delay and early dismissal days per organization for a school
+// year, county comparisons, the most frequently delayed, and a per-district
+// calendar — the numbers make-up day planning needs.
+function StatsDashboard() {
+  const [year, setYear] = useState(null); // null until the server names the current school year
+  const [summary, setSummary] = useState(null);
+  const [calendars, setCalendars] = useState([]);
+  const [calendarKey, setCalendarKey] = useState('');
+  const [layerFilter, setLayerFilter] = useState('all');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    const query = year === null ? '' : `?year=${year}`;
+    setLoading(true);
+    Promise.all([
+      fetchJson(`/api/stats/summary${query}`),
+      fetchJson(`/api/stats/calendar${query ? `${query}&` : '?'}layer=district`),
+    ])
+      .then(([summaryJson, calendarJson]) => {
+        if (cancelled) return;
+        setSummary(summaryJson);
+        setCalendars(calendarJson.calendars);
+        setCalendarKey(prev => (calendarJson.calendars.some(c => c.key === prev) ? prev : calendarJson.calendars[0]?.key || ''));
+        setError(null);
+      })
+      .catch((err) => { if (!cancelled) setError(err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [year]);
+
+  const organizations = summary
+    ? summary.organizations.filter(o => layerFilter === 'all' || o.layer === layerFilter)
+    : [];
+  const calendar = calendars.find(c => c.key === calendarKey);
+
+  return (
+    <div className="admin stats">
+      <header className="admin-header">
+        <h1>Closings statistics{summary ? ` · ${summary.schoolYear.label}` : ''}</h1>
+        <div className="admin-header-right">
+          {summary && (
+            <label className="admin-field">
+              School year
+              <select value={summary.schoolYear.year} onChange={e => setYear(Number(e.target.value))}>
+                {summary.years.map(y => <option key={y} value={y}>{y}–{String((y + 1) % 100).padStart(2, '0')}</option>)}
+              </select>
+            </label>
+          )}
+          <a href="/">Back to map</a>
+        </div>
+      </header>
+
+      {error && <div className="admin-error" role="alert">{error}</div>}
+      {loading && !summary && <p className="admin-empty">Loading statistics…</p>}
+
+      {summary && (
+        <>
+          <p className="stats-note">
+            Days each school was listed in the state feed, counted once per day at its most disruptive status.
+            Totals leave out virtual learning days, informational notices and cancelled activities.
+          </p>
+
+          <section className="admin-section">
+            <h2>Counties</h2>
+            <table className="admin-table stats-table">
+              <thead>
+                <tr>
+                  <th scope="col">County</th>
+                  <th scope="col">Schools listed</th>
+                  {DAY_COLUMNS.map(t => <th key={t} scope="col">{STATUS_LABELS[t]}</th>)}
+                  <th scope="col">Total days</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.counties.map(c => (
+                  <tr key={c.county}>
+                    <th scope="row">{c.county}</th>
+                    <td>{c.organizations}</td>
+                    {DAY_COLUMNS.map(t => <td key={t}>{c.days[t]}</td>)}
+                    <td>{c.total}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {summary.counties.length === 0 && <p className="admin-empty">No closings recorded this school year.</p>}
+          </section>
+
+          <div className="stats-columns">
+            <section className="admin-section stats-grow">
+              <div className="stats-section-header">
+                <h2>Days by school</h2>
+                <label className="admin-field">
+                  Type
+                  <select value={layerFilter} onChange={e => setLayerFilter(e.target.value)}>
+                    <option value="all">All</option>
+                    {Object.entries(LAYER_LABELS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                  </select>
+                </label>
+              </div>
+              <table className="admin-table stats-table">
+                <thead>
+                  <tr>
+                    <th scope="col">Name</th>
+                    <th scope="col">Type</th>
+                    {DAY_COLUMNS.map(t => <th key={t} scope="col">{STATUS_LABELS[t]}</th>)}
+                    <th scope="col">Total days</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {organizations.map(o => (
+                    <tr key={`${o.layer}-${o.key}`}>
+                      <th scope="row">{o.displayName}</th>
+                      <td>{LAYER_LABELS[o.layer]}</td>
+                      {DAY_COLUMNS.map(t => <td key={t}>{o.days[t]}</td>)}
+                      <td>{o.total}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {organizations.length === 0 && <p className="admin-empty">Nothing recorded.</p>}
+            </section>
+
+            <section className="admin-section stats-side">
+              <h2>Most frequently delayed</h2>
+              {summary.mostDelayed.length === 0 ? <p className="admin-empty">No delays recorded.</p> : (
+                <ol className="stats-ranking">
+                  {summary.mostDelayed.map(o => (
+                    <li key={`${o.layer}-${o.key}`}>
+                      {o.displayName}
+                      <span className="stats-ranking-count">{o.delayDays} {o.delayDays === 1 ? 'day' : 'days'}</span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </section>
+          </div>
+
+          <section className="admin-section">
+            <div className="stats-section-header">
+              <h2>District calendar</h2>
+              {calendars.length > 0 && (
+                <label className="admin-field">
+                  District
+                  <select value={calendarKey} onChange={e => setCalendarKey(e.target.value)}>
+                    {calendars.map(c => <option key={c.key} value={c.key}>{c.displayName}</option>)}
+                  </select>
+                </label>
+              )}
+            </div>
+            {calendar
+              ? <CalendarHeatmap year={summary.schoolYear.year} days={calendar.days} />
+              : <p className="admin-empty">No district closings recorded this school year.</p>}
+            <div className="stats-legend">
+              {DAY_COLUMNS.concat(['activities cancelled', 'info']).map(t => (
+                <span key={t}><span className="stats-legend-swatch" style={{ background: STATUS_COLORS[t] }} />{STATUS_LABELS[t]}</span>
+              ))}
+            </div>
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default StatsDashboard;
@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+
+export const TIMELINE_RANGES = [
+  { hours: 12, label: 'Last 12 hours' },
+  { hours: 24, label: 'Last 24 hours' },
+  { hours: 72, label: 'Last 3 days' },
+  { hours: 168, label: 'Last 7 days' },
+];
+
+const PLAY_STEP = 1200; // ms each frame stays on screen while playing
+
+const formatFrameTime = iso => new Date(iso).toLocaleString([], {
+  weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+});
+
+// ── Timeline playback under the map ──────────────────────────────────
+// `timeline` is { hours, loading, error, frames } from /api/closings/timeline,
+// one frame per change. `currentTime` is the fetchedAt being shown, or null
+// when live; `onShowFrame(frame)` puts a frame on the map and `onLive()`
+// returns to current data.
+function TimelineBar({ timeline, currentTime, onShowFrame, onLive, onRangeChange, onClose }) {
+  const { hours, loading, error, frames } = timeline;
+  const [playing, setPlaying] = useState(false);
+  const live = !currentTime;
+
+  // The frame on screen: the last one at or before the shown time
+  let position = frames.length - 1;
+  if (!live) {
+    const at = Date.parse(currentTime);
+    position = frames.reduce((found, f, i) => (Date.parse(f.fetchedAt) <= at ? i : found), 0);
+  }
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (position >= frames.length - 1) {
+      setPlaying(false);
+      return undefined;
+    }
+    const id = setTimeout(() => onShowFrame(frames[position + 1]), PLAY_STEP);
+    return () => clearTimeout(id);
+  }, [playing, position, frames, onShowFrame]);
+
+  const show = (i) => {
+    setPlaying(false);
+    onShowFrame(frames[Math.max(0, Math.min(frames.length - 1, i))]);
+  };
+
+  const togglePlay = () => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    // Start over from the first frame when live or at the end
+    if (live || position >= frames.length - 1) onShowFrame(frames[0]);
+    setPlaying(true);
+  };
+
+  const goLive = () => {
+    setPlaying(false);
+    onLive();
+  };
+
+  const empty = !loading && !error && frames.length === 0;
+  const frame = frames[position];
+
+  return (
+    <section className="timeline-bar" aria-label="Closings timeline">
+      <div className="timeline-controls">
+        <button
+          type="button"
+          className="timeline-button"
+          onClick={() => show(position - 1)}
+          disabled={!frames.length || position <= 0}
+          aria-label="Previous change"
+        >
+          ‹
+        </button>
+        <button
+          type="button"
+          className="timeline-button timeline-play"
+          onClick={togglePlay}
+          disabled={frames.length < 2}
+          aria-label={playing ? 'Pause' : 'Play'}
+        >
+          {playing ? '❚❚' : '▶'}
+        </button>
+        <button
+          type="button"
+          className="timeline-button"
+          onClick={() => show(position + 1)}
+          disabled={!frames.length || live || position >= frames.length - 1}
+          aria-label="Next change"
+        >
+          ›
+        </button>
+
+        <input
+          type="range"
+          className="timeline-slider"
+          min={0}
+          max={Math.max(frames.length - 1, 0)}
+          value={Math.max(position, 0)}
+          onChange={e => show(Number(e.target.value))}
+          disabled={frames.length < 2}
+          aria-label="Closings at time"
+          aria-valuetext={frame ? formatFrameTime(frame.fetchedAt) : undefined}
+        />
+
+        <span className="timeline-time" aria-live="polite">
+          {loading && 'Loading history…'}
+          {error && <span className="lookup-error">{error}</span>}
+          {empty && 'No history recorded in this range'}
+          {!loading && !error && frame && (live
+            ? 'Live'
+            : `${formatFrameTime(frame.fetchedAt)} · ${(frame.closings || []).length} reported`)}
+        </span>
+
+        <button
+          type="button"
+          className={`timeline-live ${live ? 'timeline-live-on' : ''}`}
+          onClick={goLive}
+          aria-pressed={live}
+        >
+          Live
+        </button>
+
+        <select
+          className="timeline-range"
+          value={hours}
+          onChange={e => { setPlaying(false); onRangeChange(Number(e.target.value)); }}
+          aria-label="Timeline range"
+        >
+          {TIMELINE_RANGES.map(r => <option key={r.hours} value={r.hours}>{r.label}</option>)}
+        </select>
+
+        <button type="button" className="lookup-close" onClick={onClose} aria-label="Close timeline">×</button>
+      </div>
+    </section>
+  );
+}
+
+export default TimelineBar;
@@ -0,0 +1,92 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const SERVICE_WORKER_URL = '/service-worker.js';
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+export function isPushSupported() {
+  return typeof window !== 'undefined'
+    && 'serviceWorker' in navigator
+    && 'PushManager' in window
+    && 'Notification' in window;
+}
+
+// VAPID public keys are URL-safe base64; PushManager wants raw bytes
+function urlBase64ToUint8Array(base64) {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4))
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  const raw = window.atob(padded);
+  return Uint8Array.from(raw, ch => ch.charCodeAt(0));
+}
+
+// ── Follow districts / VoTech districts / charters for push notifications ──
+// Follows are stored server-side against this browser's push subscription,
+// keyed as `${layer}:${key}` (district NAME, VOTECH key or charter SCHOOLNAME).
+function useFollows() {
+  const supported = isPushSupported();
+  const [follows, setFollows] = useState(() => new Set());
+  const registrationRef = useRef(null);
+
+  useEffect(() => {
+    if (!supported) return;
+    let cancelled = false;
+
+    navigator.serviceWorker.register(SERVICE_WORKER_URL)
+      .then(async (registration) => {
+        registrationRef.current = registration;
+        const subscription = await registration.pushManager.getSubscription();
+        if (!subscription) return;
+        const res = await fetch(`/api/push/follows?endpoint=${encodeURIComponent(subscription.endpoint)}`);
+        if (!res.ok) return;
+        const json = await res.json();
+        if (!cancelled) setFollows(new Set(json.follows));
+      })
+      .catch(err => console.warn('Service worker registration failed:', err));
+
+    return () => { cancelled = true; };
+  }, [supported]);
+
+  const isFollowing = useCallback(
+    (layer, key) => follows.has(`${layer}:${key}`),
+    [follows],
+  );
+
+  const toggleFollow = useCallback(async (layer, key) => {
+    const registration = registrationRef.current || await navigator.serviceWorker.ready;
+    let subscription = await registration.pushManager.getSubscription();
+    let res;
+
+    if (follows.has(`${layer}:${key}`)) {
+      if (!subscription) return;
+      res = await fetch('/api/push/follows', {
+        method: 'DELETE',
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ endpoint: subscription.endpoint, layer, key }),
+      });
+    } else {
+      if (!subscription) {
+        const keyRes = await fetch('/api/push/vapid-public-key');
+        if (!keyRes.ok) throw new Error(`API error: ${keyRes.status}`);
+        const { publicKey } = await keyRes.json();
+        // Prompts for notification permission on first follow
+        subscription = await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: urlBase64ToUint8Array(publicKey),
+        });
+      }
+      res = await fetch('/api/push/follows', {
+        method: 'POST',
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ subscription: subscription.toJSON(), layer, key }),
+      });
+    }
+
+    if (!res.ok) throw new Error(`API error: ${res.status}`);
+    const json = await res.json();
+    setFollows(new Set(json.follows));
+  }, [follows]);
+
+  return { supported, isFollowing, toggleFollow };
+}
+
+export default useFollows;
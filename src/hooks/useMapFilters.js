@@ -0,0 +1,89 @@
+import { useState, useEffect, useCallback } from 'react';
+import { readUrlParams, writeUrlParams } from '../urlState';
+
+// Values are URL slugs: "early dismissal" is `early-dismissal`, "New Castle"
+// county is `new-castle`. An empty list means "all".
+export const FILTER_STATUSES = [
+  { id: 'closed', label: 'Closed' },
+  { id: 'virtual', label: 'Virtual' },
+  { id: 'delay', label: 'Delayed' },
+  { id: 'early-dismissal', label: 'Early' },
+  { id: 'activities-cancelled', label: 'Activities' },
+  { id: 'info', label: 'Info' },
+  { id: 'open', label: 'Open' },
+];
+
+export const FILTER_TYPES = [
+  { id: 'district', label: 'District' },
+  { id: 'votech', label: 'VoTech' },
+  { id: 'charter', label: 'Charter' },
+  { id: 'school', label: 'School' },
+  { id: 'private', label: 'Private' },
+];
+
+const URL_PARAMS = { statuses: 'status', types: 'type', counties: 'county' };
+
+export const EMPTY_FILTERS = { statuses: [], types: [], counties: [] };
+
+export const slugify = text => String(text).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-');
+
+export const statusSlug = closing => (closing ? slugify(closing.statusType) : 'open');
+
+export function isFiltering(filters) {
+  return Object.keys(URL_PARAMS).some(k => filters[k].length > 0);
+}
+
+// `item` is { type, closing, counties } — a search-index entry or map feature
+export function matchesFilters(item, filters) {
+  const { statuses, types, counties } = filters;
+  if (types.length && !types.includes(item.type)) return false;
+  if (statuses.length && !statuses.includes(statusSlug(item.closing))) return false;
+  if (counties.length && !(item.counties || []).some(c => counties.includes(slugify(c)))) return false;
+  return true;
+}
+
+function readFilters() {
+  const params = readUrlParams();
+  const known = {
+    statuses: FILTER_STATUSES.map(s => s.id),
+    types: FILTER_TYPES.map(t => t.id),
+    counties: null, // counties depend on the loaded regions, so any slug is kept
+  };
+  const filters = {};
+  for (const [key, param] of Object.entries(URL_PARAMS)) {
+    const values = (params.get(param) || '').split(',').map(slugify).filter(Boolean);
+    filters[key] = known[key] ? values.filter(v => known[key].includes(v)) : values;
+  }
+  return filters;
+}
+
+function writeFilters(filters) {
+  writeUrlParams(Object.fromEntries(
+    Object.entries(URL_PARAMS).map(([key, param]) => [param, filters[key].join(',')]),
+  ));
+}
+
+// ── Status / type / county filters for the map, badges and search ────
+// State lives in the query string (?status=closed,delay&type=charter&county=kent)
+// so a filtered view can be bookmarked or shared.
+function useMapFilters() {
+  const [filters, setFilters] = useState(readFilters);
+
+  useEffect(() => {
+    writeFilters(filters);
+  }, [filters]);
+
+  // Add or remove one value, e.g. toggleFilter('statuses', 'closed')
+  const toggleFilter = useCallback((group, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [group]: prev[group].includes(value) ? prev[group].filter(v => v !== value) : [...prev[group], value],
+    }));
+  }, []);
+
+  const clearFilters = useCallback(() => setFilters(EMPTY_FILTERS), []);
+
+  return { filters, toggleFilter, clearFilters };
+}
+
+export default useMapFilters;
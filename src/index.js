@@ -1,6 +1,13 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import AdminConsole from './components/AdminConsole';
+import StatsDashboard from './components/StatsDashboard';
+
+// The admin console lives under /admin and the season statistics under
+// /stats; everything else is the public map
+const PAGES = { '/admin': AdminConsole, '/stats': StatsDashboard };
+const Page = PAGES[window.location.pathname.replace(/\/+$/, '')] || App;
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(<App />);
+root.render(<Page />);
@@ -0,0 +1,13 @@
+// Display names for each statusType, the same as lib/statusTypes.js on the
+// server. Most to least disruptive; 'open' means the school isn't listed.
+export const STATUS_TYPES = ['closed', 'virtual', 'delay', 'early dismissal', 'activities cancelled', 'info'];
+
+export const STATUS_LABELS = {
+  closed: 'Closed',
+  virtual: 'Virtual Learning',
+  delay: 'Delay',
+  'early dismissal': 'Early Dismissal',
+  'activities cancelled': 'Activities Cancelled',
+  info: 'Informational',
+  open: 'Open',
+};
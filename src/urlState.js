@@ -0,0 +1,37 @@
+// Query-string state shared by the filters, deep links and map view. Writes
+// use replaceState, so panning or filtering doesn't fill the back button.
+
+export function readUrlParams() {
+  return new URLSearchParams(window.location.search);
+}
+
+// Set each param to its value, or remove it when the value is null or ''
+export function writeUrlParams(values) {
+  const url = new URL(window.location.href);
+  for (const [name, value] of Object.entries(values)) {
+    if (value === null || value === undefined || value === '') url.searchParams.delete(name);
+    else url.searchParams.set(name, value);
+  }
+  // Commas and colons are legal in a query string; keep links readable
+  const next = url.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+  if (next !== window.location.href) window.history.replaceState(window.history.state, '', next);
+}
+
+// ?focus=district:Christina School District — any layer the map selects
+const FOCUS_PATTERN = /^(district|votech|charter|school|private):(.+)$/;
+
+export function parseFocus(value) {
+  const match = FOCUS_PATTERN.exec(String(value || '').trim());
+  return match ? { type: match[1], key: match[2].trim() } : null;
+}
+
+export const formatFocus = selected => (selected ? `${selected.type}:${selected.key}` : null);
+
+// ?map=39.1582,-75.5244,11 — center and zoom
+export function parseMapView(value) {
+  const [lat, lng, zoom] = String(value || '').split(',').map(Number);
+  if (![lat, lng, zoom].every(Number.isFinite) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng, zoom: Math.round(zoom) };
+}
+
+export const formatMapView = ({ lat, lng, zoom }) => `${lat.toFixed(4)},${lng.toFixed(4)},${zoom}`;
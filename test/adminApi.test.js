@@ -0,0 +1,89 @@
+const { scratchDataDir, serveFixtures } = require('./helpers');
+
+// Admin endpoints require a token and their overrides show up in /api/closings
+// straight away, marked as manual.
+jest.mock('axios');
+const axios = require('axios');
+
+scratchDataDir('admin-api');
+
+const historyStore = require('../lib/historyStore');
+const { app, fetchClosings } = require('../server');
+
+let server;
+let baseUrl;
+
+const api = (method, url, body, token = 'secret-token') => fetch(`${baseUrl}${url}`, {
+  method,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  },
+  body: body ? JSON.stringify(body) : undefined,
+});
+const inHours = h => new Date(Date.now() + h * 60 * 60 * 1000).toISOString();
+
+beforeAll(async () => {
+  serveFixtures(axios);
+  jest.spyOn(historyStore, 'recordSnapshot').mockResolvedValue();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  await fetchClosings({ force: true });
+});
+
+afterEach(() => {
+  delete process.env.ADMIN_TOKENS;
+});
+
+afterAll(() => {
+  server.close();
+  console.error.mockRestore();
+});
+
+test('is disabled without configured tokens and rejects bad tokens', async () => {
+  expect((await api('GET', '/api/admin/session')).status).toBe(503);
+
+  process.env.ADMIN_TOKENS = 'alice:secret-token';
+  expect((await api('GET', '/api/admin/session', null, 'wrong')).status).toBe(401);
+  expect((await api('GET', '/api/admin/session', null, null)).status).toBe(401);
+  expect(await (await api('GET', '/api/admin/session')).json()).toEqual({ operator: 'alice' });
+});
+
+test('overrides and the banner merge into the closings payload', async () => {
+  process.env.ADMIN_TOKENS = 'alice:secret-token';
+
+  const bad = await api('POST', '/api/admin/overrides', { layer: 'district', key: 'Smyrna School District', action: 'set' });
+  expect(bad.status).toBe(400);
+
+  const created = await api('POST', '/api/admin/overrides', {
+    layer: 'district', key: 'Smyrna School District', action: 'set', statusType: 'closed', expiresAt: inHours(8),
+  });
+  expect(created.status).toBe(201);
+  const { override } = await created.json();
+
+  await api('POST', '/api/admin/overrides', {
+    layer: 'district', key: 'Christina School District', action: 'suppress', expiresAt: inHours(8),
+  });
+  await api('PUT', '/api/admin/banner', { message: 'All schools closed Tuesday', level: 'alert' });
+
+  let closings = await (await fetch(`${baseUrl}/api/closings`)).json();
+  expect(closings.byDistrict['Smyrna School District']).toMatchObject({ statusType: 'closed', source: 'manual' });
+  expect(closings.byDistrict['Christina School District']).toBeUndefined();
+  expect(closings.banner).toMatchObject({ message: 'All schools closed Tuesday', level: 'alert' });
+
+  const edited = await api('PUT', `/api/admin/overrides/${override.id}`, { statusType: 'delay', status: '2 Hour Delay' });
+  expect((await edited.json()).override).toMatchObject({ statusType: 'delay', updatedBy: 'alice' });
+  expect((await api('DELETE', '/api/admin/overrides/missing')).status).toBe(404);
+  expect((await api('DELETE', '/api/admin/banner')).status).toBe(204);
+
+  closings = await (await fetch(`${baseUrl}/api/closings`)).json();
+  expect(closings.byDistrict['Smyrna School District']).toMatchObject({ status: '2 Hour Delay', source: 'manual' });
+  expect(closings.banner).toBeNull();
+
+  const { entries } = await (await api('GET', '/api/admin/audit')).json();
+  expect(entries.map(e => e.action)).toEqual([
+    'banner.delete', 'override.update', 'banner.create', 'override.create', 'override.create',
+  ]);
+  expect(entries.every(e => e.actor === 'alice')).toBe(true);
+});
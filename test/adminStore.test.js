@@ -0,0 +1,106 @@
+const { scratchDataDir } = require('./helpers');
+
+scratchDataDir('admin-store');
+
+const adminStore = require('../lib/adminStore');
+
+const inHours = h => new Date(Date.now() + h * 60 * 60 * 1000).toISOString();
+
+describe('validateOverride', () => {
+  const valid = { layer: 'district', key: 'Christina School District', action: 'set', statusType: 'closed', expiresAt: inHours(12) };
+
+  test('accepts a complete override', () => {
+    expect(adminStore.validateOverride(valid)).toBeNull();
+    expect(adminStore.validateOverride({ ...valid, action: 'suppress', statusType: undefined })).toBeNull();
+  });
+
+  test('rejects unknown layers, actions and status types', () => {
+    expect(adminStore.validateOverride({ ...valid, layer: 'county' })).toMatch(/layer/);
+    expect(adminStore.validateOverride({ ...valid, action: 'delete' })).toMatch(/action/);
+    expect(adminStore.validateOverride({ ...valid, statusType: 'snow' })).toMatch(/statusType/);
+    expect(adminStore.validateOverride({ ...valid, key: '' })).toMatch(/key/);
+  });
+
+  test('requires an expiry in the next 30 days', () => {
+    expect(adminStore.validateOverride({ ...valid, expiresAt: undefined })).toMatch(/expiresAt/);
+    expect(adminStore.validateOverride({ ...valid, expiresAt: inHours(-1) })).toMatch(/future/);
+    expect(adminStore.validateOverride({ ...valid, expiresAt: inHours(31 * 24) })).toMatch(/30 days/);
+  });
+});
+
+describe('applyOverrides', () => {
+  const feed = {
+    closings: [
+      { schoolName: 'Christina School District', status: 'Closed', statusType: 'closed' },
+      { schoolName: 'Polytech School District', status: 'Early dismissal', statusType: 'early dismissal' },
+      { schoolName: 'Little Sprouts Preschool', status: 'Closed', statusType: 'closed' },
+    ],
+    byDistrict: { 'Christina School District': { schoolName: 'Christina School District', matchedDistrict: 'Christina School District' } },
+    byVotech: { polytech: { schoolName: 'Polytech School District', matchedVotech: 'polytech' } },
+    byCharter: {},
+    bySchool: {},
+    byPrivate: {},
+  };
+  const matches = [
+    { district: 'Christina School District', votech: null, charters: [], schools: [], privateSchool: null },
+    { district: null, votech: 'polytech', charters: [], schools: [], privateSchool: null },
+    { district: null, votech: null, charters: [], schools: [], privateSchool: null },
+  ];
+  const override = {
+    id: 'o1', layer: 'district', key: 'Christina School District', action: 'set',
+    statusType: 'delay', status: '2 Hour Delay', expiresAt: inHours(6), updatedAt: new Date().toISOString(),
+  };
+
+  test('replaces the feed entry with a manual one', () => {
+    const merged = adminStore.applyOverrides(feed, matches, [override]);
+    expect(merged.byDistrict['Christina School District']).toMatchObject({
+      status: '2 Hour Delay', statusType: 'delay', source: 'manual', overrideId: 'o1',
+      matchedDistrict: 'Christina School District',
+    });
+    expect(merged.closings.map(c => c.schoolName)).toEqual([
+      'Polytech School District', 'Little Sprouts Preschool', 'Christina School District',
+    ]);
+    // The feed result itself is left untouched
+    expect(feed.byDistrict['Christina School District'].source).toBeUndefined();
+  });
+
+  test('suppress removes the entry and its feed row', () => {
+    const merged = adminStore.applyOverrides(feed, matches,
+      [{ id: 'o2', layer: 'votech', key: 'polytech', action: 'suppress', expiresAt: inHours(6) }]);
+    expect(merged.byVotech).toEqual({});
+    expect(merged.closings.map(c => c.schoolName)).toEqual(['Christina School District', 'Little Sprouts Preschool']);
+  });
+
+  test('returns the feed result unchanged with no overrides', () => {
+    expect(adminStore.applyOverrides(feed, matches, [])).toBe(feed);
+  });
+});
+
+describe('store', () => {
+  test('records every change in the audit log and hides expired entries', async () => {
+    const override = await adminStore.createOverride(
+      { layer: 'charter', key: 'Newark Charter School', action: 'set', statusType: 'closed', expiresAt: inHours(2) }, 'alice');
+    expect(override).toMatchObject({ status: 'Closed', createdBy: 'alice' });
+
+    const updated = await adminStore.updateOverride(override.id, { status: 'Closed - power outage' }, 'bob');
+    expect(updated).toMatchObject({ status: 'Closed - power outage', createdBy: 'alice', updatedBy: 'bob' });
+    expect(await adminStore.updateOverride('missing', {}, 'bob')).toBeNull();
+
+    await adminStore.setBanner({ message: ' Buses delayed ', level: 'warning' }, 'alice');
+    expect((await adminStore.activeState()).banner).toMatchObject({ message: 'Buses delayed', level: 'warning' });
+    expect((await adminStore.activeState(Date.now() + 3 * 60 * 60 * 1000)).overrides).toEqual([]);
+
+    expect(await adminStore.deleteOverride(override.id, 'alice')).toBe(true);
+    await adminStore.clearBanner('alice');
+
+    const log = await adminStore.getAuditLog();
+    expect(log.map(e => [e.action, e.actor])).toEqual([
+      ['banner.delete', 'alice'],
+      ['override.delete', 'alice'],
+      ['banner.create', 'alice'],
+      ['override.update', 'bob'],
+      ['override.create', 'alice'],
+    ]);
+    expect(log[3].before.status).toBe('Closed');
+  });
+});
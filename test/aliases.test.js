@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const { scratchDataDir } = require('./helpers');
+
+const tmpDir = scratchDataDir('aliases');
+
+const { loadAliases, mergeAliases, DEFAULT_ALIASES } = require('../lib/aliases');
+
+const writeAliases = text => fs.writeFileSync(path.join(tmpDir, 'aliases.json'), text);
+
+beforeAll(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+afterAll(() => console.error.mockRestore());
+afterEach(() => fs.rmSync(path.join(tmpDir, 'aliases.json'), { force: true }));
+
+describe('loadAliases', () => {
+  test('uses the shipped defaults when there is no aliases.json', async () => {
+    expect(await loadAliases()).toEqual(mergeAliases(DEFAULT_ALIASES));
+  });
+
+  test('extends the defaults with DATA_DIR/aliases.json', async () => {
+    writeAliases(JSON.stringify({ charter: { 'Newark Charter School': ['ncs'] } }));
+    const aliases = await loadAliases();
+    expect(aliases.charter['Newark Charter School']).toContain('ncs');
+  });
+
+  test.each([
+    ['invalid JSON', '{ "district": '],
+    ['an array', '[{ "alias": "appo", "name": "Appoquinimink School District" }]'],
+    ['an unknown layer', '{ "districts": {} }'],
+    ['a string instead of a list', '{ "district": { "Appoquinimink School District": "appo" } }'],
+    ['a non-string alias', '{ "votech": { "POLYTECH": [42] } }'],
+  ])('falls back to the defaults for %s', async (_, text) => {
+    writeAliases(text);
+    console.error.mockClear();
+    expect(await loadAliases()).toEqual(mergeAliases(DEFAULT_ALIASES));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Ignoring aliases.json'));
+  });
+});
@@ -0,0 +1,73 @@
+const { diffSnapshots, isSameSnapshot } = require('../lib/changeDetector');
+
+const closing = (schoolName, statusType, status) => ({ schoolName, statusType, status, date: '01/06/2026' });
+
+const before = {
+  fetchedAt: '2026-01-06T10:00:00.000Z',
+  closings: [],
+  byDistrict: {
+    'Christina School District': closing('Christina', 'delay', '2 Hour Delay'),
+    'Capital School District': closing('Capital', 'closed', 'Closed'),
+  },
+  byVotech: {
+    POLYTECH: closing('Polytech', 'delay', '2 Hour Delay'),
+  },
+  byCharter: {
+    'Newark Charter School': closing('Newark Charter', 'closed', 'Closed'),
+  },
+};
+
+const after = {
+  fetchedAt: '2026-01-06T10:05:00.000Z',
+  closings: [],
+  byDistrict: {
+    'Christina School District': closing('Christina', 'closed', 'Closed'),
+    'Smyrna School District': closing('Smyrna', 'delay', '2 Hour Delay'),
+  },
+  byVotech: {
+    POLYTECH: closing('Polytech', 'delay', '2 Hour Delay - no AM programs'),
+  },
+  byCharter: {},
+};
+
+describe('diffSnapshots', () => {
+  test('reports added, removed and changed closings across layers', () => {
+    const changes = diffSnapshots(before, after);
+    expect(changes.map(c => [c.layer, c.key, c.type])).toEqual([
+      ['district', 'Capital School District', 'removed'],
+      ['district', 'Christina School District', 'statusType'],
+      ['district', 'Smyrna School District', 'added'],
+      ['votech', 'POLYTECH', 'status'],
+      ['charter', 'Newark Charter School', 'removed'],
+    ]);
+    expect(changes.every(c => c.detectedAt === after.fetchedAt)).toBe(true);
+  });
+
+  test('carries the previous and current status', () => {
+    const byKey = Object.fromEntries(diffSnapshots(before, after).map(c => [c.key, c]));
+    expect(byKey['Christina School District']).toMatchObject({
+      previous: { schoolName: 'Christina', statusType: 'delay', status: '2 Hour Delay', date: '01/06/2026' },
+      current: { schoolName: 'Christina', statusType: 'closed', status: 'Closed', date: '01/06/2026' },
+    });
+    expect(byKey['Smyrna School District']).toMatchObject({ previous: null, current: { statusType: 'delay' } });
+    expect(byKey['Newark Charter School']).toMatchObject({ previous: { statusType: 'closed' }, current: null });
+    expect(byKey.POLYTECH.current.status).toBe('2 Hour Delay - no AM programs');
+  });
+
+  test('lists every closing as added without a previous snapshot', () => {
+    expect(diffSnapshots(null, after).map(c => [c.layer, c.key, c.type])).toEqual([
+      ['district', 'Christina School District', 'added'],
+      ['district', 'Smyrna School District', 'added'],
+      ['votech', 'POLYTECH', 'added'],
+    ]);
+    expect(diffSnapshots(before, null)).toEqual([]);
+  });
+
+  test('finds nothing between snapshots with the same closings', () => {
+    const again = { ...after, fetchedAt: '2026-01-06T10:10:00.000Z' };
+    expect(diffSnapshots(after, again)).toEqual([]);
+    expect(isSameSnapshot(after, again)).toBe(true);
+    expect(isSameSnapshot(before, after)).toBe(false);
+    expect(isSameSnapshot(null, after)).toBe(false);
+  });
+});
@@ -0,0 +1,57 @@
+const { scratchDataDir, serveFixtures } = require('./helpers');
+
+// /api/closings/changes rebuilds changes from stored snapshots and names them
+// from the layers the live feed was matched against.
+jest.mock('axios');
+const axios = require('axios');
+
+scratchDataDir('closings-changes');
+
+const historyStore = require('../lib/historyStore');
+const { app } = require('../server');
+
+const minutesAgo = m => new Date(Date.now() - m * 60 * 1000).toISOString();
+const closed = schoolName => ({ schoolName, status: 'Closed', statusType: 'closed' });
+
+let server;
+let baseUrl;
+
+beforeAll(() => {
+  serveFixtures(axios);
+  jest.spyOn(historyStore, 'recordSnapshot').mockResolvedValue();
+  jest.spyOn(historyStore, 'readSnapshots').mockResolvedValue([
+    { fetchedAt: minutesAgo(60), closings: [], byDistrict: {}, byCharter: {} },
+    {
+      fetchedAt: minutesAgo(30),
+      closings: [],
+      byDistrict: { 'Christina School District': closed('Christina School District') },
+      byCharter: { 'Newark Charter School': closed('Newark Charter School') },
+    },
+  ]);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => server.close());
+
+test('describes district and charter changes with display names and counties', async () => {
+  const res = await fetch(`${baseUrl}/api/closings/changes?since=${encodeURIComponent(minutesAgo(45))}`);
+  expect(res.status).toBe(200);
+  const { changes } = await res.json();
+
+  expect(changes).toEqual([
+    expect.objectContaining({
+      type: 'added', layer: 'district', key: 'Christina School District',
+      displayName: 'Christina School District', counties: ['New Castle'],
+    }),
+    expect.objectContaining({
+      type: 'added', layer: 'charter', key: 'Newark Charter School',
+      displayName: 'Newark Charter School', counties: ['New Castle'],
+    }),
+  ]);
+});
+
+test('rejects an invalid since', async () => {
+  const res = await fetch(`${baseUrl}/api/closings/changes?since=yesterday-ish`);
+  expect(res.status).toBe(400);
+});
@@ -0,0 +1,138 @@
+const { scratchDataDir, serveFixtures } = require('./helpers');
+
+jest.mock('axios');
+const axios = require('axios');
+
+scratchDataDir('export');
+
+const exporter = require('../lib/export');
+const { columnName, crc32, writeWorkbook } = require('../lib/xlsx');
+const { app } = require('../server');
+
+const square = { type: 'Polygon', coordinates: [[[-75.8, 39.6], [-75.6, 39.6], [-75.6, 39.8], [-75.8, 39.8], [-75.8, 39.6]]] };
+const locate = (layer, key) => ({
+  displayName: key === 'POLYTECH' ? 'Polytech School District' : key,
+  counties: layer === 'district' ? ['New Castle'] : ['Kent'],
+  geometry: layer === 'charter' ? { type: 'Point', coordinates: [-75.5, 39.1] } : layer === 'district' ? square : null,
+});
+
+const snapshot = {
+  fetchedAt: '2026-01-06T11:00:00.000Z',
+  byDistrict: { 'Christina School District': { status: 'Closed, "snow"', statusType: 'closed', date: '01/06/2026' } },
+  byVotech: { POLYTECH: { status: '=2 Hour Delay', statusType: 'delay' } },
+  byCharter: { 'Kent Academy': { status: 'Virtual', statusType: 'virtual' } },
+};
+
+// Entry names in a stored (uncompressed) zip, from its central directory
+function zipEntries(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = local + 30 + buffer.readUInt16LE(local + 26);
+    entries[name] = buffer.toString('utf8', dataStart, dataStart + size);
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('export formats', () => {
+  const rows = exporter.exportRows(exporter.snapshotEntries(snapshot), locate);
+
+  test('joins each closing with a location', () => {
+    expect(rows.map(r => [r.type, r.name, r.statusType])).toEqual([
+      ['district', 'Christina School District', 'closed'],
+      ['votech', 'Polytech School District', 'delay'],
+      ['charter', 'Kent Academy', 'virtual'],
+    ]);
+    expect(rows[0]).toMatchObject({ day: '2026-01-06', latitude: 39.7, longitude: -75.7, counties: 'New Castle' });
+    expect(rows[1]).toMatchObject({ latitude: null, longitude: null });
+    expect(rows[2]).toMatchObject({ latitude: 39.1, longitude: -75.5 });
+  });
+
+  test('CSV quotes separators and defuses formulas', () => {
+    const lines = exporter.toCsv(rows).split('\r\n');
+    expect(lines[0]).toMatch(/^Day,Type,Key,Name,Counties,Status type/);
+    expect(lines[1]).toContain('"Closed, ""snow"""');
+    expect(lines[1]).toContain(',39.7,-75.7');
+    expect(lines[2]).toContain(",'=2 Hour Delay,");
+    expect(lines).toHaveLength(5); // header, three rows, trailing newline
+  });
+
+  test('GeoJSON keeps the boundary or point geometry', () => {
+    const collection = exporter.toGeoJson(rows);
+    expect(collection.features.map(f => f.geometry && f.geometry.type)).toEqual(['Polygon', null, 'Point']);
+    expect(collection.features[0].properties).toMatchObject({ name: 'Christina School District', status: 'Closed, "snow"' });
+    expect(collection.features[0].properties.latitude).toBeUndefined();
+  });
+
+  test('zip entries carry the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xCBF43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+
+  test('xlsx is a workbook zip with the rows inline', () => {
+    expect(columnName(0)).toBe('A');
+    expect(columnName(25)).toBe('Z');
+    expect(columnName(26)).toBe('AA');
+
+    const entries = zipEntries(exporter.toXlsx(rows));
+    expect(Object.keys(entries)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml',
+    ]));
+    const sheet = entries['xl/worksheets/sheet1.xml'];
+    expect(sheet).toContain('<t xml:space="preserve">Closed, &quot;snow&quot;</t>');
+    expect(sheet).toContain('<c r="L2"><v>39.7</v></c>');
+    expect(zipEntries(writeWorkbook({ rows: [['a\u0001<b>']] }))['xl/worksheets/sheet1.xml']).toContain('a&lt;b&gt;');
+  });
+});
+
+describe('/api/export', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(() => {
+    serveFixtures(axios);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => server.close());
+
+  test('downloads the current closings joined with district boundaries', async () => {
+    const res = await fetch(`${baseUrl}/api/export/closings.geojson`);
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toMatch(/application\/geo\+json/);
+    expect(res.headers.get('content-disposition')).toMatch(/attachment; filename="closings-\d{4}-\d{2}-\d{2}\.geojson"/);
+    const { features } = await res.json();
+    expect(features.length).toBeGreaterThan(0);
+    expect(features.find(f => f.properties.type === 'district').geometry.type).toMatch(/Polygon/);
+
+    const csv = await fetch(`${baseUrl}/api/export/closings.csv`);
+    expect(csv.headers.get('content-type')).toMatch(/text\/csv/);
+    expect((await csv.text()).split('\r\n').length).toBe(features.length + 2);
+  });
+
+  test('exports a date range from history', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const res = await fetch(`${baseUrl}/api/export/closings.xlsx?from=2020-01-01&to=2020-01-02`);
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-disposition')).toContain('closings-2020-01-01-to-2020-01-02.xlsx');
+    const sheet = zipEntries(Buffer.from(await res.arrayBuffer()))['xl/worksheets/sheet1.xml'];
+    expect(sheet.match(/<row /g)).toHaveLength(1); // header only
+
+    expect((await fetch(`${baseUrl}/api/export/closings.csv?from=${today}`)).status).toBe(200);
+  });
+
+  test('rejects bad input', async () => {
+    expect((await fetch(`${baseUrl}/api/export/closings.pdf`)).status).toBe(404);
+    expect((await fetch(`${baseUrl}/api/export/closings.csv?from=nope`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/export/closings.csv?from=2020-01-01&to=2026-01-01`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/export/closings.csv?time=2001-01-01`)).status).toBe(404);
+  });
+});
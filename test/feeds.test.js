@@ -0,0 +1,147 @@
+const { toFeedItems, buildRss, buildAtom, buildIcs } = require('../lib/feeds');
+
+// queryHistory-shaped entries
+const entry = (overrides) => ({
+  layer: 'district',
+  key: 'Christina School District',
+  displayName: 'Christina School District',
+  schoolName: 'Christina',
+  status: 'Closed',
+  statusType: 'closed',
+  statusTypes: ['closed'],
+  ...overrides,
+});
+
+const feedOptions = { link: 'https://closings.example.org/', selfUrl: 'https://closings.example.org/feed.rss' };
+
+// RFC 5545 unfolding: a CRLF followed by a space continues the previous line
+const unfold = ics => ics.replace(/\r\n /g, '');
+
+describe('toFeedItems', () => {
+  const at = (day, time) => `2026-01-${day}T${time}:00.000Z`;
+
+  test('collapses repeated polls into one item with the latest wording', () => {
+    const items = toFeedItems([
+      entry({ day: '2026-01-06', status: '2 Hour Delay', statusType: 'delay', firstSeen: at('06', '10:00'), lastSeen: at('06', '10:30') }),
+      entry({ day: '2026-01-06', status: 'Closed', firstSeen: at('06', '10:15'), lastSeen: at('06', '12:00') }),
+    ]);
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ day: '2026-01-06', status: 'Closed', firstSeen: at('06', '10:00'), lastSeen: at('06', '12:00') });
+  });
+
+  test('files an item under its own date rather than the day it was polled', () => {
+    // Announced the evening before and still listed the next morning
+    const items = toFeedItems([
+      entry({ day: '2026-01-05', date: '01/06/2026', firstSeen: at('06', '02:00'), lastSeen: at('06', '04:59') }),
+      entry({ day: '2026-01-06', date: '01/06/2026', firstSeen: at('06', '05:00'), lastSeen: at('06', '15:00') }),
+      entry({ day: '2026-01-07', key: 'Capital School District', firstSeen: at('07', '11:00'), lastSeen: at('07', '11:00') }),
+    ]);
+    expect(items.map(i => [i.day, i.key, i.firstSeen])).toEqual([
+      ['2026-01-07', 'Capital School District', at('07', '11:00')],
+      ['2026-01-06', 'Christina School District', at('06', '02:00')],
+    ]);
+  });
+});
+
+describe('buildRss / buildAtom', () => {
+  const items = toFeedItems([entry({
+    day: '2026-01-06',
+    displayName: 'Smith & Jones <Academy>',
+    status: `Closed — "snow" & 'ice' <today>`,
+    firstSeen: '2026-01-06T10:00:00.000Z',
+    lastSeen: '2026-01-06T11:00:00.000Z',
+  })]);
+
+  test('escapes text in RSS', () => {
+    const rss = buildRss(items, feedOptions);
+    expect(rss).toContain('<title>Smith &amp; Jones &lt;Academy&gt; — Closed</title>');
+    expect(rss).toContain('<description>Closed — &quot;snow&quot; &amp; &apos;ice&apos; &lt;today&gt;</description>');
+    expect(rss).not.toContain('<today>');
+    expect(rss.match(/<item>/g)).toHaveLength(1);
+  });
+
+  test('titles the feed after the configured region', () => {
+    expect(buildRss(items, { ...feedOptions, title: 'Delaware School Closings' }))
+      .toContain('<title>Delaware School Closings</title>');
+    expect(buildAtom(items, feedOptions)).toContain('<title>School Closings</title>');
+  });
+
+  test('escapes text in Atom', () => {
+    const atom = buildAtom(items, feedOptions);
+    expect(atom).toContain('<title>Smith &amp; Jones &lt;Academy&gt; — Closed</title>');
+    expect(atom).toContain('<summary>Closed — &quot;snow&quot; &amp; &apos;ice&apos; &lt;today&gt;</summary>');
+    expect(atom).toContain('<updated>2026-01-06T11:00:00.000Z</updated>');
+  });
+});
+
+describe('buildIcs', () => {
+  const ics = buildIcs(toFeedItems([
+    entry({
+      day: '2026-01-06',
+      status: 'Closed; snow, ice\\sleet\nMake-up day: June 12',
+      firstSeen: '2026-01-06T10:00:00.000Z',
+      lastSeen: '2026-01-06T11:00:00.000Z',
+    }),
+    entry({
+      day: '2026-01-06',
+      key: 'Académie Française de Wilmington ☃ École Élémentaire Saint-Étienne 🎓 Préparatoire',
+      displayName: 'Académie Française de Wilmington ☃ École Élémentaire Saint-Étienne 🎓 Préparatoire',
+      layer: 'charter',
+      firstSeen: '2026-01-06T10:00:00.000Z',
+      lastSeen: '2026-01-06T10:00:00.000Z',
+    }),
+    entry({
+      day: '2026-01-06',
+      key: 'Capital School District',
+      status: 'Board meeting moved to Thursday',
+      statusType: 'info',
+      firstSeen: '2026-01-06T10:00:00.000Z',
+      lastSeen: '2026-01-06T10:00:00.000Z',
+    }),
+  ]));
+
+  test('writes all-day events and escapes text', () => {
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    const text = unfold(ics);
+    expect(text).toContain('DTSTART;VALUE=DATE:20260106\r\nDTEND;VALUE=DATE:20260107');
+    expect(text).toContain('DESCRIPTION:Closed\\; snow\\, ice\\\\sleet\\nMake-up day: June 12\r\n');
+  });
+
+  test('leaves informational notices out', () => {
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(unfold(ics)).not.toContain('Capital School District');
+  });
+
+  test('gives keys that differ only in punctuation their own UIDs', () => {
+    const uids = buildIcs(toFeedItems([
+      entry({ day: '2026-01-06', key: "St. Mary's Academy", lastSeen: '2026-01-06T10:00:00.000Z' }),
+      entry({ day: '2026-01-06', key: "St Mary's Academy", lastSeen: '2026-01-06T10:00:00.000Z' }),
+    ])).match(/^UID:.*$/gm);
+    expect(uids).toHaveLength(2);
+    expect(uids[0]).not.toBe(uids[1]);
+  });
+
+  test('folds lines at 75 octets without splitting characters', () => {
+    const lines = ics.split('\r\n');
+    expect(lines.some(line => line.startsWith(' '))).toBe(true);
+    for (const line of lines) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      // A split surrogate pair would not survive a UTF-8 round trip
+      expect(Buffer.from(line).toString()).toBe(line);
+    }
+    expect(unfold(ics)).toContain(
+      'SUMMARY:Académie Française de Wilmington ☃ École Élémentaire Saint-Étienne 🎓 Préparatoire — Closed\r\n',
+    );
+  });
+
+  test('keeps a four-byte character whole at the fold', () => {
+    // "SUMMARY:" plus 64 letters puts the emoji's first byte at octet 73
+    const name = `${'x'.repeat(64)}🎓 Academy`;
+    const folded = buildIcs([
+      entry({ day: '2026-01-06', key: name, displayName: name, lastSeen: '2026-01-06T10:00:00.000Z' }),
+    ]);
+    const summary = folded.split('\r\n').filter(line => line.startsWith('SUMMARY:') || line.startsWith(' 🎓'));
+    expect(summary).toEqual([`SUMMARY:${'x'.repeat(64)}`, ' 🎓 Academy — Closed']);
+  });
+});
@@ -0,0 +1,167 @@
+const { scratchDataDir, serveFixtures } = require('./helpers');
+
+jest.mock('axios');
+const axios = require('axios');
+
+scratchDataDir('graphql');
+
+const { app, fetchClosings, closingsEvents } = require('../server');
+
+let server;
+let baseUrl;
+
+const graphql = async (query, variables) => {
+  const res = await fetch(`${baseUrl}/api/graphql`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, variables }),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+beforeAll(() => {
+  serveFixtures(axios);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => server.close());
+
+test('lists charter schools by county and status with coordinates', async () => {
+  const { status, body } = await graphql(`
+    query ($county: String) {
+      charterSchools(county: $county, status: [CLOSED]) {
+        name
+        statusType
+        coordinates { latitude longitude }
+        closing { status statusLabel }
+        district { name }
+      }
+    }`, { county: 'new castle' });
+
+  expect(status).toBe(200);
+  expect(body.errors).toBeUndefined();
+  expect(body.data.charterSchools).toEqual([{
+    name: 'Newark Charter School',
+    statusType: 'CLOSED',
+    coordinates: { latitude: 39.65, longitude: -75.7 },
+    closing: { status: 'Closed', statusLabel: 'Closed' },
+    district: { name: 'Christina School District' },
+  }]);
+});
+
+test('follows relationships between districts, VoTechs and closings', async () => {
+  const { body } = await graphql(`{
+    district(name: "Christina School District") {
+      counties
+      statusType
+      center { latitude longitude }
+      charterSchools { name }
+      votechDistricts { key name }
+    }
+    closings(type: [VOTECH], status: [EARLY_DISMISSAL]) {
+      organizationType
+      statusType
+      dismissalTime
+      votechDistrict { key districts { name } }
+      district { name }
+    }
+    smyrna: districts(name: "smyrna") { statusType closing { status } }
+  }`);
+
+  expect(body.errors).toBeUndefined();
+  const { district, closings, smyrna } = body.data;
+  expect(district).toMatchObject({
+    counties: ['New Castle'],
+    statusType: 'CLOSED',
+    charterSchools: [{ name: 'Newark Charter School' }],
+    votechDistricts: [{ key: 'NEW CASTLE', name: expect.any(String) }],
+  });
+  expect(district.center.latitude).toEqual(expect.any(Number));
+
+  expect(closings).toEqual([expect.objectContaining({
+    organizationType: 'VOTECH', statusType: 'EARLY_DISMISSAL', dismissalTime: '12:30', district: null,
+  })]);
+  expect(closings[0].votechDistrict.key).toBe('POLYTECH');
+  expect(closings[0].votechDistrict.districts.length).toBeGreaterThan(0);
+
+  expect(smyrna).toEqual([{ statusType: 'OPEN', closing: null }]);
+});
+
+test('reports query errors in the GraphQL format', async () => {
+  const invalid = await graphql('{ districts { nope } }');
+  expect(invalid.status).toBe(400);
+  expect(invalid.body.errors[0].message).toMatch(/nope/);
+
+  const syntax = await graphql('{ districts {');
+  expect(syntax.status).toBe(400);
+
+  const subscription = await graphql('subscription { statusChanged { key } }');
+  expect(subscription.status).toBe(400);
+  expect(subscription.body.errors[0].message).toMatch(/text\/event-stream/);
+});
+
+test('accepts GET queries', async () => {
+  const res = await fetch(`${baseUrl}/api/graphql?query=${encodeURIComponent('{ fetchedAt stale }')}`);
+  const { data } = await res.json();
+  expect(data.stale).toBe(false);
+  expect(data.fetchedAt).toEqual(expect.any(String));
+});
+
+test('streams matching status changes to subscribers', async () => {
+  const snapshot = await fetchClosings();
+  const listeners = closingsEvents.listenerCount('changes');
+  const controller = new AbortController();
+  const res = await fetch(`${baseUrl}/api/graphql`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify({
+      query: `subscription {
+        statusChanged(county: "Kent", type: [VOTECH]) {
+          changeType name previous { statusType } current { statusType status }
+          votechDistrict { key closing { statusType } }
+        }
+      }`,
+    }),
+    signal: controller.signal,
+  });
+  expect(res.headers.get('content-type')).toMatch(/text\/event-stream/);
+
+  const change = (layer, key, counties) => ({
+    type: 'statusType',
+    layer,
+    key,
+    displayName: key === 'POLYTECH' ? 'Polytech School District' : key,
+    counties,
+    previous: { statusType: 'delay', status: '2 Hour Delay' },
+    current: { statusType: 'early dismissal', status: 'Early dismissal at 12:30 PM' },
+    detectedAt: snapshot.fetchedAt,
+  });
+  // Wait for the subscription to attach before emitting
+  while (closingsEvents.listenerCount('changes') === listeners) await new Promise(r => setTimeout(r, 10));
+  closingsEvents.emit('changes', [
+    change('district', 'Christina School District', ['New Castle']),
+    change('votech', 'POLYTECH', ['Kent']),
+  ], snapshot);
+
+  const reader = res.body.getReader();
+  let text = '';
+  while (!text.includes('\n\n')) text += new TextDecoder().decode((await reader.read()).value);
+  controller.abort();
+  // Disconnecting ends the subscription and drops its listener
+  while (closingsEvents.listenerCount('changes') > listeners) await new Promise(r => setTimeout(r, 10));
+
+  const [, event, data] = /^event: (\w+)\ndata: (.*)\n\n/.exec(text);
+  expect(event).toBe('next');
+  expect(JSON.parse(data)).toEqual({
+    data: {
+      statusChanged: {
+        changeType: 'STATUS_TYPE',
+        name: 'Polytech School District',
+        previous: { statusType: 'DELAY' },
+        current: { statusType: 'EARLY_DISMISSAL', status: 'Early dismissal at 12:30 PM' },
+        votechDistrict: { key: 'POLYTECH', closing: { statusType: 'EARLY_DISMISSAL' } },
+      },
+    },
+  });
+});
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Setup shared by the tests that load the server or the data store.
+
+// Point DATA_DIR at a fresh scratch dir, removed once the file's tests finish.
+// lib/dataStore reads DATA_DIR when it loads, so call this before requiring
+// anything from lib/ or the server.
+function scratchDataDir(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-test-`));
+  process.env.DATA_DIR = dir;
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// The closings feed and ArcGIS layers as the fixtures have them, by URL
+function upstreamResponses() {
+  const { CLOSINGS_URL } = require('../lib/portalFeed');
+  const { DISTRICTS_URL, VOTECH_URL, CHARTER_URL, SCHOOLS_URL } = require('../lib/firstMap');
+  return {
+    [CLOSINGS_URL]:  fixture('portal-feed.xml'),
+    [DISTRICTS_URL]: JSON.parse(fixture('districts.geojson')),
+    [VOTECH_URL]:    JSON.parse(fixture('votech-districts.geojson')),
+    [CHARTER_URL]:   JSON.parse(fixture('charter-schools.geojson')),
+    [SCHOOLS_URL]:   JSON.parse(fixture('schools.geojson')),
+  };
+}
+
+// Answer upstream GETs from the fixtures; `axios` is the test's jest.mock('axios')
+function serveFixtures(axios) {
+  const responses = upstreamResponses();
+  axios.get.mockImplementation(async url => ({ data: responses[url] }));
+}
+
+module.exports = {
+  scratchDataDir,
+  fixture,
+  upstreamResponses,
+  serveFixtures,
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { scratchDataDir } = require('./helpers');
+
+jest.mock('axios');
+
+scratchDataDir('history');
+
+const historyStore = require('../lib/historyStore');
+const { timelineFrames } = require('../lib/changeDetector');
+const { app } = require('../server');
+
+const snap = (fetchedAt, statusType) => ({
+  fetchedAt,
+  closings: [],
+  byDistrict: { 'Christina School District': { statusType } },
+});
+
+beforeAll(async () => {
+  await historyStore.recordSnapshot(snap(new Date(2026, 0, 5, 22, 0).toISOString(), 'delay'));
+  await historyStore.recordSnapshot(snap(new Date(2026, 0, 6, 5, 30).toISOString(), 'delay'));
+  await historyStore.recordSnapshot(snap(new Date(2026, 0, 6, 6, 15).toISOString(), 'closed'));
+  await historyStore.recordSnapshot(snap(new Date(2026, 0, 6, 6, 16).toISOString(), 'closed'));
+});
+
+describe('queryHistory', () => {
+  const range = { from: new Date(2026, 0, 5), to: new Date(2026, 0, 6, 23, 59) };
+
+  test('collapses polls into one entry per key and day', async () => {
+    const history = await historyStore.queryHistory(range);
+    expect(history.map(e => [e.day, e.key, e.statusType, e.statusTypes])).toEqual([
+      ['2026-01-05', 'Christina School District', 'delay', ['delay']],
+      ['2026-01-06', 'Christina School District', 'closed', ['delay', 'closed']],
+    ]);
+    expect(history[1].firstSeen).toBe(new Date(2026, 0, 6, 5, 30).toISOString());
+  });
+
+  test('dates an entry by its date cell, falling back to the poll day', () => {
+    expect(historyStore.effectiveDay({ day: '2026-01-05', date: '01/06/2026' })).toBe('2026-01-06');
+    expect(historyStore.effectiveDay({ day: '2026-01-05', date: 'Tuesday' })).toBe('2026-01-05');
+    expect(historyStore.effectiveDay({ day: '2026-01-05' })).toBe('2026-01-05');
+  });
+
+  test('filters by part of the key, ignoring case', async () => {
+    expect(await historyStore.queryHistory({ ...range, district: 'christina' })).toHaveLength(2);
+    expect(await historyStore.queryHistory({ ...range, district: 'Capital' })).toEqual([]);
+  });
+});
+
+describe('/api/closings/history', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(() => {
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => server.close());
+
+  test('returns the history for a range', async () => {
+    const query = new URLSearchParams({
+      from: new Date(2026, 0, 6).toISOString(),
+      to: new Date(2026, 0, 6, 23, 59).toISOString(),
+      district: 'Christina',
+    });
+    const res = await (await fetch(`${baseUrl}/api/closings/history?${query}`)).json();
+    expect(res.history.map(e => [e.day, e.statusType])).toEqual([['2026-01-06', 'closed']]);
+  });
+
+  test('rejects dates that do not parse', async () => {
+    expect((await fetch(`${baseUrl}/api/closings/history?from=soon`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/closings/history?to=later`)).status).toBe(400);
+  });
+});
+
+describe('recordSnapshot', () => {
+  const at = (day, hour, minute) => new Date(2026, 1, day, hour, minute).toISOString();
+
+  test('stores unchanged polls as markers that read back as full snapshots', async () => {
+    await historyStore.recordSnapshot(snap(at(10, 8, 0), 'delay'));
+    await historyStore.recordSnapshot(snap(at(10, 8, 3), 'delay'), { unchanged: true });
+    // The first poll of a day is stored in full even when nothing changed
+    await historyStore.recordSnapshot(snap(at(11, 0, 2), 'delay'), { unchanged: true });
+
+    const lines = day => fs.readFileSync(path.join(historyStore.HISTORY_DIR, `${day}.jsonl`), 'utf8')
+      .trim().split('\n').map(JSON.parse);
+    expect(lines('2026-02-10')).toEqual([snap(at(10, 8, 0), 'delay'), { fetchedAt: at(10, 8, 3), unchanged: true }]);
+    expect(lines('2026-02-11')).toEqual([snap(at(11, 0, 2), 'delay')]);
+
+    const snapshots = await historyStore.readSnapshots(new Date(2026, 1, 10), new Date(2026, 1, 11, 12, 0));
+    expect(snapshots).toEqual([
+      snap(at(10, 8, 0), 'delay'), snap(at(10, 8, 3), 'delay'), snap(at(11, 0, 2), 'delay'),
+    ]);
+    expect((await historyStore.snapshotAt(new Date(2026, 1, 10, 9, 0))).fetchedAt).toBe(at(10, 8, 3));
+
+    const [entry] = await historyStore.queryHistory({ from: new Date(2026, 1, 10), to: new Date(2026, 1, 10, 23, 59) });
+    expect(entry).toMatchObject({ firstSeen: at(10, 8, 0), lastSeen: at(10, 8, 3) });
+  });
+});
+
+describe('snapshotAt', () => {
+  test('returns the snapshot in effect at a moment', async () => {
+    const at = t => historyStore.snapshotAt(t).then(s => s && s.byDistrict['Christina School District'].statusType);
+    expect(await at(new Date(2026, 0, 6, 6, 0))).toBe('delay');
+    expect(await at(new Date(2026, 0, 6, 6, 15))).toBe('closed');
+  });
+
+  test('reaches back to an earlier day, and is null before the first snapshot', async () => {
+    expect((await historyStore.snapshotAt(new Date(2026, 0, 6, 1, 0))).fetchedAt)
+      .toBe(new Date(2026, 0, 5, 22, 0).toISOString());
+    expect(await historyStore.snapshotAt(new Date(2026, 0, 5, 12, 0))).toBeNull();
+  });
+});
+
+describe('timelineFrames', () => {
+  test('starts from the snapshot in effect and keeps only changes', async () => {
+    const frames = await timelineFrames(new Date(2026, 0, 6, 0, 0), new Date(2026, 0, 6, 12, 0));
+    expect(frames.map(f => [f.fetchedAt, f.byDistrict['Christina School District'].statusType])).toEqual([
+      [new Date(2026, 0, 5, 22, 0).toISOString(), 'delay'],
+      [new Date(2026, 0, 6, 6, 15).toISOString(), 'closed'],
+    ]);
+  });
+});
+
+describe('/api/closings/at and /api/closings/timeline', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(() => {
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => server.close());
+
+  test('serves the snapshot for a time or a whole day', async () => {
+    const atSix = await (await fetch(`${baseUrl}/api/closings/at?time=${encodeURIComponent(new Date(2026, 0, 6, 6, 0).toISOString())}`)).json();
+    expect(atSix.byDistrict['Christina School District'].statusType).toBe('delay');
+    const day = await (await fetch(`${baseUrl}/api/closings/at?time=2026-01-06`)).json();
+    expect(day.byDistrict['Christina School District'].statusType).toBe('closed');
+  });
+
+  test('rejects bad times and reports when nothing was recorded', async () => {
+    expect((await fetch(`${baseUrl}/api/closings/at?time=soon`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/closings/at`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/closings/at?time=2025-01-01`)).status).toBe(404);
+  });
+
+  test('serves timeline frames and limits the span', async () => {
+    const res = await (await fetch(`${baseUrl}/api/closings/timeline?from=2026-01-06&to=2026-01-06`)).json();
+    expect(res.frames).toHaveLength(2);
+    expect((await fetch(`${baseUrl}/api/closings/timeline?from=2026-01-01&to=2026-01-20`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/closings/timeline?from=2026-01-07&to=2026-01-06`)).status).toBe(400);
+  });
+});
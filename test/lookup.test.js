@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { scratchDataDir, fixture, serveFixtures } = require('./helpers');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const tmpDir = scratchDataDir('lookup');
+
+const { geocode } = require('../lib/geocoder');
+const { boxCenter, lookupPoint, nearby } = require('../lib/lookup');
+const firstMap = require('../lib/firstMap');
+const historyStore = require('../lib/historyStore');
+const { app } = require('../server');
+
+const districts = firstMap.enrichDistricts(JSON.parse(fixture('districts.geojson')));
+const votech    = firstMap.enrichVotechDistricts(JSON.parse(fixture('votech-districts.geojson')));
+const charters  = firstMap.enrichCharterSchools(JSON.parse(fixture('charter-schools.geojson')), districts);
+
+describe('geocode', () => {
+  test('reads typed coordinates', async () => {
+    expect(await geocode('39.68, -75.75')).toMatchObject({ lat: 39.68, lng: -75.75, source: 'coordinates' });
+    expect(await geocode('(39.68 -75.75)')).toMatchObject({ lat: 39.68, lng: -75.75 });
+    expect(await geocode('139.68, -75.75')).toBeNull();
+  });
+
+  test('resolves an address by its ZIP, not its house number', async () => {
+    expect(await geocode('19711')).toMatchObject({ label: 'Newark 19711', source: 'zip' });
+    expect(await geocode('19977 Main St, Dover, DE 19963-1234')).toMatchObject({ label: 'Milford 19963' });
+  });
+
+  test('falls back to the longest town name in the query', async () => {
+    expect(await geocode('12 Delaware St, New Castle')).toMatchObject({ label: 'New Castle', source: 'place' });
+    expect(await geocode('rehoboth beach de')).toMatchObject({ label: 'Rehoboth Beach' });
+    expect(await geocode('Atlantis')).toBeNull();
+  });
+
+  test('checks operator places in DATA_DIR first', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'places.json'), JSON.stringify([{ name: 'Odessa', lat: 39.46, lng: -75.66 }]));
+    expect(await geocode('Odessa')).toMatchObject({ lat: 39.46, lng: -75.66 });
+    fs.rmSync(path.join(tmpDir, 'places.json'));
+  });
+});
+
+describe('lookupPoint', () => {
+  const snapshot = {
+    byDistrict: { 'Christina School District': { statusType: 'closed' } },
+    byVotech: {},
+    byCharter: { 'Newark Charter School': { statusType: 'closed' } },
+  };
+
+  test('finds the district and VoTech containing the point, and the nearest charters', () => {
+    const result = lookupPoint({ lat: 39.6837, lng: -75.7497 }, { districts, votech, charters, snapshot });
+    expect(result.district).toMatchObject({ name: 'Christina School District', closing: { statusType: 'closed' } });
+    expect(result.votech).toMatchObject({ key: 'NEW CASTLE', closing: null });
+    expect(result.charters.map(c => c.name)).toEqual([
+      'Newark Charter School', 'Delaware Military Academy', 'Kuumba Academy Charter School',
+    ]);
+    expect(result.charters[0]).toMatchObject({ lng: -75.71, closing: { statusType: 'closed' } });
+    expect(result.charters[0].distanceMiles).toBe(2.7);
+  });
+
+  test('returns nulls outside every district', () => {
+    const result = lookupPoint({ lat: 40.5, lng: -74 }, { districts, votech, charters, snapshot }, { charterCount: 1 });
+    expect(result.district).toBeNull();
+    expect(result.votech).toBeNull();
+    expect(result.charters).toHaveLength(1);
+  });
+});
+
+describe('boxCenter', () => {
+  test('handles boundaries with more points than a call can take as arguments', () => {
+    const ring = Array.from({ length: 500000 }, (_, i) => [-75.5 + (i % 2) * 0.2, 39 + (i % 3) * 0.1]);
+    const center = boxCenter({ geometry: { type: 'Polygon', coordinates: [ring] } });
+    expect(center.lat).toBeCloseTo(39.1);
+    expect(center.lng).toBeCloseTo(-75.4);
+  });
+});
+
+describe('nearby', () => {
+  const snapshot = {
+    byDistrict: { 'Red Clay Consolidated School District': { statusType: 'delay' } },
+    byVotech: {},
+    byCharter: {},
+  };
+
+  test('lists everything within the radius, nearest first', () => {
+    const result = nearby({ lat: 39.6837, lng: -75.7497 }, { districts, votech, charters, snapshot }, 10);
+    expect(result.district).toBe('Christina School District');
+    expect(result.items.map(i => [i.layer, i.name, i.distanceMiles])).toEqual([
+      ['district', 'Christina School District', 0],
+      ['votech', 'New Castle County Vocational-Technical School District', 0],
+      ['charter', 'Newark Charter School', 2.7],
+      ['district', 'Red Clay Consolidated School District', 3.6],
+      ['charter', 'Delaware Military Academy', 8.7],
+    ]);
+    expect(result.items[3].closing).toEqual({ statusType: 'delay' });
+  });
+
+  test('narrows with the radius', () => {
+    const result = nearby({ lat: 39.6837, lng: -75.7497 }, { districts, votech, charters, snapshot }, 1);
+    expect(result.items.map(i => i.key)).toEqual(['Christina School District', 'NEW CASTLE']);
+  });
+});
+
+describe('/api/lookup and /api/nearby', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(() => {
+    serveFixtures(axios);
+    jest.spyOn(historyStore, 'recordSnapshot').mockResolvedValue();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    server.close();
+    console.error.mockRestore();
+  });
+
+  test('looks up an address or a point', async () => {
+    const byAddress = await (await fetch(`${baseUrl}/api/lookup?q=${encodeURIComponent('Dover, DE 19901')}`)).json();
+    expect(byAddress).toMatchObject({
+      location: { label: 'Dover 19901', source: 'zip' },
+      district: { name: 'Caesar Rodney School District', closing: { statusType: 'virtual' } },
+      votech: { key: 'POLYTECH', closing: { statusType: 'early dismissal' } },
+    });
+    expect(byAddress.charters[0].name).toBe('Academy of Dover Charter School');
+
+    const byPoint = await (await fetch(`${baseUrl}/api/lookup?lat=39.3&lng=-75.6`)).json();
+    expect(byPoint.district.name).toBe('Smyrna School District');
+  });
+
+  test('lists nearby districts and charters', async () => {
+    const res = await (await fetch(`${baseUrl}/api/nearby?lat=39.16&lng=-75.52&radius=5`)).json();
+    expect(res).toMatchObject({ radiusMiles: 5, district: 'Caesar Rodney School District' });
+    expect(res.items.map(i => i.key)).toEqual(['Caesar Rodney School District', 'POLYTECH', 'Academy of Dover Charter School']);
+    expect(res.items[0].closing).toMatchObject({ statusType: 'virtual' });
+  });
+
+  test('rejects bad input', async () => {
+    expect((await fetch(`${baseUrl}/api/nearby?lat=39.16&lng=-75.52&radius=500`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/nearby?lat=39.16`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/lookup`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/lookup?lat=abc&lng=-75`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/lookup?q=Atlantis`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const { parseClosingsXml } = require('../lib/portalFeed');
+const { matchClosings, matchRegions, reviewQueue, scoreName, MATCH_THRESHOLD } = require('../lib/matching');
+const { mergeAliases, DEFAULT_ALIASES } = require('../lib/aliases');
+const firstMap = require('../lib/firstMap');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const districts = firstMap.enrichDistricts(JSON.parse(fixture('districts.geojson')));
+const votech    = firstMap.enrichVotechDistricts(JSON.parse(fixture('votech-districts.geojson')));
+const charters  = firstMap.enrichCharterSchools(JSON.parse(fixture('charter-schools.geojson')), districts);
+const schools   = firstMap.enrichSchools(JSON.parse(fixture('schools.geojson')), districts);
+const closings  = parseClosingsXml(fixture('portal-feed.xml'));
+
+describe('matchClosings', () => {
+  const result = matchClosings(closings, { districts, charters, schools });
+
+  test('matches traditional districts by ArcGIS NAME', () => {
+    expect(Object.keys(result.byDistrict).sort()).toEqual([
+      'Caesar Rodney School District',
+      'Cape Henlopen School District',
+      'Christina School District',
+      'Red Clay Consolidated School District',
+    ]);
+    expect(result.byDistrict['Christina School District']).toMatchObject({
+      statusType: 'closed',
+      matchedDistrict: 'Christina School District',
+    });
+  });
+
+  test('matches VoTech districts by VOTECH key', () => {
+    expect(Object.keys(result.byVotech).sort()).toEqual(['POLYTECH', 'SUSSEX TECH']);
+    expect(result.byVotech.POLYTECH).toMatchObject({ statusType: 'early dismissal', matchedVotech: 'POLYTECH' });
+  });
+
+  test('matches charter schools by SCHOOLNAME, once per school', () => {
+    expect(Object.keys(result.byCharter)).toEqual(['Newark Charter School']);
+  });
+
+  test('matches a single-building closing to the school, not its district', () => {
+    expect(Object.keys(result.bySchool)).toEqual(['Smyrna High School']);
+    expect(result.bySchool['Smyrna High School']).toMatchObject({ matchedSchool: 'Smyrna High School' });
+    expect(result.byDistrict['Smyrna School District']).toBeUndefined();
+  });
+
+  test('prefers the building when a row names both it and its district', () => {
+    const row = { schoolName: 'Caesar Rodney SD - Allen Frear Elementary', status: 'Closed', statusType: 'closed' };
+    const { matches } = matchClosings([row], { districts, charters, schools });
+    expect(matches[0]).toMatchObject({ district: null, schools: ['Allen Frear Elementary School'] });
+  });
+
+  test('records what each feed row matched', () => {
+    const unmatched = closings.filter((c, i) => !result.matches[i].district && !result.matches[i].votech
+      && !result.matches[i].charters.length && !result.matches[i].schools.length);
+    expect(unmatched.map(c => c.schoolName)).toEqual(['Little Sprouts Preschool', 'Holy Cross School - Dover']);
+  });
+});
+
+describe('matchRegions', () => {
+  const empty = { type: 'FeatureCollection', features: [] };
+  const mdDistricts = {
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', properties: { NAME: 'Kent County Public Schools' }, geometry: null }],
+  };
+  const md = {
+    closings: [
+      { schoolName: 'Kent County Public Schools', status: 'Closed', statusType: 'closed', region: 'md' },
+      { schoolName: 'Christina School District', status: 'Closed', statusType: 'closed', region: 'md' },
+      { schoolName: 'Polytech School District', status: 'Closed', statusType: 'closed', region: 'md' },
+    ],
+    districts: mdDistricts, votech: empty, charters: empty, schools: empty,
+  };
+  const de = { closings, districts, votech, charters, schools };
+  const result = matchRegions([de, md], {});
+
+  test('merges every region into one result', () => {
+    expect(result.closings).toHaveLength(closings.length + md.closings.length);
+    expect(result.matches).toHaveLength(result.closings.length);
+    expect(result.byDistrict['Kent County Public Schools']).toMatchObject({ region: 'md', matchedDistrict: 'Kent County Public Schools' });
+    expect(result.byDistrict['Christina School District'].region).toBeUndefined();
+  });
+
+  test("matches rows against their own region's layers only", () => {
+    const mdMatches = result.matches.slice(closings.length);
+    expect(mdMatches[1].district).toBeNull();
+    expect(mdMatches[2].votech).toBeNull();
+    expect(result.byVotech.POLYTECH.statusType).toBe('early dismissal');
+  });
+
+  test('takes VoTech candidates from the votech layer when given', () => {
+    const row = { schoolName: 'Sussex Technical School District', status: 'Closed', statusType: 'closed' };
+    expect(matchClosings([row], { districts, votech, charters }).matches[0].votech).toBe('SUSSEX TECH');
+    expect(matchClosings([row], { districts, votech: empty, charters }).matches[0].votech).toBeNull();
+  });
+});
+
+describe('fuzzy matching', () => {
+  const row = schoolName => ({ schoolName, status: 'Closed', statusType: 'closed', date: '01/21/2025' });
+
+  test('matches shipped aliases and abbreviations', () => {
+    const feed = [row('Appo'), row('Del Military Academy'), row('NCC Vo-Tech')];
+    const { matches } = matchClosings(feed, {
+      districts: { features: [{ properties: { NAME: 'Appoquinimink School District' } }] },
+      charters,
+    });
+    expect(matches.map(m => [m.district, m.votech, m.charters])).toEqual([
+      ['Appoquinimink School District', null, []],
+      [null, null, ['Delaware Military Academy']],
+      [null, 'NEW CASTLE', []],
+    ]);
+  });
+
+  test('tolerates a one-letter typo in a long word', () => {
+    expect(scoreName('Christiana School District', 'Christina School District')).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+  });
+
+  test('does not match on a shared generic word', () => {
+    expect(scoreName('Dover Little League', 'Academy of Dover Charter School')).toBeLessThan(MATCH_THRESHOLD);
+    expect(scoreName('Sussex County Library', 'Sussex Academy')).toBeLessThan(MATCH_THRESHOLD);
+  });
+
+  test('applies operator aliases and reports the rest for review', () => {
+    const feed = [row('Little Sprouts Preschool')];
+    const before = matchClosings(feed, { districts, charters });
+    expect(reviewQueue(feed, before.matches).unmatched.map(r => r.schoolName)).toEqual(['Little Sprouts Preschool']);
+
+    const aliases = mergeAliases(DEFAULT_ALIASES, { charter: { 'Newark Charter School': ['little sprouts preschool'] } });
+    const after = matchClosings(feed, { districts, charters, aliases });
+    expect(Object.keys(after.byCharter)).toEqual(['Newark Charter School']);
+    expect(after.byCharter['Newark Charter School'].matchConfidence).toBe(1);
+  });
+});
+
+describe('FirstMap enrichment', () => {
+  test('places schools in the district polygon they sit in', () => {
+    expect(schools.features.map(f => [f.properties.SCHOOLNAME, f.properties.DISTRICT, f.properties.COUNTIES])).toEqual([
+      ['Smyrna High School', 'Smyrna School District', ['Kent', 'New Castle']],
+      ['Caesar Rodney High School', 'Caesar Rodney School District', ['Kent']],
+      ['Allen Frear Elementary School', 'Caesar Rodney School District', ['Kent']],
+      ['Lewis Dual Language Elementary School', 'Red Clay Consolidated School District', ['New Castle']],
+      ['Newark High School', 'Christina School District', ['New Castle']],
+    ]);
+  });
+
+  test('adds VoTech display names and counties', () => {
+    expect(votech.features.map(f => [f.properties.NAME, f.properties.COUNTIES])).toEqual([
+      ['New Castle County Vocational-Technical School District', ['New Castle']],
+      ['Polytech School District', ['Kent']],
+      ['Sussex Technical School District', ['Sussex']],
+    ]);
+  });
+
+  test('places charters in the county of their district', () => {
+    const counties = Object.fromEntries(charters.features.map(f => [f.properties.SCHOOLNAME, f.properties.COUNTIES]));
+    expect(counties).toEqual({
+      'Newark Charter School': ['New Castle'],
+      'Kuumba Academy Charter School': ['New Castle'],
+      'Delaware Military Academy': ['New Castle'],
+      'Academy of Dover Charter School': ['Kent'],
+      'Sussex Academy': ['Sussex'],
+    });
+  });
+});
@@ -0,0 +1,27 @@
+const { parseNamedTokens, findName } = require('../lib/namedTokens');
+
+describe('parseNamedTokens', () => {
+  test('reads name:token pairs and skips incomplete ones', () => {
+    expect(parseNamedTokens(' alice : token-a ,bob:token:b,:orphan,carol:, dave')).toEqual([
+      { name: 'alice', token: 'token-a' },
+      { name: 'bob', token: 'token:b' },
+    ]);
+    expect(parseNamedTokens(undefined)).toEqual([]);
+  });
+});
+
+describe('findName', () => {
+  const pairs = parseNamedTokens('alice:token-a,bob:token-b');
+
+  test('names the matching token', () => {
+    expect(findName(pairs, 'token-b')).toBe('bob');
+    expect(findName(pairs, ' token-a ')).toBe('alice');
+  });
+
+  test('is null for a wrong, shorter or missing token', () => {
+    expect(findName(pairs, 'token-c')).toBeNull();
+    expect(findName(pairs, 'token')).toBeNull();
+    expect(findName(pairs, '')).toBeNull();
+    expect(findName(pairs, undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const { parseClosingsXml } = require('../lib/portalFeed');
+
+const xml = fs.readFileSync(path.join(__dirname, 'fixtures', 'portal-feed.xml'), 'utf8');
+
+describe('parseClosingsXml', () => {
+  const closings = parseClosingsXml(xml);
+
+  test('reads one closing per named row and skips rows without a name', () => {
+    expect(closings.map(c => c.schoolName)).toEqual([
+      'Christina School District',
+      'Red Clay Consolidated School District',
+      'Polytech School District',
+      'Newark Charter School',
+      'Caesar Rodney School District',
+      'Sussex Technical School District',
+      'Little Sprouts Preschool',
+      'Cape Henlopen School District',
+      'Smyrna High School',
+      'Holy Cross School - Dover',
+    ]);
+  });
+
+  test('classifies each row', () => {
+    expect(closings.map(c => c.statusType)).toEqual([
+      'closed',
+      'delay',
+      'early dismissal',
+      'closed',
+      'virtual',
+      'activities cancelled',
+      'closed',
+      'delay',
+      'closed',
+      'closed',
+    ]);
+  });
+
+  test('carries the parsed status details', () => {
+    expect(closings[1]).toMatchObject({
+      status: '2 Hour Delay - No AM Pre-K',
+      date: '01/21/2025',
+      delayMinutes: 120,
+      affectedPrograms: ['pre-k'],
+    });
+    expect(closings[2]).toMatchObject({ dismissalTime: '12:30' });
+    expect(closings[4]).toMatchObject({ remoteLearning: true });
+  });
+
+  test('returns no closings for an empty feed', () => {
+    expect(parseClosingsXml('<?xml version="1.0"?><rows></rows>')).toEqual([]);
+  });
+});
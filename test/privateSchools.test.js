@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { parseClosingsXml } = require('../lib/portalFeed');
+const { matchClosings } = require('../lib/matching');
+const firstMap = require('../lib/firstMap');
+const { parseCsv, csvToGeoJson, enrichPrivateSchools, effectiveStatuses } = require('../lib/privateSchools');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const districts = firstMap.enrichDistricts(JSON.parse(fixture('districts.geojson')));
+const charters  = firstMap.enrichCharterSchools(JSON.parse(fixture('charter-schools.geojson')), districts);
+const closings  = parseClosingsXml(fixture('portal-feed.xml'));
+
+describe('parseCsv', () => {
+  test('handles quoted fields, escaped quotes and CRLF line endings', () => {
+    expect(parseCsv('name,note\r\n"Tatnall School, The","say ""hi"""\r\n\r\nSanford,\n')).toEqual([
+      ['name', 'note'],
+      ['Tatnall School, The', 'say "hi"'],
+      ['Sanford', ''],
+    ]);
+  });
+
+  test('requires name and location columns', () => {
+    expect(() => csvToGeoJson('school,lat,lng\nX,39,-75')).toThrow('missing a "name" column');
+  });
+});
+
+describe('private schools', () => {
+  let privateSchools;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {}); // the unknown "Narnia" district
+    privateSchools = enrichPrivateSchools(csvToGeoJson(fixture('private-schools.csv')), districts);
+  });
+  afterAll(() => console.error.mockRestore());
+
+  test('loads located rows and resolves "follows" to a district NAME', () => {
+    expect(privateSchools.features.map(f => [f.properties.NAME, f.properties.FOLLOWS, f.properties.COUNTIES])).toEqual([
+      ["St. Mark's High School", 'Christina School District', ['New Castle']],
+      ['Ursuline Academy', 'Red Clay Consolidated School District', ['New Castle']],
+      ['Holy Cross School', null, ['Kent']],
+      ['Tatnall School, The', 'Red Clay Consolidated School District', ['New Castle']],
+      ['Eastern Shore Academy', null, ['Kent']],
+    ]);
+  });
+
+  test('uses a school\'s own feed entry, else the district it follows', () => {
+    const { byDistrict, byPrivate } = matchClosings(closings, { districts, charters, privateSchools });
+    const statuses = effectiveStatuses(privateSchools, byPrivate, byDistrict);
+
+    expect(Object.keys(statuses).sort()).toEqual([
+      'Holy Cross School',
+      "St. Mark's High School",
+      'Tatnall School, The',
+      'Ursuline Academy',
+    ]);
+    expect(statuses['Holy Cross School']).toMatchObject({
+      schoolName: 'Holy Cross School - Dover', statusType: 'closed', matchedPrivate: 'Holy Cross School',
+    });
+    expect(statuses['Holy Cross School'].inheritedFrom).toBeUndefined();
+    expect(statuses['Ursuline Academy']).toMatchObject({
+      statusType: 'delay', matchedPrivate: 'Ursuline Academy', inheritedFrom: 'Red Clay Consolidated School District',
+    });
+  });
+});
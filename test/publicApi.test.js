@@ -0,0 +1,177 @@
+const { scratchDataDir, serveFixtures } = require('./helpers');
+
+jest.mock('axios');
+const axios = require('axios');
+
+scratchDataDir('public-api');
+
+const publicApi = require('../lib/publicApi');
+const { createRateLimiter } = require('../lib/rateLimit');
+const { app } = require('../server');
+
+describe('public API helpers', () => {
+  test('parses filters from comma lists and repeated parameters', () => {
+    const { filters, limit, offset } = publicApi.parseListQuery({
+      status: 'closed,Early-Dismissal', type: ['district', 'votech'], county: 'Kent', name: ' Christina ',
+    });
+    expect(filters).toEqual({
+      statuses: ['closed', 'early dismissal'],
+      types: ['district', 'votech'],
+      counties: ['kent'],
+      name: 'christina',
+    });
+    expect([limit, offset]).toEqual([100, 0]);
+  });
+
+  test('rejects unknown values and bad paging', () => {
+    expect(publicApi.parseListQuery({ status: 'snowed-in' }).error).toMatch(/status must be one of/);
+    expect(publicApi.parseListQuery({ type: 'college' }).error).toMatch(/type must be one of/);
+    expect(publicApi.parseListQuery({ limit: '0' }).error).toMatch(/limit/);
+    expect(publicApi.parseListQuery({ limit: '501' }).error).toMatch(/limit/);
+    expect(publicApi.parseListQuery({ offset: '-1' }).error).toMatch(/offset/);
+  });
+
+  test('paginates with links that keep the other parameters', () => {
+    const records = ['a', 'b', 'c'].map(key => ({ type: 'district', key, name: key, counties: [], statusType: 'closed' }));
+    const query = publicApi.parseListQuery({ type: 'district', limit: '2' });
+    const first = publicApi.paginate(records, query, '/api/v1/closings?type=district&limit=2');
+    expect(first.data.map(r => r.key)).toEqual(['a', 'b']);
+    expect(first.meta).toEqual({ total: 3, limit: 2, offset: 0 });
+    expect(first.links).toEqual({ next: '/api/v1/closings?type=district&limit=2&offset=2', prev: null });
+
+    const second = publicApi.paginate(records, { ...query, offset: 2 }, first.links.next);
+    expect(second.data.map(r => r.key)).toEqual(['c']);
+    expect(second.links).toEqual({ next: null, prev: '/api/v1/closings?type=district&limit=2&offset=0' });
+  });
+
+  test('rate limiter counts per id and window', () => {
+    const limiter = createRateLimiter({ windowMs: 60000 });
+    expect(limiter.hit('a', 2)).toMatchObject({ allowed: true, remaining: 1 });
+    expect(limiter.hit('a', 2)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(limiter.hit('a', 2)).toMatchObject({ allowed: false, remaining: 0 });
+    expect(limiter.hit('b', 2).allowed).toBe(true);
+  });
+});
+
+describe('/api/v1', () => {
+  let server;
+  let baseUrl;
+  const get = (url, headers) => fetch(`${baseUrl}${url}`, { headers });
+
+  beforeAll(() => {
+    process.env.API_KEYS = 'dispatch:dispatch-key,buses:buses-key';
+    serveFixtures(axios);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    delete process.env.API_RATE_LIMIT;
+    delete process.env.API_REQUIRE_KEY;
+    delete process.env.CORS_ORIGINS;
+  });
+
+  afterAll(() => {
+    server.close();
+    delete process.env.API_KEYS;
+  });
+
+  test('filters current closings by status, type, county and name', async () => {
+    const all = await (await get('/api/v1/closings', { 'X-API-Key': 'dispatch-key' })).json();
+    expect(all.meta).toMatchObject({ total: all.data.length, offset: 0, stale: false });
+    expect(all.meta.fetchedAt).toBeTruthy();
+    expect(all.data.map(r => r.type)).toEqual(expect.arrayContaining(['district', 'votech', 'charter', 'school']));
+
+    const votech = await (await get('/api/v1/closings?type=votech&status=early-dismissal', { 'X-API-Key': 'dispatch-key' })).json();
+    expect(votech.data).toEqual([expect.objectContaining({
+      type: 'votech', key: 'POLYTECH', name: 'Polytech School District', statusType: 'early dismissal', dismissalTime: '12:30',
+    })]);
+
+    const christina = await (await get('/api/v1/closings?name=christina&county=new%20castle', { 'X-API-Key': 'dispatch-key' })).json();
+    expect(christina.data.map(r => r.key)).toEqual(['Christina School District']);
+  });
+
+  test('lists organizations with open ones included', async () => {
+    const all = await (await get('/api/v1/organizations?type=district', { 'X-API-Key': 'buses-key' })).json();
+    expect(all.data.some(r => r.statusType === 'closed')).toBe(true);
+
+    const open = await (await get('/api/v1/organizations?type=district&status=open&limit=1', { 'X-API-Key': 'buses-key' })).json();
+    expect(open.data).toEqual([expect.objectContaining({ type: 'district', statusType: 'open', status: null })]);
+    expect(open.meta.total).toBe(all.data.filter(r => r.statusType === 'open').length);
+    expect(open.data[0].key).toBe('Smyrna School District'); // the only district the fixture feed leaves open
+    expect(open.links).toEqual({ next: null, prev: null });
+  });
+
+  test('serves recorded history for a date range', async () => {
+    const today = new Date();
+    const day = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+    const res = await get(`/api/v1/closings/history?from=${day}&type=charter`, { 'X-API-Key': 'buses-key' });
+    const body = await res.json();
+    expect(body.data).toEqual([expect.objectContaining({ day, type: 'charter', key: 'Newark Charter School', statusTypes: ['closed'] })]);
+
+    expect((await get('/api/v1/closings/history?from=2020-01-01&to=2026-01-01')).status).toBe(400);
+  });
+
+  test('answers If-None-Match with 304 while nothing changed', async () => {
+    const first = await get('/api/v1/closings?type=district', { 'X-API-Key': 'dispatch-key' });
+    const tag = first.headers.get('etag');
+    expect(tag).toMatch(/^W\/"/);
+
+    const again = await get('/api/v1/closings?type=district', { 'X-API-Key': 'dispatch-key', 'If-None-Match': tag });
+    expect(again.status).toBe(304);
+    const other = await get('/api/v1/closings?type=charter', { 'X-API-Key': 'dispatch-key', 'If-None-Match': tag });
+    expect(other.status).toBe(200);
+  });
+
+  test('rate limits each key separately', async () => {
+    process.env.API_RATE_LIMIT = '2';
+    const hit = key => get('/api/v1/openapi.json', { 'X-API-Key': key });
+    // Earlier tests used the other keys in this window; use fresh ones
+    process.env.API_KEYS += ',limited:limited-key,spare:spare-key';
+    expect((await hit('limited-key')).headers.get('ratelimit-remaining')).toBe('1');
+    await hit('limited-key');
+    const blocked = await hit('limited-key');
+    expect(blocked.status).toBe(429);
+    expect(Number(blocked.headers.get('retry-after'))).toBeGreaterThan(0);
+    expect((await hit('spare-key')).status).toBe(200);
+  });
+
+  test('rejects unknown keys, and keyless requests when keys are required', async () => {
+    expect((await get('/api/v1/closings', { 'X-API-Key': 'nope' })).status).toBe(401);
+    process.env.API_REQUIRE_KEY = '1';
+    expect((await get('/api/v1/closings')).status).toBe(401);
+    expect((await get('/api/v1/nothing-here', { 'X-API-Key': 'buses-key' })).status).toBe(404);
+  });
+
+  test('validates filters', async () => {
+    const res = await get('/api/v1/closings?status=snowed-in', { 'X-API-Key': 'buses-key' });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toMatch(/status must be one of/);
+  });
+
+  test('publishes an OpenAPI document', async () => {
+    const doc = await (await get('/api/v1/openapi.json', { 'X-API-Key': 'buses-key' })).json();
+    expect(doc.openapi).toBe('3.1.0');
+    expect(Object.keys(doc.paths)).toEqual(['/closings', '/closings/history', '/organizations', '/openapi.json']);
+    expect(doc.components.parameters.status.schema.items.enum).toContain('early-dismissal');
+  });
+
+  test('allows any origin by default and only CORS_ORIGINS once set', async () => {
+    const origin = 'https://intranet.example.org';
+    expect((await get('/api/closings', { Origin: origin })).headers.get('access-control-allow-origin')).toBe('*');
+
+    process.env.CORS_ORIGINS = `${origin}, https://other.example.org`;
+    const elsewhere = await get('/api/closings', { Origin: 'https://elsewhere.example.com' });
+    expect(elsewhere.headers.get('access-control-allow-origin')).toBeNull();
+    const allowed = await get('/api/v1/closings', { Origin: origin, 'X-API-Key': 'buses-key' });
+    expect(allowed.headers.get('access-control-allow-origin')).toBe(origin);
+    expect(allowed.headers.get('access-control-expose-headers')).toContain('ETag');
+
+    const preflight = await fetch(`${baseUrl}/api/v1/closings`, {
+      method: 'OPTIONS',
+      headers: { Origin: origin, 'Access-Control-Request-Method': 'GET', 'Access-Control-Request-Headers': 'x-api-key' },
+    });
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers.get('access-control-allow-headers')).toContain('X-API-Key');
+  });
+});
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { scratchDataDir } = require('./helpers');
+
+// Follows are registered through the API; a 'changes' event pushes to the
+// subscriptions following each changed key and forgets ones the browser dropped.
+jest.mock('axios');
+jest.mock('web-push');
+const webpush = require('web-push');
+
+const tmpDir = scratchDataDir('push');
+process.env.VAPID_PUBLIC_KEY = 'test-public-key';
+process.env.VAPID_PRIVATE_KEY = 'test-private-key';
+
+const push = require('../lib/pushNotifications');
+const { app, closingsEvents } = require('../server');
+
+const subscription = name => ({
+  endpoint: `https://push.example.com/${name}`,
+  keys: { p256dh: `${name}-p256dh`, auth: `${name}-auth` },
+});
+
+let server;
+let baseUrl;
+
+const followVia = (name, layer, key) => fetch(`${baseUrl}/api/push/follows`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ subscription: subscription(name), layer, key }),
+});
+
+beforeAll(async () => {
+  await push.init();
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => {
+  server.close();
+  delete process.env.VAPID_PUBLIC_KEY;
+  delete process.env.VAPID_PRIVATE_KEY;
+});
+
+test('serves the VAPID key and validates follows', async () => {
+  expect(await (await fetch(`${baseUrl}/api/push/vapid-public-key`)).json()).toEqual({ publicKey: 'test-public-key' });
+  expect((await followVia('parent', 'college', 'Delaware Tech')).status).toBe(400);
+});
+
+test('pushes changes only to followers and forgets expired subscriptions', async () => {
+  for (const name of ['parent', 'gone', 'missing']) {
+    expect((await followVia(name, 'district', 'Christina School District')).status).toBe(200);
+  }
+  expect(await (await followVia('teacher', 'charter', 'Newark Charter School')).json())
+    .toEqual({ follows: ['charter:Newark Charter School'] });
+
+  webpush.sendNotification.mockImplementation(async (sub) => {
+    const statusCode = { [subscription('gone').endpoint]: 410, [subscription('missing').endpoint]: 404 }[sub.endpoint];
+    if (statusCode) throw Object.assign(new Error('Push subscription has unsubscribed or expired'), { statusCode });
+    return { statusCode: 201 };
+  });
+
+  closingsEvents.emit('changes', [{
+    type: 'statusType',
+    layer: 'district',
+    key: 'Christina School District',
+    displayName: 'Christina School District',
+    counties: ['New Castle'],
+    previous: { statusType: 'delay', status: '2 Hour Delay' },
+    current: { statusType: 'closed', status: 'Closed' },
+    detectedAt: new Date().toISOString(),
+  }], {});
+
+  // Delivery runs in the background; wait until the pruned list is saved
+  const saved = () => Object.keys(JSON.parse(fs.readFileSync(path.join(tmpDir, 'push-subscriptions.json'), 'utf8')));
+  while (saved().length > 2) await new Promise(r => setTimeout(r, 10));
+  expect(saved().sort()).toEqual([subscription('parent').endpoint, subscription('teacher').endpoint]);
+
+  const sentTo = webpush.sendNotification.mock.calls.map(([sub]) => sub.endpoint).sort();
+  expect(sentTo).toEqual(['gone', 'missing', 'parent'].map(name => subscription(name).endpoint));
+
+  const [sub, payload, options] = webpush.sendNotification.mock.calls
+    .find(([s]) => s.endpoint === subscription('parent').endpoint);
+  expect(sub).toEqual(subscription('parent'));
+  expect(JSON.parse(payload)).toMatchObject({
+    title: 'Christina School District',
+    body: 'Closed: Closed',
+    tag: 'district:Christina School District',
+    site: 'Delaware School Closings',
+  });
+  expect(options.TTL).toBeGreaterThan(0);
+
+  expect(push.getFollows(subscription('gone').endpoint)).toEqual([]);
+  expect(push.getFollows(subscription('missing').endpoint)).toEqual([]);
+  expect(push.getFollows(subscription('parent').endpoint)).toEqual(['district:Christina School District']);
+  expect(push.getFollows(subscription('teacher').endpoint)).toEqual(['charter:Newark Charter School']);
+});
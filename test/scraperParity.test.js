@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { serveFixtures } = require('./helpers');
+
+// The CLI scraper and the API server must produce identical closings output
+// from the same upstream responses.
+jest.mock('axios');
+const axios = require('axios');
+
+// DATA_DIR is read when lib/dataStore loads, so point it at a scratch dir first
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'closings-test-'));
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+
+const historyStore = require('../lib/historyStore');
+
+beforeAll(() => {
+  fs.mkdirSync(process.env.DATA_DIR);
+  fs.copyFileSync(path.join(__dirname, 'fixtures', 'private-schools.csv'), path.join(process.env.DATA_DIR, 'private-schools.csv'));
+  serveFixtures(axios);
+  // The server records snapshots in the background; keep that out of the scratch dir's teardown
+  jest.spyOn(historyStore, 'recordSnapshot').mockResolvedValue();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('npm run scrape and /api/closings agree', async () => {
+  const { main } = require('../fetchClosings');
+  const { fetchClosings } = require('../server');
+
+  const outDir = path.join(tmpDir, 'public');
+  await main({ outDir });
+  const api = await fetchClosings({ force: true });
+  const read = file => JSON.parse(fs.readFileSync(path.join(outDir, file), 'utf8'));
+
+  expect(read('closingsByDistrict.json')).toEqual(api.byDistrict);
+  expect(read('closingsByVotech.json')).toEqual(api.byVotech);
+  expect(read('closingsByCharter.json')).toEqual(api.byCharter);
+  expect(read('closingsBySchool.json')).toEqual(api.bySchool);
+  expect(read('closingsByPrivate.json')).toEqual(api.byPrivate);
+  expect(read('closings.json').map(({ matchedDistrict, matchedVotech, matchedCharters, matchedSchools, matchedPrivate, matchConfidence, ...c }) => c))
+    .toEqual(api.closings);
+  expect(Object.keys(api.byVotech).length).toBeGreaterThan(0);
+  expect(Object.keys(api.byCharter).length).toBeGreaterThan(0);
+  expect(Object.keys(api.bySchool).length).toBeGreaterThan(0);
+  expect(Object.keys(api.byPrivate).length).toBeGreaterThan(0);
+});
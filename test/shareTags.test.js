@@ -0,0 +1,39 @@
+const { parseFocus, shareMeta, injectShareTags } = require('../lib/shareTags');
+
+const snapshot = {
+  closings: [{ schoolName: 'Christina' }, { schoolName: 'Polytech' }],
+  byDistrict: {
+    'Christina School District': { status: 'Closed due to <snow>', statusType: 'closed', date: 'Tuesday, January 6' },
+  },
+  byVotech: {},
+  byCharter: {},
+};
+
+test('parses focus parameters', () => {
+  expect(parseFocus('district:Christina School District')).toEqual({ layer: 'district', key: 'Christina School District' });
+  expect(parseFocus('votech:POLYTECH')).toEqual({ layer: 'votech', key: 'POLYTECH' });
+  expect(parseFocus('school:Lewis')).toEqual({ layer: 'school', key: 'Lewis' });
+  expect(parseFocus('college:Delaware Tech')).toBeNull();
+  expect(parseFocus(undefined)).toBeNull();
+});
+
+test('describes the focused school with its current status', () => {
+  expect(shareMeta({ focus: parseFocus('district:Christina School District'), snapshot, regionName: 'Delaware' })).toEqual({
+    title: 'Christina School District: Closed · Delaware School Closings',
+    description: 'Closed due to <snow> (Tuesday, January 6)',
+  });
+  expect(shareMeta({ focus: parseFocus('votech:POLYTECH'), displayName: 'Polytech School District', snapshot }))
+    .toMatchObject({ title: 'Polytech School District: Open · School Closings Map' });
+  expect(shareMeta({ focus: null, snapshot }).description).toMatch(/ 2 reported right now\.$/);
+  expect(shareMeta({ focus: null, snapshot: null }).description).not.toMatch(/open/);
+});
+
+test('replaces the title and share tags in index.html, escaping content', () => {
+  const html = '<html><head><title>School Closings Map</title><meta property="og:title" content="Old"></head><body></body></html>';
+  const out = injectShareTags(html, { title: 'A & B', description: 'Closed due to <snow>', url: 'http://x/?focus=district:A' });
+  expect(out).toContain('<title>A &amp; B</title>');
+  expect(out).not.toContain('content="Old"');
+  expect(out).toContain('<meta property="og:description" content="Closed due to &lt;snow&gt;" />');
+  expect(out).toContain('<meta property="og:url" content="http://x/?focus=district:A" />');
+  expect(out.indexOf('og:title')).toBeLessThan(out.indexOf('</head>'));
+});
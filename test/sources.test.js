@@ -0,0 +1,98 @@
+const { scratchDataDir, serveFixtures } = require('./helpers');
+
+// Source adapters: the registry, and a second region served alongside Delaware
+jest.mock('axios');
+const axios = require('axios');
+
+scratchDataDir('sources');
+
+const sources = require('../lib/sources');
+const historyStore = require('../lib/historyStore');
+
+const square = (lng, lat) => ({
+  type: 'Polygon',
+  coordinates: [[[lng, lat], [lng + 0.5, lat], [lng + 0.5, lat + 0.5], [lng, lat + 0.5], [lng, lat]]],
+});
+
+// Minimal second region: one district, no VoTech/charter/school layers
+const maryland = {
+  id: 'md',
+  name: 'Maryland',
+  fetchClosings: async () => [
+    sources.normalizeClosing({ name: 'Kent County Public Schools', details: '2 hour delay', date: '01/21/2025' }),
+  ],
+  fetchDistricts: async () => ({
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', properties: { NAME: 'Kent County Public Schools', COUNTIES: ['Kent'] }, geometry: square(-76.2, 39.1) }],
+  }),
+};
+
+describe('registry', () => {
+  test('rejects adapters missing required methods', () => {
+    expect(() => sources.registerAdapter({ id: 'pa', name: 'Pennsylvania', fetchClosings: async () => [] }))
+      .toThrow(/fetchDistricts/);
+    expect(() => sources.registerAdapter({ ...maryland, id: 'Bad Id' })).toThrow(/id/);
+    expect(() => sources.registerAdapter({ ...maryland, fetchSchools: 'nope' })).toThrow(/fetchSchools/);
+  });
+
+  test('enables the adapters named in SOURCES', () => {
+    expect(sources.enabledAdapters('de').map(a => a.id)).toEqual(['de']);
+    expect(() => sources.enabledAdapters('de,zz')).toThrow(/Unknown closings source "zz"/);
+  });
+
+  test('titles the site after a lone region', () => {
+    expect(sources.regionTitle(sources.enabledAdapters('de'))).toBe('Delaware School Closings');
+    expect(sources.regionTitle([])).toBe('School Closings');
+  });
+
+  test('normalizes closings to the shared shape', () => {
+    expect(sources.normalizeClosing({ name: 'Kent County Public Schools', details: '2 hour delay' }))
+      .toMatchObject({ schoolName: 'Kent County Public Schools', status: '2 hour delay', statusType: 'delay', delayMinutes: 120 });
+  });
+
+  test('tags layers with their region and fills in missing optional layers', async () => {
+    const districts = await sources.fetchSourceLayer(maryland, 'districts');
+    expect(districts.features[0].properties.REGION).toBe('md');
+    expect((await sources.fetchSourceLayer(maryland, 'schools', districts)).features).toEqual([]);
+  });
+});
+
+describe('several sources side by side', () => {
+  let server;
+  let baseUrl;
+  let fetchClosings;
+
+  beforeAll(() => {
+    sources.registerAdapter(maryland);
+    process.env.SOURCES = 'de,md';
+    serveFixtures(axios);
+    jest.spyOn(historyStore, 'recordSnapshot').mockResolvedValue();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // The server picks its adapters up when it loads
+    const serverModule = require('../server');
+    fetchClosings = serverModule.fetchClosings;
+    server = serverModule.app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    server.close();
+    console.error.mockRestore();
+    delete process.env.SOURCES;
+  });
+
+  test('merges closings and boundaries from every region', async () => {
+    const snapshot = await fetchClosings({ force: true });
+    expect(snapshot.byDistrict['Kent County Public Schools']).toMatchObject({ statusType: 'delay', region: 'md' });
+    expect(snapshot.byDistrict['Christina School District']).toMatchObject({ statusType: 'closed', region: 'de' });
+
+    const districts = await (await fetch(`${baseUrl}/api/districts`)).json();
+    expect([...new Set(districts.features.map(f => f.properties.REGION))]).toEqual(['de', 'md']);
+
+    const { sources: list } = await (await fetch(`${baseUrl}/api/sources`)).json();
+    expect(list).toEqual([{ id: 'de', name: 'Delaware' }, { id: 'md', name: 'Maryland' }]);
+
+    const rss = await (await fetch(`${baseUrl}/feeds/closings.rss`)).text();
+    expect(rss).toContain('<title>School Closings</title>');
+  });
+});
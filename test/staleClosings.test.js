@@ -0,0 +1,58 @@
+const { scratchDataDir, upstreamResponses } = require('./helpers');
+
+// A failed refresh keeps serving the last good snapshot, flagged stale,
+// and /api/health reports the failing upstream.
+jest.mock('axios');
+const axios = require('axios');
+
+scratchDataDir('stale');
+
+const historyStore = require('../lib/historyStore');
+const { CLOSINGS_URL } = require('../lib/portalFeed');
+const { app, fetchClosings } = require('../server');
+
+const responses = upstreamResponses();
+let feedDown = false;
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  axios.get.mockImplementation(async (url) => {
+    if (url === CLOSINGS_URL && feedDown) {
+      throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+    }
+    return { data: responses[url] };
+  });
+  jest.spyOn(historyStore, 'recordSnapshot').mockResolvedValue();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => {
+  server.close();
+  console.error.mockRestore();
+});
+
+test('serves the last good snapshot when the feed fails', async () => {
+  const fresh = await fetchClosings({ force: true });
+  expect(fresh.stale).toBeUndefined();
+  expect((await (await fetch(`${baseUrl}/api/health`)).json()).status).toBe('ok');
+
+  feedDown = true;
+  const stale = await fetchClosings({ force: true });
+  expect(stale).toMatchObject({ stale: true, fetchedAt: fresh.fetchedAt, byDistrict: fresh.byDistrict });
+  expect(stale.ageSeconds).toBeGreaterThanOrEqual(0);
+
+  const health = await (await fetch(`${baseUrl}/api/health`)).json();
+  expect(health.status).toBe('degraded');
+  expect(health.closings).toMatchObject({ stale: true, fetchedAt: fresh.fetchedAt });
+  expect(health.upstreams.find(u => u.name === 'portalFeed')).toMatchObject({
+    lastError: expect.stringContaining('404'),
+    consecutiveFailures: 1,
+  });
+
+  feedDown = false;
+  expect((await fetchClosings({ force: true })).stale).toBeUndefined();
+});
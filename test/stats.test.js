@@ -0,0 +1,123 @@
+const { scratchDataDir } = require('./helpers');
+
+jest.mock('axios');
+
+scratchDataDir('stats');
+
+const historyStore = require('../lib/historyStore');
+const stats = require('../lib/stats');
+const { app } = require('../server');
+
+const describeOrg = (layer, key) => ({
+  displayName: key,
+  counties: { Christina: ['New Castle'], Milford: ['Kent', 'Sussex'], Polytech: ['Kent'] }[key] || [],
+});
+
+// queryHistory-shaped entries
+const entries = [
+  { day: '2026-01-06', layer: 'district', key: 'Christina', statusTypes: ['delay', 'closed'] },
+  { day: '2026-01-07', layer: 'district', key: 'Christina', statusTypes: ['delay'] },
+  { day: '2026-01-06', layer: 'district', key: 'Milford', statusTypes: ['delay'] },
+  { day: '2026-01-06', layer: 'votech', key: 'Polytech', statusTypes: ['early dismissal'] },
+  { day: '2026-01-06', layer: 'school', key: 'Lewis Elementary', statusTypes: ['closed'] },
+];
+
+describe('stats', () => {
+  test('school years run July through June', () => {
+    expect(stats.schoolYearOf(new Date(2026, 0, 6))).toBe(2025);
+    expect(stats.schoolYearOf(new Date(2025, 6, 1))).toBe(2025);
+    const range = stats.schoolYearRange(2025);
+    expect(range.label).toBe('2025–26');
+    expect(range.from).toEqual(new Date(2025, 6, 1));
+    expect(range.to.getMonth()).toBe(5);
+    expect(range.to.getDate()).toBe(30);
+  });
+
+  test('counts each day once at its most disruptive status', () => {
+    const { organizations, counties, mostDelayed } = stats.summarize(entries, describeOrg);
+    expect(organizations.map(o => [o.key, o.total])).toEqual([['Christina', 2], ['Milford', 1], ['Polytech', 1]]);
+    expect(organizations[0].days).toMatchObject({ closed: 1, delay: 1 });
+    expect(organizations[0].calendar).toBeUndefined();
+
+    expect(counties.map(c => [c.county, c.organizations, c.total])).toEqual([
+      ['Kent', 2, 2], ['New Castle', 1, 2], ['Sussex', 1, 1],
+    ]);
+    expect(mostDelayed).toEqual([
+      { layer: 'district', key: 'Christina', displayName: 'Christina', delayDays: 1 },
+      { layer: 'district', key: 'Milford', displayName: 'Milford', delayDays: 1 },
+    ]);
+  });
+
+  test('counts an evening announcement on the day it applies to', () => {
+    // Posted at 21:00 on the 12th for the 13th, still listed the next morning
+    const announced = [
+      { day: '2026-01-12', layer: 'district', key: 'Milford', date: '01/13/2026', statusTypes: ['delay'] },
+      { day: '2026-01-13', layer: 'district', key: 'Milford', date: '01/13/2026', statusTypes: ['delay', 'closed'] },
+    ];
+    const [milford] = stats.summarize(announced, describeOrg).organizations;
+    expect(milford).toMatchObject({ total: 1, days: { closed: 1, delay: 0 } });
+    expect(stats.calendars(announced, describeOrg, 'district')[0].days).toEqual([
+      { day: '2026-01-13', statusType: 'closed' },
+    ]);
+  });
+
+  test('leaves virtual days, informational notices and cancelled activities out of the total', () => {
+    const { organizations } = stats.summarize([
+      { day: '2026-01-06', layer: 'votech', key: 'Polytech', statusTypes: ['activities cancelled'] },
+      { day: '2026-01-07', layer: 'votech', key: 'Polytech', statusTypes: ['info'] },
+      { day: '2026-01-08', layer: 'votech', key: 'Polytech', statusTypes: ['virtual'] },
+      { day: '2026-01-09', layer: 'votech', key: 'Polytech', statusTypes: ['virtual', 'closed'] },
+    ], describeOrg);
+    expect(organizations[0]).toMatchObject({
+      total: 1, days: { 'activities cancelled': 1, info: 1, virtual: 1, closed: 1 },
+    });
+  });
+
+  test('lists per-day statuses for a layer', () => {
+    expect(stats.calendars(entries, describeOrg, 'district')).toEqual([
+      { key: 'Christina', displayName: 'Christina', days: [
+        { day: '2026-01-06', statusType: 'closed' }, { day: '2026-01-07', statusType: 'delay' },
+      ] },
+      { key: 'Milford', displayName: 'Milford', days: [{ day: '2026-01-06', statusType: 'delay' }] },
+    ]);
+  });
+});
+
+describe('/api/stats', () => {
+  let server;
+  let baseUrl;
+
+  const snap = (date, byDistrict) => ({ fetchedAt: date.toISOString(), closings: [], byDistrict });
+
+  beforeAll(async () => {
+    await historyStore.recordSnapshot(snap(new Date(2026, 0, 6, 5, 30), {
+      'Christina School District': { statusType: 'delay' },
+    }));
+    await historyStore.recordSnapshot(snap(new Date(2026, 0, 6, 6, 15), {
+      'Christina School District': { statusType: 'closed' },
+      'Milford School District': { statusType: 'delay' },
+    }));
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => server.close());
+
+  test('summarizes a school year', async () => {
+    const res = await (await fetch(`${baseUrl}/api/stats/summary?year=2025`)).json();
+    expect(res.schoolYear).toMatchObject({ year: 2025, label: '2025–26' });
+    expect(res.years).toContain(2025);
+    expect(res.organizations.map(o => [o.key, o.days.closed, o.days.delay])).toEqual([
+      ['Christina School District', 1, 0], ['Milford School District', 0, 1],
+    ]);
+    expect(res.counties.find(c => c.county === 'Sussex')).toMatchObject({ organizations: 1, total: 1 });
+    expect(res.mostDelayed.map(o => o.key)).toEqual(['Milford School District']);
+  });
+
+  test('serves calendars and rejects bad parameters', async () => {
+    const res = await (await fetch(`${baseUrl}/api/stats/calendar?year=2025&layer=district`)).json();
+    expect(res.calendars[0]).toMatchObject({ key: 'Christina School District', days: [{ day: '2026-01-06', statusType: 'closed' }] });
+    expect((await fetch(`${baseUrl}/api/stats/calendar?layer=school`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/stats/summary?year=soon`)).status).toBe(400);
+  });
+});
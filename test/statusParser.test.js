@@ -0,0 +1,18 @@
+const { parseStatus } = require('../lib/statusParser');
+const phrasings = require('./fixtures/status-phrasings.json');
+
+describe('parseStatus', () => {
+  test.each(phrasings.map(p => [p.text, p.expected]))('%s', (text, expected) => {
+    expect(parseStatus(text)).toMatchObject(expected);
+  });
+
+  test('returns the full shape for empty text', () => {
+    expect(parseStatus('')).toEqual({
+      delayMinutes: null,
+      dismissalTime: null,
+      earlyDismissalMinutes: null,
+      remoteLearning: false,
+      affectedPrograms: [],
+    });
+  });
+});
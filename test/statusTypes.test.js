@@ -0,0 +1,23 @@
+const { detectStatusType } = require('../lib/statusTypes');
+
+describe('detectStatusType', () => {
+  test.each([
+    ['Closed', 'closed'],
+    ['All schools closed due to inclement weather', 'closed'],
+    ['2 Hour Delay', 'delay'],
+    ['Late start - schools open at 10:00 AM', 'delay'],
+    ['Schools open 2 hours late', 'delay'],
+    ['Early dismissal at 12:30 PM', 'early dismissal'],
+    ['Dismissing at 1:15 PM', 'early dismissal'],
+    ['Dismissing 2 hours early', 'early dismissal'],
+    ['Virtual learning day', 'virtual'],
+    ['Buildings closed - remote instruction day for all students', 'virtual'],
+    ['Schools open, evening activities cancelled', 'activities cancelled'],
+    ['All athletic practices and games are canceled', 'activities cancelled'],
+    ['2 hour delay, evening activities cancelled', 'delay'],
+    ['Closed. All activities cancelled', 'closed'],
+    ['Board meeting moved to Thursday', 'info'],
+  ])('%s → %s', (text, expected) => {
+    expect(detectStatusType(text)).toBe(expected);
+  });
+});
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { scratchDataDir } = require('./helpers');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const tmpDir = scratchDataDir('upstream');
+
+const upstream = require('../lib/upstream');
+
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+const fast = { baseBackoff: 0 };
+
+beforeAll(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+afterAll(() => {
+  console.error.mockRestore();
+});
+
+describe('request', () => {
+  test('retries transient failures', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(new Error('timeout of 15000ms exceeded'))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce('ok');
+    await expect(upstream.request('retry', fn, fast)).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(upstream.status('retry')).toMatchObject({ circuit: 'closed', consecutiveFailures: 0 });
+  });
+
+  test('does not retry a 404', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(404));
+    await expect(upstream.request('not-found', fn, fast)).rejects.toThrow('404');
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(upstream.status('not-found')).toMatchObject({ consecutiveFailures: 1, lastError: expect.stringContaining('404') });
+  });
+
+  test('opens the circuit after repeated failures and fails fast', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(500));
+    for (let i = 0; i < 3; i++) {
+      await expect(upstream.request('flaky', fn, fast)).rejects.toThrow('500');
+    }
+    expect(upstream.status('flaky')).toMatchObject({ circuit: 'open', consecutiveFailures: 3 });
+
+    fn.mockClear();
+    await expect(upstream.request('flaky', fn, fast)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  test('lets a single probe through once the circuit may close', async () => {
+    const fail = jest.fn().mockRejectedValue(httpError(500));
+    for (let i = 0; i < 3; i++) {
+      await expect(upstream.request('probe', fail, fast)).rejects.toThrow('500');
+    }
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+
+    let settle;
+    const probe = jest.fn(() => new Promise(resolve => { settle = resolve; }));
+    const first = upstream.request('probe', probe, fast);
+    const other = jest.fn().mockResolvedValue('other');
+    await expect(upstream.request('probe', other, fast)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(other).not.toHaveBeenCalled();
+
+    settle('ok');
+    await expect(first).resolves.toBe('ok');
+    await expect(upstream.request('probe', other, fast)).resolves.toBe('other');
+    expect(upstream.status('probe')).toMatchObject({ circuit: 'closed', consecutiveFailures: 0 });
+    Date.now.mockRestore();
+  });
+});
+
+describe('getDataWithDiskCopy', () => {
+  test('serves the saved copy while the upstream is down', async () => {
+    const layer = { type: 'FeatureCollection', features: [] };
+    axios.get.mockResolvedValueOnce({ data: layer });
+    await expect(upstream.getDataWithDiskCopy('layer', 'https://example.test/layer', 'boundaries/layer.geojson'))
+      .resolves.toEqual(layer);
+    expect(fs.existsSync(path.join(tmpDir, 'boundaries', 'layer.geojson'))).toBe(true);
+
+    axios.get.mockRejectedValue(httpError(404));
+    await expect(upstream.getDataWithDiskCopy('layer', 'https://example.test/layer', 'boundaries/layer.geojson'))
+      .resolves.toEqual(layer);
+    expect(upstream.status('layer').fallback).toBe(true);
+  });
+
+  test('fails when there is no saved copy', async () => {
+    axios.get.mockRejectedValue(httpError(404));
+    await expect(upstream.getDataWithDiskCopy('missing', 'https://example.test/missing', 'boundaries/missing.geojson'))
+      .rejects.toThrow('404');
+  });
+});
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { scratchDataDir } = require('./helpers');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const tmpDir = scratchDataDir('webhooks');
+
+const webhooks = require('../lib/webhooks');
+const { app } = require('../server');
+
+const configure = list => fs.writeFileSync(path.join(tmpDir, 'webhooks.json'), JSON.stringify({ webhooks: list }));
+const logLines = () => fs.readFileSync(path.join(tmpDir, 'webhook-deliveries.jsonl'), 'utf8').trim().split('\n');
+
+const change = (layer, counties, statusType) => ({
+  type: 'statusType',
+  layer,
+  key: `${layer}-key`,
+  displayName: `${layer} name`,
+  counties,
+  previous: null,
+  current: statusType ? { statusType, status: statusType } : null,
+});
+const snapshot = { fetchedAt: '2026-01-06T11:00:00.000Z' };
+
+beforeEach(() => {
+  axios.post.mockReset();
+  axios.post.mockResolvedValue({ status: 204 });
+});
+
+describe('matchesFilters', () => {
+  const hook = { filters: { counties: ['Kent'], layers: ['district', 'votech'], statusTypes: ['closed', 'open'] } };
+
+  test('requires every configured filter to match', () => {
+    expect(webhooks.matchesFilters(hook, change('district', ['Kent'], 'closed'))).toBe(true);
+    expect(webhooks.matchesFilters(hook, change('charter', ['Kent'], 'closed'))).toBe(false);
+    expect(webhooks.matchesFilters(hook, change('district', ['Sussex'], 'closed'))).toBe(false);
+    expect(webhooks.matchesFilters(hook, change('district', ['Kent'], 'delay'))).toBe(false);
+  });
+
+  test('treats a removed closing as open and no filters as everything', () => {
+    expect(webhooks.matchesFilters(hook, change('votech', ['New Castle', 'Kent'], null))).toBe(true);
+    expect(webhooks.matchesFilters({}, change('private', [], 'info'))).toBe(true);
+  });
+});
+
+describe('dispatchChanges', () => {
+  test('signs the body with the webhook secret and sends only matching changes', async () => {
+    configure([
+      { id: 'kent', url: 'https://hooks.example.com/kent', secret: 'shh', filters: { counties: ['Kent'] } },
+      { id: 'sussex', url: 'https://hooks.example.com/sussex', filters: { counties: ['Sussex'] } },
+    ]);
+    await webhooks.dispatchChanges([change('district', ['Kent'], 'closed'), change('charter', ['New Castle'], 'delay')], snapshot);
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    const [url, body, { headers }] = axios.post.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/kent');
+    expect(JSON.parse(body)).toMatchObject({
+      event: 'closings.changed',
+      fetchedAt: snapshot.fetchedAt,
+      text: 'district name: Closed — closed',
+      changes: [expect.objectContaining({ layer: 'district' })],
+    });
+
+    // What a receiver does: HMAC "<timestamp>.<raw body>" and compare
+    const timestamp = headers['X-Closings-Timestamp'];
+    const expected = crypto.createHmac('sha256', 'shh').update(`${timestamp}.${body}`).digest('hex');
+    expect(headers['X-Closings-Signature']).toBe(`sha256=${expected}`);
+    expect(headers['X-Closings-Signature']).toBe(`sha256=${webhooks.sign('shh', timestamp, body)}`);
+    expect(webhooks.sign('other', timestamp, body)).not.toBe(expected);
+  });
+
+  test('retries failures with backoff until delivered', async () => {
+    configure([{ id: 'flaky', url: 'https://hooks.example.com/flaky', maxAttempts: 3 }]);
+    axios.post
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValueOnce({ status: 503 })
+      .mockResolvedValueOnce({ status: 200 });
+
+    // Run the backoff waits straight away, noting how long each would be
+    const waits = [];
+    const realSetTimeout = setTimeout;
+    jest.spyOn(global, 'setTimeout').mockImplementation((fn, ms) => {
+      waits.push(ms);
+      return realSetTimeout(fn, 0);
+    });
+    try {
+      await webhooks.dispatchChanges([change('district', ['Kent'], 'closed')], snapshot);
+    } finally {
+      global.setTimeout.mockRestore();
+    }
+
+    expect(waits).toEqual([2000, 4000]);
+    expect(axios.post).toHaveBeenCalledTimes(3);
+    const [delivery] = webhooks.getDeliveries({ webhookId: 'flaky' });
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.attempts.map(a => a.error || a.responseStatus)).toEqual(['socket hang up', 503, 200]);
+  });
+
+  test('caps the configured number of attempts', async () => {
+    configure([{ id: 'eager', url: 'https://hooks.example.com/eager', maxAttempts: 1000 }]);
+    axios.post.mockResolvedValue({ status: 503 });
+
+    const realSetTimeout = setTimeout;
+    jest.spyOn(global, 'setTimeout').mockImplementation(fn => realSetTimeout(fn, 0));
+    try {
+      await webhooks.dispatchChanges([change('district', ['Kent'], 'closed')], snapshot);
+    } finally {
+      global.setTimeout.mockRestore();
+    }
+
+    expect(axios.post).toHaveBeenCalledTimes(webhooks.MAX_ATTEMPTS);
+    expect(webhooks.getDeliveries({ webhookId: 'eager' })[0].status).toBe('failed');
+  });
+
+  test('does not retry a rejected request', async () => {
+    configure([{ id: 'gone', url: 'https://hooks.example.com/gone' }]);
+    axios.post.mockResolvedValue({ status: 404 });
+    await webhooks.dispatchChanges([change('district', ['Kent'], 'closed')], snapshot);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(webhooks.getDeliveries({ webhookId: 'gone' })[0].status).toBe('failed');
+  });
+
+  test('skips webhooks without a valid URL', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    configure([
+      { id: 'typo', url: 'hooks.example.com/no-scheme' },
+      { id: 'mail', url: 'mailto:ops@example.com' },
+      { id: 'ok', url: 'https://hooks.example.com/ok' },
+    ]);
+    expect((await webhooks.listWebhooks()).map(h => h.id)).toEqual(['ok']);
+    await webhooks.dispatchChanges([change('district', ['Kent'], 'closed')], snapshot);
+    expect(axios.post.mock.calls.map(([url]) => url)).toEqual(['https://hooks.example.com/ok']);
+    expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/Skipping webhook typo/));
+    console.error.mockRestore();
+  });
+
+  test('keeps the delivery log file bounded', async () => {
+    // A log already at twice the cap is cut back to the newest entries on the next delivery
+    const old = Array.from({ length: 2 * webhooks.DELIVERY_LOG_SIZE },
+      (_, i) => JSON.stringify({ id: `old-${i}`, webhookId: 'busy' }));
+    fs.writeFileSync(path.join(tmpDir, 'webhook-deliveries.jsonl'), old.join('\n') + '\n');
+    await webhooks.init();
+
+    configure([{ id: 'busy', url: 'https://hooks.example.com/busy' }]);
+    await webhooks.dispatchChanges([change('district', ['Kent'], 'closed')], snapshot);
+    // The log is written in the background
+    while (logLines().length > webhooks.DELIVERY_LOG_SIZE) await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(logLines()).toHaveLength(webhooks.DELIVERY_LOG_SIZE);
+    expect(JSON.parse(logLines()[0]).id).toBe(`old-${webhooks.DELIVERY_LOG_SIZE + 1}`);
+    expect(JSON.parse(logLines().at(-1))).toMatchObject({ webhookId: 'busy', status: 'delivered' });
+  });
+});
+
+describe('/api/webhooks', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(() => {
+    process.env.ADMIN_TOKENS = 'alice:secret-token';
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    server.close();
+    delete process.env.ADMIN_TOKENS;
+  });
+
+  test('requires an admin token', async () => {
+    configure([{ id: 'ops', url: 'https://hooks.example.com/services/T000/B000/XXXX', secret: 'shh' }]);
+    expect((await fetch(`${baseUrl}/api/webhooks`)).status).toBe(401);
+    expect((await fetch(`${baseUrl}/api/webhooks/deliveries`)).status).toBe(401);
+
+    const auth = { Authorization: 'Bearer secret-token' };
+    const { webhooks: list } = await (await fetch(`${baseUrl}/api/webhooks`, { headers: auth })).json();
+    expect(list).toEqual([{ id: 'ops', origin: 'https://hooks.example.com', signed: true, filters: {} }]);
+    const res = await fetch(`${baseUrl}/api/webhooks/deliveries?limit=1`, { headers: auth });
+    expect((await res.json()).deliveries).toHaveLength(1);
+  });
+});